@@ -0,0 +1,143 @@
+/**
+ * Service Worker - Modo offline
+ *
+ * - App shell (index.html e os assets do build) guardada na instalação,
+ *   para a aplicação abrir sem rede
+ * - Navegação: rede primeiro, index.html da cache se não houver rede
+ * - Imagens (receitas): cache primeiro; cada imagem vista fica disponível
+ *   offline (até MAX_IMAGES, as mais antigas saem primeiro)
+ * - Leituras das receitas e categorias (Sheety): rede primeiro, a última
+ *   resposta guardada se não houver rede; as escritas e as outras folhas
+ *   (utilizadores, coleções, likes) nunca passam pela cache
+ * - CSS e fontes de CDNs: devolvidos da cache e atualizados em segundo plano
+ *
+ * Os likes e edições feitos sem rede ficam numa fila na aplicação
+ * (ver src/services/offline.js), não aqui.
+ */
+
+// Id do build (registado como /sw.js?v=...): cada build tem caches novas,
+// e as dos builds anteriores são apagadas na ativação
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = `dados-${VERSION}`;
+const IMAGE_CACHE = `imagens-${VERSION}`;
+const STATIC_CACHE = `estaticos-${VERSION}`;
+
+const MAX_IMAGES = 80;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg', '/icon-192.png'];
+
+// Folhas públicas que ficam disponíveis offline: /receitas, /receitas/{id}, /categorias
+const DATA_PATH = /\/(receitas|categorias)(\/\d+)?\/?$/;
+
+// ============================================
+// INSTALAÇÃO E ATIVAÇÃO
+// ============================================
+
+/**
+ * Guarda a app shell. Os assets do build têm hash no nome, por isso
+ * são descobertos a partir do próprio index.html.
+ */
+const precacheShell = async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+
+    const html = await (await cache.match('/index.html')).text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+    await cache.addAll(assets);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+// Apaga as caches de versões anteriores
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, STATIC_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================
+// ESTRATÉGIAS
+// ============================================
+
+// Rede primeiro; sem rede, a última resposta guardada
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+// Cache primeiro; sem cache, pede e guarda
+const cacheFirst = async (request, cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Imagens de outros domínios chegam "opaque" (status 0) e também servem
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (maxEntries) trimCache(cache, maxEntries);
+    }
+    return response;
+};
+
+// Devolve a cache (se houver) e atualiza-a em segundo plano
+const staleWhileRevalidate = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        // Sem rede: fica a cópia guardada, sem erro por tratar (sem cópia, o erro segue)
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+    return cached || update;
+};
+
+// Mantém no máximo maxEntries pedidos (sai o mais antigo)
+const trimCache = async (cache, maxEntries) => {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// ============================================
+// PEDIDOS
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+    } else if (request.destination === '') {
+        // fetch / XHR: só as receitas e categorias; o resto vai direto à rede
+        if (DATA_PATH.test(url.pathname)) event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (sameOrigin) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, STATIC_CACHE));
+    }
+});
@@ -3,8 +3,14 @@ import Navbar from './components/Navbar';
 import PrivateRoute from './components/PrivateRoute';
 import Home from './pages/Home';
 import RecipeDetail from './pages/RecipeDetail';
+import Collections from './pages/Collections';
+import CollectionDetail from './pages/CollectionDetail';
+import Planner from './pages/Planner';
+import ShoppingList from './pages/ShoppingList';
 import Login from './pages/Login';
 import AdminDashboard from './pages/AdminDashboard';
+import Forbidden from './pages/Forbidden';
+import { PERMISSIONS } from './services/permissions';
 
 /**
  * App Component
@@ -19,22 +25,27 @@ function App() {
           {/* Frontoffice - Público */}
           <Route path="/" element={<Home />} />
           <Route path="/receita/:id" element={<RecipeDetail />} />
+          <Route path="/livros" element={<Collections />} />
+          <Route path="/livros/:id" element={<CollectionDetail />} />
+          <Route path="/planeador" element={<Planner />} />
+          <Route path="/lista-compras" element={<ShoppingList />} />
 
           {/* Backoffice - Privado */}
           <Route path="/login" element={<Login />} />
           <Route
             path="/admin"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.DASHBOARD_VIEW}>
                 <AdminDashboard />
               </PrivateRoute>
             }
           />
+          <Route path="/403" element={<Forbidden />} />
         </Routes>
       </main>
 
       {/* Footer */}
-      <footer className="footer py-4 mt-5">
+      <footer className="footer py-4 mt-5 d-print-none">
         <div className="container text-center">
           <p className="mb-1">
             <i className="bi bi-heart-fill text-sage me-1"></i>
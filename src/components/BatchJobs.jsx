@@ -0,0 +1,68 @@
+/**
+ * BatchJobs Component
+ * Progresso dos trabalhos em bloco do Dashboard (ver createJobQueue em utils/batch)
+ * e, quando terminam, as receitas que falharam e porquê.
+ *
+ * @param {Array} jobs - Trabalhos da fila
+ * @param {Function} onDismiss - Recebe o id de um trabalho concluído a esconder
+ */
+const BatchJobs = ({ jobs, onDismiss }) => {
+    if (jobs.length === 0) return null;
+
+    return (
+        <div className="batch-jobs mb-4">
+            {jobs.map(job => {
+                const finished = job.status === 'concluido';
+                const succeeded = job.done - job.failures.length;
+                const alertClass = !finished ? 'alert-light'
+                    : job.failures.length === 0 ? 'alert-success'
+                        : succeeded === 0 ? 'alert-danger' : 'alert-warning';
+
+                return (
+                    <div key={job.id} className={`alert ${alertClass} mb-2`} role="status">
+                        <div className="d-flex justify-content-between align-items-center gap-2">
+                            <span className="fw-medium">
+                                {job.status === 'espera' && <i className="bi bi-hourglass me-2"></i>}
+                                {job.status === 'a correr' && <span className="spinner-border spinner-border-sm me-2"></span>}
+                                {job.label}
+                            </span>
+                            <span className="small text-nowrap">
+                                {job.status === 'espera' && 'Em espera'}
+                                {job.status === 'a correr' && `${job.done}/${job.total}`}
+                                {finished && (job.failures.length === 0
+                                    ? 'Concluído'
+                                    : `${succeeded} de ${job.total} — ${job.failures.length} com erro`)}
+                            </span>
+                            {finished && (
+                                <button
+                                    type="button"
+                                    className="btn-close btn-sm"
+                                    onClick={() => onDismiss(job.id)}
+                                    aria-label="Esconder"
+                                ></button>
+                            )}
+                        </div>
+
+                        {job.status === 'a correr' && (
+                            <div className="progress mt-2" role="progressbar" aria-valuenow={job.done} aria-valuemax={job.total}>
+                                <div className="progress-bar bg-sage" style={{ width: `${job.total ? (job.done / job.total) * 100 : 0}%` }}></div>
+                            </div>
+                        )}
+
+                        {job.failures.length > 0 && (
+                            <ul className="small mb-0 mt-2">
+                                {job.failures.map((failure, index) => (
+                                    <li key={index}>
+                                        {failure.label}: {failure.message}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default BatchJobs;
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { exportRecipes, TRANSFER_FORMATS } from '../utils/recipeTransfer';
+
+/**
+ * BulkExport Component
+ * Janela para descarregar receitas em JSON, CSV ou Markdown (ver utils/recipeTransfer),
+ * todas ou só as de algumas categorias.
+ *
+ * @param {Array} recipes - Receitas que podem ser exportadas
+ * @param {Array} categories - Categorias existentes
+ * @param {Function} onClose - Fecha a janela
+ */
+const BulkExport = ({ recipes, categories, onClose }) => {
+    // Formato escolhido (chave de TRANSFER_FORMATS)
+    const [format, setFormat] = useState('json');
+
+    // Categorias escolhidas (null = todas, até o utilizador mudar)
+    const [selectedCategories, setSelectedCategories] = useState(null);
+
+    // Categorias que têm receitas para exportar (as receitas sem categoria entram sempre)
+    const usedCategories = categories.filter(category => recipes.some(recipe => recipe.categoria_id === category.nome));
+    const categoryNames = usedCategories.map(category => category.nome);
+    const chosenCategories = selectedCategories || categoryNames;
+
+    const chosenRecipes = recipes.filter(recipe => (
+        !categoryNames.includes(recipe.categoria_id) || chosenCategories.includes(recipe.categoria_id)
+    ));
+
+    /**
+     * toggleCategory - Põe / tira as receitas de uma categoria
+     */
+    const toggleCategory = (nome) => {
+        setSelectedCategories(chosenCategories.includes(nome)
+            ? chosenCategories.filter(c => c !== nome)
+            : [...chosenCategories, nome]);
+    };
+
+    /**
+     * handleExport - Gera e descarrega o ficheiro
+     */
+    const handleExport = () => {
+        const { extension, type } = TRANSFER_FORMATS[format];
+        const chosenCategoryList = usedCategories.filter(category => chosenCategories.includes(category.nome));
+        const content = exportRecipes(chosenRecipes, chosenCategoryList, format);
+
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `receitas-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        onClose();
+    };
+
+    return (
+        <div className="modal-backdrop-custom" onClick={onClose}>
+            <div className="modal-dialog-custom" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 className="modal-title">
+                            <i className="bi bi-box-arrow-up me-2"></i>
+                            Exportar Receitas
+                        </h5>
+                        <button type="button" className="btn-close" onClick={onClose}></button>
+                    </div>
+
+                    <div className="modal-body">
+                        {/* Formato */}
+                        <div className="btn-group w-100 mb-2" role="group" aria-label="Formato">
+                            {Object.entries(TRANSFER_FORMATS).map(([key, { label }]) => (
+                                <button
+                                    key={key}
+                                    type="button"
+                                    className={`btn ${format === key ? 'btn-sage' : 'btn-outline-sage'}`}
+                                    onClick={() => setFormat(key)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="form-text mt-0 mb-3">
+                            {format === 'json' && 'Cópia completa, com as categorias; serve para voltar a importar.'}
+                            {format === 'csv' && 'Uma receita por linha, para abrir no Excel ou na Google Sheet.'}
+                            {format === 'markdown' && 'Um só ficheiro de texto, fácil de ler e de editar.'}
+                        </p>
+
+                        {/* Categorias */}
+                        {usedCategories.length > 0 && (
+                            <div className="mb-3">
+                                {usedCategories.map(category => (
+                                    <div key={category.id} className="form-check form-check-inline">
+                                        <input
+                                            type="checkbox"
+                                            className="form-check-input"
+                                            id={`export-category-${category.id}`}
+                                            checked={chosenCategories.includes(category.nome)}
+                                            onChange={() => toggleCategory(category.nome)}
+                                        />
+                                        <label className="form-check-label" htmlFor={`export-category-${category.id}`}>
+                                            {category.nome}
+                                        </label>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <p className="text-muted small mb-0">
+                            {chosenRecipes.length === 1 ? '1 receita' : `${chosenRecipes.length} receitas`}
+                        </p>
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-outline-secondary" onClick={onClose}>
+                            Cancelar
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sage"
+                            onClick={handleExport}
+                            disabled={chosenRecipes.length === 0}
+                        >
+                            <i className="bi bi-download me-2"></i>
+                            Descarregar
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkExport;
@@ -0,0 +1,274 @@
+import { useState } from 'react';
+import { createRecipe, updateRecipe, can } from '../services/api';
+import { PERMISSIONS } from '../services/permissions';
+import { detectFormat, readRecipes, previewImport, FIELD_LABELS, TRANSFER_FORMATS } from '../utils/recipeTransfer';
+import { runInBatches, errorMessage } from '../utils/batch';
+
+// Estados da pré-visualização: texto e cor do badge
+const STATUS_BADGES = {
+    novo: { label: 'Nova', className: 'bg-sage-light text-sage' },
+    atualizado: { label: 'Atualizar', className: 'bg-warning-light text-dark' },
+    igual: { label: 'Sem alterações', className: 'bg-light text-muted' },
+    conflito: { label: 'Conflito', className: 'bg-danger text-white' },
+    invalido: { label: 'Inválida', className: 'bg-danger text-white' },
+};
+
+/**
+ * BulkImport Component
+ * Janela para importar um ficheiro JSON, CSV ou Markdown exportado (ver utils/recipeTransfer):
+ * 1. Lê o ficheiro e mostra, receita a receita, se é nova, se atualiza uma existente
+ *    (com o mesmo título) ou se está em conflito
+ * 2. Grava as receitas escolhidas aos poucos (ver utils/batch), com progresso
+ *    e o erro de cada receita que falhar; as que falharam podem ser repetidas
+ *
+ * @param {Array} recipes - Receitas existentes
+ * @param {Array} categories - Categorias existentes
+ * @param {Function} onDone - Chamada depois de gravar (para recarregar a lista)
+ * @param {Function} onClose - Fecha a janela
+ */
+const BulkImport = ({ recipes, categories, onDone, onClose }) => {
+    // Pode atualizar receitas existentes (senão só cria)
+    const canEdit = can(PERMISSIONS.RECIPE_EDIT);
+
+    // Nome do ficheiro lido e entradas da pré-visualização (ver previewImport)
+    const [fileName, setFileName] = useState('');
+    const [entries, setEntries] = useState([]);
+
+    // Índices das entradas escolhidas para gravar
+    const [selected, setSelected] = useState(new Set());
+
+    // Resultado de cada entrada já enviada: índice -> { ok, message }
+    const [results, setResults] = useState(new Map());
+
+    // Progresso da gravação: { done, total } (null quando não está a gravar)
+    const [progress, setProgress] = useState(null);
+
+    // Mensagem de erro da leitura do ficheiro
+    const [error, setError] = useState('');
+
+    const saving = progress !== null;
+
+    // Uma entrada pode ser gravada se for nova, ou uma atualização com permissão
+    const canApply = (entry) => (
+        (entry.status === 'novo' || (entry.status === 'atualizado' && canEdit))
+        && !results.get(entry.index)?.ok
+    );
+
+    /**
+     * handleFile - Lê o ficheiro escolhido e prepara a pré-visualização
+     */
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        setError('');
+        setEntries([]);
+        setResults(new Map());
+        setFileName(file ? file.name : '');
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const imported = readRecipes(text, detectFormat(file.name, text));
+            if (imported.length === 0) throw new Error('O ficheiro não tem receitas');
+
+            const preview = previewImport(imported, recipes, categories);
+            setEntries(preview);
+            setSelected(new Set(preview
+                .filter(entry => entry.status === 'novo' || (entry.status === 'atualizado' && canEdit))
+                .map(entry => entry.index)));
+        } catch (readError) {
+            setError(readError.message);
+        }
+    };
+
+    /**
+     * toggleEntry - Escolhe / deixa de escolher uma receita
+     */
+    const toggleEntry = (index) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(index)) next.delete(index);
+            else next.add(index);
+            return next;
+        });
+    };
+
+    /**
+     * handleApply - Grava as receitas escolhidas, aos poucos
+     */
+    const handleApply = async () => {
+        const chosen = entries.filter(entry => selected.has(entry.index) && canApply(entry));
+        setProgress({ done: 0, total: chosen.length });
+
+        const outcomes = await runInBatches(chosen, (entry) => (entry.status === 'novo'
+            ? createRecipe(entry.recipe)
+            : updateRecipe(entry.existing.id, entry.recipe)), {
+            onProgress: (done, total, { item, error: taskError }) => {
+                setProgress({ done, total });
+                setResults(prev => new Map(prev).set(item.index, taskError
+                    ? { ok: false, message: errorMessage(taskError) }
+                    : { ok: true, message: '' }));
+            },
+        });
+
+        // Ficam escolhidas só as que falharam, para poderem ser repetidas
+        setSelected(new Set(outcomes.filter(outcome => outcome.error).map(outcome => outcome.item.index)));
+        setProgress(null);
+        onDone();
+    };
+
+    const counts = entries.reduce((acc, entry) => ({ ...acc, [entry.status]: (acc[entry.status] || 0) + 1 }), {});
+    const pending = entries.filter(entry => selected.has(entry.index) && canApply(entry)).length;
+    const saved = [...results.values()].filter(result => result.ok).length;
+    const failed = [...results.values()].filter(result => !result.ok).length;
+
+    return (
+        <div className="modal-backdrop-custom" onClick={() => !saving && onClose()}>
+            <div className="modal-dialog-custom modal-lg" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 className="modal-title">
+                            <i className="bi bi-upload me-2"></i>
+                            Importar Receitas
+                        </h5>
+                        <button type="button" className="btn-close" onClick={onClose} disabled={saving}></button>
+                    </div>
+
+                    <div className="modal-body">
+                        <input
+                            type="file"
+                            className="form-control"
+                            accept={Object.values(TRANSFER_FORMATS).map(({ extension }) => `.${extension}`).join(',')}
+                            onChange={handleFile}
+                            disabled={saving}
+                            aria-label="Ficheiro a importar"
+                        />
+                        <p className="form-text mb-0">
+                            Ficheiro exportado daqui (JSON, CSV ou Markdown). As receitas são comparadas pelo título.
+                        </p>
+
+                        {error && <div className="alert alert-danger mt-3 mb-0">{error}</div>}
+
+                        {entries.length > 0 && (
+                            <>
+                                {/* Resumo */}
+                                <p className="small mt-3 mb-2">
+                                    <strong>{fileName}</strong>:{' '}
+                                    {Object.entries(STATUS_BADGES)
+                                        .filter(([status]) => counts[status])
+                                        .map(([status, { label }]) => `${counts[status]} ${label.toLowerCase()}`)
+                                        .join(' · ')}
+                                    {!canEdit && counts.atualizado > 0 && (
+                                        <span className="text-muted"> (sem permissão para atualizar receitas existentes)</span>
+                                    )}
+                                </p>
+
+                                {/* Pré-visualização */}
+                                <div className="table-responsive import-preview">
+                                    <table className="table table-sm align-middle mb-0">
+                                        <thead>
+                                            <tr>
+                                                <th scope="col"></th>
+                                                <th scope="col">Receita</th>
+                                                <th scope="col">Estado</th>
+                                                <th scope="col">Resultado</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {entries.map(entry => {
+                                                const badge = STATUS_BADGES[entry.status];
+                                                const result = results.get(entry.index);
+                                                return (
+                                                    <tr key={entry.index}>
+                                                        <td>
+                                                            <input
+                                                                type="checkbox"
+                                                                className="form-check-input"
+                                                                checked={selected.has(entry.index) && canApply(entry)}
+                                                                onChange={() => toggleEntry(entry.index)}
+                                                                disabled={!canApply(entry) || saving}
+                                                                aria-label={`Importar ${entry.recipe.titulo}`}
+                                                            />
+                                                        </td>
+                                                        <td>
+                                                            {entry.recipe.titulo || <span className="text-muted">(sem título)</span>}
+                                                            {entry.newCategory && (
+                                                                <span className="d-block small text-muted">
+                                                                    Categoria nova: {entry.recipe.categoria_id}
+                                                                </span>
+                                                            )}
+                                                        </td>
+                                                        <td>
+                                                            <span className={`badge ${badge.className}`}>{badge.label}</span>
+                                                            {entry.changes.length > 0 && (
+                                                                <span className="d-block small text-muted">
+                                                                    {entry.changes.map(field => FIELD_LABELS[field]).join(', ')}
+                                                                </span>
+                                                            )}
+                                                            {entry.reason && (
+                                                                <span className="d-block small text-muted">{entry.reason}</span>
+                                                            )}
+                                                        </td>
+                                                        <td className="small">
+                                                            {result?.ok && <i className="bi bi-check-circle-fill text-sage" title="Gravada"></i>}
+                                                            {result && !result.ok && (
+                                                                <span className="text-danger">
+                                                                    <i className="bi bi-exclamation-triangle me-1"></i>
+                                                                    {result.message}
+                                                                </span>
+                                                            )}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+
+                        {saving && (
+                            <div className="progress mt-3" role="progressbar" aria-valuenow={progress.done} aria-valuemax={progress.total}>
+                                <div
+                                    className="progress-bar bg-sage"
+                                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                                ></div>
+                            </div>
+                        )}
+                        {!saving && results.size > 0 && (
+                            <div className={`alert ${failed ? 'alert-warning' : 'alert-success'} mt-3 mb-0`}>
+                                {saved === 1 ? '1 receita gravada' : `${saved} receitas gravadas`}
+                                {failed > 0 && `, ${failed} com erro — pode tentar de novo.`}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-outline-secondary" onClick={onClose} disabled={saving}>
+                            Fechar
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sage"
+                            onClick={handleApply}
+                            disabled={saving || pending === 0}
+                        >
+                            {saving ? (
+                                <>
+                                    <span className="spinner-border spinner-border-sm me-2"></span>
+                                    A gravar {progress.done}/{progress.total}...
+                                </>
+                            ) : (
+                                <>
+                                    <i className="bi bi-check-lg me-2"></i>
+                                    {failed > 0 ? 'Tentar de novo' : 'Importar'} ({pending})
+                                </>
+                            )}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkImport;
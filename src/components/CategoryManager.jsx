@@ -0,0 +1,407 @@
+import { useState } from 'react';
+import {
+    createCategory,
+    updateCategory,
+    reorderCategories,
+    deleteCategory,
+    reassignCategoryRecipes,
+} from '../services/api';
+import { CATEGORY_ICONS, CATEGORY_COLORS, DEFAULT_CATEGORY_ICON, moveCategory, countByCategory } from '../services/categories';
+import { errorMessage } from '../utils/batch';
+
+const emptyCategory = { nome: '', icone: '', cor: '' };
+
+const recipeCount = (count) => (count === 1 ? '1 receita' : `${count} receitas`);
+
+/**
+ * IconColorFields - Ícone (emoji da lista ou outro) e cor de uma categoria
+ *
+ * @param {Object} value - { icone, cor }
+ * @param {Function} onChange - Recebe as alterações ({ icone } ou { cor })
+ * @param {string} idPrefix - Prefixo dos ids dos campos (um por formulário)
+ */
+const IconColorFields = ({ value, onChange, idPrefix, disabled }) => (
+    <div className="d-flex flex-wrap align-items-center gap-3">
+        <div className="d-flex align-items-center gap-2">
+            <label htmlFor={`${idPrefix}-icon`} className="small text-muted">Ícone</label>
+            <input
+                id={`${idPrefix}-icon`}
+                type="text"
+                className="form-control form-control-sm category-icon-input"
+                list="category-icon-options"
+                value={value.icone}
+                placeholder={DEFAULT_CATEGORY_ICON}
+                onChange={(e) => onChange({ icone: e.target.value.trim() })}
+                disabled={disabled}
+            />
+        </div>
+        <div className="d-flex align-items-center gap-1" role="radiogroup" aria-label="Cor">
+            <span className="small text-muted me-1">Cor</span>
+            {['', ...CATEGORY_COLORS].map(color => (
+                <button
+                    key={color || 'none'}
+                    type="button"
+                    role="radio"
+                    aria-checked={value.cor === color}
+                    className={`category-swatch ${value.cor === color ? 'active' : ''} ${color ? '' : 'category-swatch-none'}`}
+                    style={color ? { backgroundColor: color } : undefined}
+                    onClick={() => onChange({ cor: color })}
+                    title={color || 'Cor do tema'}
+                    disabled={disabled}
+                ></button>
+            ))}
+        </div>
+    </div>
+);
+
+/**
+ * CategoryManager Component
+ * Janela para gerir as categorias (ver services/categories):
+ * - Criar, mudar o nome, o ícone e a cor, e ordenar (setas)
+ * - Mudar o nome passa as receitas da categoria para o nome novo;
+ *   as que falharem aparecem com a opção de tentar de novo
+ * - Uma categoria com receitas só se elimina depois de as mover para outra
+ *
+ * @param {Array} categories - Categorias, pela ordem
+ * @param {Array} recipes - Receitas (para contar as de cada categoria)
+ * @param {Function} onChange - async; chamada depois de cada alteração (para recarregar os dados)
+ * @param {Function} onClose - Fecha a janela
+ */
+const CategoryManager = ({ categories, recipes, onChange, onClose }) => {
+    // Ordem mostrada enquanto a nova ordem é gravada (null = a das props)
+    const [order, setOrder] = useState(null);
+
+    // Categoria nova a criar
+    const [newCategory, setNewCategory] = useState(emptyCategory);
+
+    // Categoria a ser editada: { id, nome, icone, cor } (null = nenhuma)
+    const [editing, setEditing] = useState(null);
+
+    // Categoria a eliminar: { id, reassignTo } (null = nenhuma)
+    const [deleting, setDeleting] = useState(null);
+
+    // Resultado da última operação: { type, text, failed, retry } (null = nada a mostrar)
+    const [message, setMessage] = useState(null);
+
+    // Boolean que indica se há uma operação em curso
+    const [busy, setBusy] = useState(false);
+
+    const list = order || categories;
+    const counts = countByCategory(recipes);
+
+    /**
+     * run - Corre uma operação: bloqueia os botões, mostra o erro se falhar
+     * e recarrega os dados no fim
+     */
+    const run = async (operation) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            await operation();
+        } catch (error) {
+            setMessage({
+                type: 'danger',
+                text: error.status === 400 || error.status === 409 ? error.message : `Não foi possível gravar: ${errorMessage(error)}`,
+                failed: error.failed || [],
+            });
+        } finally {
+            await onChange();
+            setOrder(null);
+            setBusy(false);
+        }
+    };
+
+    /**
+     * cascadeMessage - Mensagem depois de mudar receitas de categoria
+     * (com a opção de repetir as que falharam)
+     */
+    const cascadeMessage = ({ updated, failed }, from, to) => {
+        if (failed.length > 0) {
+            return {
+                type: 'warning',
+                text: `${recipeCount(failed.length)} não ${failed.length === 1 ? 'passou' : 'passaram'} para «${to}»`,
+                failed,
+                retry: { from, to },
+            };
+        }
+        return { type: 'success', text: `«${to}» gravada${updated > 0 ? ` e ${recipeCount(updated)} atualizada${updated === 1 ? '' : 's'}` : ''}` };
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const category = await createCategory(newCategory);
+            setNewCategory(emptyCategory);
+            setMessage({ type: 'success', text: `Categoria «${category.nome}» criada` });
+        });
+    };
+
+    const handleSave = (category) => run(async () => {
+        const result = await updateCategory(category.id, editing);
+        setEditing(null);
+        setMessage(cascadeMessage(result, category.nome, result.category.nome));
+    });
+
+    // Repete a mudança de categoria das receitas que falharam
+    const handleRetry = ({ from, to }) => run(async () => {
+        setMessage(cascadeMessage(await reassignCategoryRecipes(from, to), from, to));
+    });
+
+    const handleMove = (category, index) => {
+        const moved = moveCategory(list, category.id, index);
+        setOrder(moved);
+        run(async () => {
+            const { failed } = await reorderCategories(moved.map(c => c.id));
+            if (failed.length > 0) {
+                setMessage({ type: 'warning', text: 'A nova ordem não foi toda gravada', failed: failed.map(f => ({ titulo: f.nome, message: f.message })) });
+            }
+        });
+    };
+
+    const handleDelete = (category) => run(async () => {
+        await deleteCategory(category.id, { reassignTo: deleting.reassignTo });
+        setDeleting(null);
+        setMessage({
+            type: 'success',
+            text: deleting.reassignTo
+                ? `Categoria «${category.nome}» eliminada; as receitas passaram para «${deleting.reassignTo}»`
+                : `Categoria «${category.nome}» eliminada`,
+        });
+    });
+
+    return (
+        <div className="modal-backdrop-custom" onClick={() => !busy && onClose()}>
+            <div className="modal-dialog-custom modal-lg" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 className="modal-title">
+                            <i className="bi bi-tags me-2"></i>
+                            Categorias
+                        </h5>
+                        <button type="button" className="btn-close" onClick={onClose} disabled={busy}></button>
+                    </div>
+
+                    <div className="modal-body">
+                        <datalist id="category-icon-options">
+                            {CATEGORY_ICONS.map(icon => <option key={icon} value={icon} />)}
+                        </datalist>
+
+                        {message && (
+                            <div className={`alert alert-${message.type} mb-3`} role="status">
+                                {message.text}
+                                {message.failed?.length > 0 && (
+                                    <ul className="small mb-0 mt-2">
+                                        {message.failed.map((failure, index) => (
+                                            <li key={index}>{failure.titulo}: {failure.message}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                                {message.retry && (
+                                    <button type="button" className="btn btn-sm btn-outline-dark mt-2" onClick={() => handleRetry(message.retry)} disabled={busy}>
+                                        <i className="bi bi-arrow-clockwise me-1"></i>
+                                        Tentar de novo
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Lista de categorias */}
+                        <ul className="list-group mb-4 category-list">
+                            {list.map((category, index) => {
+                                const count = counts[category.nome] || 0;
+                                const isEditing = editing?.id === category.id;
+                                const isDeleting = deleting?.id === category.id;
+                                const others = list.filter(c => c.id !== category.id);
+
+                                return (
+                                    <li key={category.id} className="list-group-item">
+                                        <div className="d-flex align-items-center gap-2">
+                                            <div className="btn-group-vertical btn-group-sm" role="group" aria-label="Ordem">
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-outline-sage"
+                                                    onClick={() => handleMove(category, index - 1)}
+                                                    disabled={busy || index === 0}
+                                                    title="Subir"
+                                                >
+                                                    <i className="bi bi-arrow-up"></i>
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-outline-sage"
+                                                    onClick={() => handleMove(category, index + 1)}
+                                                    disabled={busy || index === list.length - 1}
+                                                    title="Descer"
+                                                >
+                                                    <i className="bi bi-arrow-down"></i>
+                                                </button>
+                                            </div>
+
+                                            {isEditing ? (
+                                                <input
+                                                    type="text"
+                                                    className="form-control"
+                                                    value={editing.nome}
+                                                    onChange={(e) => setEditing(prev => ({ ...prev, nome: e.target.value }))}
+                                                    disabled={busy}
+                                                    aria-label="Nome da categoria"
+                                                    autoFocus
+                                                />
+                                            ) : (
+                                                <span className="flex-grow-1">
+                                                    <span className="category-icon me-2">{category.icone}</span>
+                                                    <span className="fw-medium">{category.nome}</span>
+                                                    {category.cor && (
+                                                        <span className="category-swatch category-swatch-sm ms-2" style={{ backgroundColor: category.cor }}></span>
+                                                    )}
+                                                    <span className="d-block small text-muted">{recipeCount(count)}</span>
+                                                </span>
+                                            )}
+
+                                            {isEditing ? (
+                                                <div className="d-flex gap-1">
+                                                    <button type="button" className="btn btn-sm btn-sage" onClick={() => handleSave(category)} disabled={busy}>
+                                                        Guardar
+                                                    </button>
+                                                    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setEditing(null)} disabled={busy}>
+                                                        Cancelar
+                                                    </button>
+                                                </div>
+                                            ) : (
+                                                <div className="d-flex gap-1">
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-sm btn-outline-sage"
+                                                        onClick={() => {
+                                                            setDeleting(null);
+                                                            setEditing({ id: category.id, nome: category.nome, icone: category.icone, cor: category.cor });
+                                                        }}
+                                                        disabled={busy}
+                                                        title="Editar"
+                                                    >
+                                                        <i className="bi bi-pencil"></i>
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-sm btn-outline-danger"
+                                                        onClick={() => {
+                                                            setEditing(null);
+                                                            setDeleting({ id: category.id, reassignTo: '' });
+                                                        }}
+                                                        disabled={busy}
+                                                        title="Eliminar"
+                                                    >
+                                                        <i className="bi bi-trash"></i>
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </div>
+
+                                        {isEditing && (
+                                            <div className="mt-2">
+                                                <IconColorFields
+                                                    value={editing}
+                                                    onChange={(changes) => setEditing(prev => ({ ...prev, ...changes }))}
+                                                    idPrefix={`category-${category.id}`}
+                                                    disabled={busy}
+                                                />
+                                                {editing.nome.trim() !== category.nome && count > 0 && (
+                                                    <p className="small text-muted mb-0 mt-2">
+                                                        As {recipeCount(count)} desta categoria passam para o nome novo.
+                                                    </p>
+                                                )}
+                                            </div>
+                                        )}
+
+                                        {/* Confirmação: com receitas, escolhe-se para onde vão */}
+                                        {isDeleting && (
+                                            <div className="alert alert-danger mt-2 mb-0">
+                                                {count === 0 && <p className="mb-2">Eliminar a categoria «{category.nome}»?</p>}
+                                                {count > 0 && others.length === 0 && (
+                                                    <p className="mb-2">
+                                                        A categoria tem {recipeCount(count)} e não há outra para onde as mover.
+                                                        Crie outra categoria primeiro.
+                                                    </p>
+                                                )}
+                                                {count > 0 && others.length > 0 && (
+                                                    <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+                                                        <label htmlFor={`reassign-${category.id}`} className="mb-0">
+                                                            Mover as {recipeCount(count)} para
+                                                        </label>
+                                                        <select
+                                                            id={`reassign-${category.id}`}
+                                                            className="form-select form-select-sm w-auto"
+                                                            value={deleting.reassignTo}
+                                                            onChange={(e) => setDeleting(prev => ({ ...prev, reassignTo: e.target.value }))}
+                                                            disabled={busy}
+                                                        >
+                                                            <option value="">Escolher categoria...</option>
+                                                            {others.map(other => (
+                                                                <option key={other.id} value={other.nome}>{other.icone} {other.nome}</option>
+                                                            ))}
+                                                        </select>
+                                                    </div>
+                                                )}
+                                                <div className="d-flex gap-2">
+                                                    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setDeleting(null)} disabled={busy}>
+                                                        Cancelar
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-sm btn-danger"
+                                                        onClick={() => handleDelete(category)}
+                                                        disabled={busy || (count > 0 && !deleting.reassignTo)}
+                                                    >
+                                                        {count > 0 ? 'Mover e eliminar' : 'Eliminar'}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                            {list.length === 0 && (
+                                <li className="list-group-item text-muted">Ainda não há categorias.</li>
+                            )}
+                        </ul>
+
+                        {/* Nova categoria */}
+                        <form onSubmit={handleCreate}>
+                            <h6 className="fw-bold">Nova categoria</h6>
+                            <div className="d-flex gap-2 mb-2">
+                                <input
+                                    type="text"
+                                    className="form-control"
+                                    value={newCategory.nome}
+                                    onChange={(e) => setNewCategory(prev => ({ ...prev, nome: e.target.value }))}
+                                    placeholder="Ex: Entradas"
+                                    disabled={busy}
+                                    aria-label="Nome da nova categoria"
+                                />
+                                <button type="submit" className="btn btn-sage text-nowrap" disabled={busy || !newCategory.nome.trim()}>
+                                    <i className="bi bi-plus-lg me-1"></i>
+                                    Criar
+                                </button>
+                            </div>
+                            <IconColorFields
+                                value={newCategory}
+                                onChange={(changes) => setNewCategory(prev => ({ ...prev, ...changes }))}
+                                idPrefix="category-new"
+                                disabled={busy}
+                            />
+                        </form>
+                    </div>
+
+                    <div className="modal-footer">
+                        {busy && <span className="spinner-border spinner-border-sm text-sage me-auto"></span>}
+                        <button type="button" className="btn btn-outline-secondary" onClick={onClose} disabled={busy}>
+                            Fechar
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CategoryManager;
@@ -0,0 +1,454 @@
+import { useEffect, useReducer, useRef, useState } from 'react';
+import { cookModeReducer, createCookModeState } from '../utils/cookMode';
+import { findDurations, formatCountdown } from '../utils/duration';
+
+// Teclas que avançam / recuam um passo
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp'];
+
+// Web Speech API: leitura em voz alta e reconhecimento de voz (Chrome/Safari usam o prefixo webkit)
+const speechSupported = 'speechSynthesis' in window;
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+// Voz portuguesa de Portugal, se o sistema tiver uma (senão qualquer voz em português)
+const pickVoice = (voices) => {
+    const lang = (voice) => voice.lang.replace('_', '-').toLowerCase();
+    return voices.find(voice => lang(voice) === 'pt-pt')
+        || voices.find(voice => lang(voice).startsWith('pt'));
+};
+
+/**
+ * Ação do reducer com a hora atual (os temporizadores contam a partir dela)
+ */
+const timedAction = (type, fields = {}) => ({ type, ...fields, now: Date.now() });
+
+/**
+ * Toca três bipes curtos (Web Audio; não precisa de ficheiro de som)
+ *
+ * @param {AudioContext|null} context
+ */
+const playAlarm = (context) => {
+    if (!context) return;
+    [0, 0.25, 0.5].forEach(offset => {
+        const start = context.currentTime + offset;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.3, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.2);
+    });
+};
+
+/**
+ * CookMode Component
+ * "Modo Cozinhar": ecrã inteiro com um passo de cada vez em letra grande.
+ * Mantém o ecrã ligado (Wake Lock), oferece temporizadores para os tempos
+ * encontrados no passo ("cozer 20 minutos") e toca um alarme quando acabam.
+ * Vários temporizadores podem correr ao mesmo tempo.
+ *
+ * Mãos ocupadas: os passos podem ser lidos em voz alta (pt-PT) e o modo
+ * aceita comandos de voz ("próximo", "anterior", "repetir", "iniciar
+ * temporizador", "parar alarme"). Os botões só aparecem se o browser
+ * tiver a Web Speech API.
+ *
+ * Teclado: → / Espaço avançam, ← recua, Esc sai.
+ *
+ * @param {string} titulo - Nome da receita
+ * @param {Array<string>} steps - Passos, já com as temperaturas no sistema escolhido
+ * @param {Function} onClose - Chamada ao sair
+ */
+const CookMode = ({ titulo, steps, onClose }) => {
+    const [state, dispatch] = useReducer(cookModeReducer, steps, createCookModeState);
+    const { step, totalSteps, timers, readAloud, listening, announcement, heard } = state;
+
+    // Mensagem quando o microfone não pode ser usado
+    const [voiceError, setVoiceError] = useState('');
+
+    const containerRef = useRef(null);
+
+    // AudioContext do alarme (criado no primeiro toque num temporizador, no "Ler" ou na "Voz")
+    const audioRef = useRef(null);
+
+    const wakeLockSupported = 'wakeLock' in navigator;
+    const isLastStep = step === totalSteps - 1;
+    const durations = findDurations(steps[step]);
+    const hasRunningTimers = timers.some(timer => timer.status === 'running');
+    const isRinging = timers.some(timer => timer.status === 'ringing');
+
+    // O que este browser não consegue fazer (para avisar o utilizador)
+    const missingFeatures = [
+        !wakeLockSupported && 'manter o ecrã ligado',
+        !speechSupported && 'ler os passos em voz alta',
+        !SpeechRecognition && 'ouvir comandos de voz',
+    ].filter(Boolean);
+
+    // ============================================
+    // EFEITOS
+    // ============================================
+
+    /**
+     * Ecrã inteiro e sem scroll na página por trás enquanto está aberto
+     */
+    useEffect(() => {
+        containerRef.current?.requestFullscreen?.().catch(() => {});
+        const previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+
+        return () => {
+            document.body.style.overflow = previousOverflow;
+            if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+            audioRef.current?.close();
+        };
+    }, []);
+
+    /**
+     * Mantém o ecrã ligado. O browser liberta o Wake Lock quando a página
+     * fica escondida, por isso volta a pedi-lo quando ela reaparece.
+     */
+    useEffect(() => {
+        if (!wakeLockSupported) return;
+
+        let sentinel = null;
+        let active = true;
+
+        const requestWakeLock = async () => {
+            try {
+                const lock = await navigator.wakeLock.request('screen');
+                if (active) sentinel = lock;
+                else lock.release();
+            } catch (error) {
+                console.error('Não foi possível manter o ecrã ligado:', error);
+            }
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') requestWakeLock();
+        };
+
+        requestWakeLock();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            active = false;
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            sentinel?.release();
+        };
+    }, [wakeLockSupported]);
+
+    /**
+     * Navegação pelo teclado
+     */
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey) return;
+            // Espaço / Enter num botão já contam como clique nesse botão
+            if ((e.key === ' ' || e.key === 'Enter') && e.target.closest('button')) return;
+
+            if (NEXT_KEYS.includes(e.key)) {
+                e.preventDefault();
+                dispatch({ type: 'NEXT' });
+            } else if (PREVIOUS_KEYS.includes(e.key)) {
+                e.preventDefault();
+                dispatch({ type: 'PREVIOUS' });
+            } else if (e.key === 'Escape') {
+                onClose();
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    /**
+     * Relógio dos temporizadores (só corre se houver algum a contar)
+     */
+    useEffect(() => {
+        if (!hasRunningTimers) return;
+        const interval = setInterval(() => dispatch(timedAction('TICK')), 250);
+        return () => clearInterval(interval);
+    }, [hasRunningTimers]);
+
+    /**
+     * Alarme: bipes (e vibração) repetidos enquanto houver temporizadores a tocar
+     */
+    useEffect(() => {
+        if (!isRinging) return;
+        const ring = () => {
+            playAlarm(audioRef.current);
+            navigator.vibrate?.([300, 100, 300]);
+        };
+        ring();
+        const interval = setInterval(ring, 1500);
+        return () => clearInterval(interval);
+    }, [isRinging]);
+
+    /**
+     * Leitura em voz alta: lê o passo atual sempre que o reducer o pede
+     * (mudança de passo, "repetir" ou ao ligar a leitura)
+     */
+    useEffect(() => {
+        if (!speechSupported || !readAloud) return;
+
+        const utterance = new SpeechSynthesisUtterance(steps[step]);
+        utterance.lang = 'pt-PT';
+        const voice = pickVoice(window.speechSynthesis.getVoices());
+        if (voice) utterance.voice = voice;
+        window.speechSynthesis.speak(utterance);
+
+        return () => window.speechSynthesis.cancel();
+    }, [readAloud, announcement, steps, step]);
+
+    /**
+     * Comandos de voz: cada frase reconhecida vai para o reducer,
+     * que decide o que fazer com ela
+     */
+    useEffect(() => {
+        if (!listening || !SpeechRecognition) return;
+
+        let active = true;
+        const recognition = new SpeechRecognition();
+        recognition.lang = 'pt-PT';
+        recognition.continuous = true;
+        recognition.interimResults = false;
+
+        recognition.onresult = (event) => {
+            // Ignora o que for ouvido enquanto a própria app está a ler
+            if (speechSupported && window.speechSynthesis.speaking) return;
+            const result = event.results[event.results.length - 1];
+            dispatch(timedAction('VOICE_COMMAND', { transcript: result[0].transcript.trim() }));
+        };
+
+        recognition.onerror = (event) => {
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                active = false;
+                setVoiceError('Sem acesso ao microfone. Verifique as permissões do browser.');
+                dispatch({ type: 'SET_LISTENING', listening: false });
+            }
+        };
+
+        // O browser deixa de ouvir depois de algum silêncio: recomeça
+        recognition.onend = () => {
+            if (!active) return;
+            try {
+                recognition.start();
+            } catch (error) {
+                console.error('Erro ao reiniciar o reconhecimento de voz:', error);
+            }
+        };
+
+        recognition.start();
+
+        return () => {
+            active = false;
+            recognition.abort();
+        };
+    }, [listening]);
+
+    // ============================================
+    // FUNÇÕES
+    // ============================================
+
+    /**
+     * unlockAudio - Cria / retoma o AudioContext do alarme
+     * O som só pode ser ativado depois de um toque, por isso é chamada
+     * nos botões: temporizador, "Ler" e "Voz" (um temporizador pedido
+     * por voz não passa por nenhum toque).
+     */
+    const unlockAudio = () => {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!audioRef.current && AudioContext) audioRef.current = new AudioContext();
+        audioRef.current?.resume();
+    };
+
+    /**
+     * startTimer - Inicia um temporizador para um tempo do passo atual
+     */
+    const startTimer = (duration) => {
+        unlockAudio();
+        dispatch(timedAction('START_TIMER', duration));
+    };
+
+    /**
+     * toggleReadAloud - Liga / desliga a leitura dos passos em voz alta
+     */
+    const toggleReadAloud = () => {
+        unlockAudio();
+        dispatch({ type: 'SET_READ_ALOUD', enabled: !readAloud });
+    };
+
+    /**
+     * toggleListening - Liga / desliga os comandos de voz
+     */
+    const toggleListening = () => {
+        unlockAudio();
+        setVoiceError('');
+        dispatch({ type: 'SET_LISTENING', listening: !listening });
+    };
+
+    // ============================================
+    // RENDER (JSX)
+    // ============================================
+    return (
+        <div
+            className="cook-mode"
+            ref={containerRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={`Modo Cozinhar: ${titulo}`}
+        >
+            {/* Cabeçalho: receita, progresso e sair */}
+            <header className="cook-mode-header">
+                <span className="cook-mode-title">{titulo}</span>
+                <span className="cook-mode-counter">
+                    Passo {step + 1} de {totalSteps}
+                </span>
+                {speechSupported && (
+                    <button
+                        className={`btn ${readAloud ? 'btn-sage' : 'btn-outline-sage'}`}
+                        onClick={toggleReadAloud}
+                        aria-pressed={readAloud}
+                        title="Ler os passos em voz alta"
+                    >
+                        <i className={`bi ${readAloud ? 'bi-volume-up-fill' : 'bi-volume-mute'}`}></i>
+                        <span className="d-none d-md-inline ms-2">Ler</span>
+                    </button>
+                )}
+                {SpeechRecognition && (
+                    <button
+                        className={`btn ${listening ? 'btn-sage' : 'btn-outline-sage'}`}
+                        onClick={toggleListening}
+                        aria-pressed={listening}
+                        title="Comandos de voz"
+                    >
+                        <i className={`bi ${listening ? 'bi-mic-fill' : 'bi-mic-mute'}`}></i>
+                        <span className="d-none d-md-inline ms-2">Voz</span>
+                    </button>
+                )}
+                <button className="btn btn-outline-secondary" onClick={onClose}>
+                    <i className="bi bi-x-lg me-2"></i>
+                    Sair
+                </button>
+            </header>
+
+            <div className="cook-mode-progress">
+                <div style={{ width: `${((step + 1) / totalSteps) * 100}%` }}></div>
+            </div>
+
+            {/* Passo atual */}
+            <main className="cook-mode-step" aria-live="polite">
+                <p className="cook-mode-text">{steps[step]}</p>
+
+                {/* Um botão de temporizador por cada tempo encontrado no passo */}
+                {durations.length > 0 && (
+                    <div className="cook-mode-timer-buttons">
+                        {durations.map((duration, index) => (
+                            <button
+                                key={index}
+                                className="btn btn-sage btn-lg"
+                                onClick={() => startTimer(duration)}
+                            >
+                                <i className="bi bi-stopwatch me-2"></i>
+                                {duration.text}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Comandos de voz: o que dizer e o que foi ouvido */}
+                {listening && (
+                    <p className="cook-mode-voice">
+                        <i className="bi bi-mic-fill me-2"></i>
+                        Diga "próximo", "anterior", "repetir" ou "iniciar temporizador"
+                        {heard && (
+                            <span className="d-block">
+                                Ouvi: «{heard.transcript}»{!heard.command && ' (não percebi)'}
+                            </span>
+                        )}
+                    </p>
+                )}
+                {voiceError && <p className="cook-mode-hint text-danger">{voiceError}</p>}
+
+                {missingFeatures.length > 0 && (
+                    <p className="cook-mode-hint">
+                        Este browser não consegue {missingFeatures.join(' nem ')}.
+                    </p>
+                )}
+            </main>
+
+            {/* Temporizadores a correr */}
+            {timers.length > 0 && (
+                <div className="cook-mode-timers">
+                    {timers.map(timer => (
+                        <div key={timer.id} className={`cook-timer ${timer.status}`} role="timer">
+                            <span className="cook-timer-time">
+                                {formatCountdown(timer.remaining / 1000)}
+                            </span>
+                            <span className="cook-timer-label">{timer.label}</span>
+
+                            {timer.status === 'ringing' ? (
+                                <button
+                                    className="btn btn-light btn-sm"
+                                    onClick={() => dispatch({ type: 'CANCEL_TIMER', id: timer.id })}
+                                >
+                                    <i className="bi bi-bell-slash me-1"></i>
+                                    Parar
+                                </button>
+                            ) : (
+                                <>
+                                    <button
+                                        className="btn btn-link btn-sm"
+                                        onClick={() => dispatch(timedAction(
+                                            timer.status === 'running' ? 'PAUSE_TIMER' : 'RESUME_TIMER',
+                                            { id: timer.id }
+                                        ))}
+                                        aria-label={timer.status === 'running' ? 'Pausar' : 'Continuar'}
+                                    >
+                                        <i className={`bi ${timer.status === 'running' ? 'bi-pause-fill' : 'bi-play-fill'}`}></i>
+                                    </button>
+                                    <button
+                                        className="btn btn-link btn-sm"
+                                        onClick={() => dispatch({ type: 'CANCEL_TIMER', id: timer.id })}
+                                        aria-label="Cancelar"
+                                    >
+                                        <i className="bi bi-x-lg"></i>
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Navegação: botões grandes, fáceis de acertar com as mãos ocupadas */}
+            <footer className="cook-mode-nav">
+                <button
+                    className="cook-mode-nav-button"
+                    onClick={() => dispatch({ type: 'PREVIOUS' })}
+                    disabled={step === 0}
+                >
+                    <i className="bi bi-chevron-left me-2"></i>
+                    Anterior
+                </button>
+                {isLastStep ? (
+                    <button className="cook-mode-nav-button primary" onClick={onClose}>
+                        Concluir
+                        <i className="bi bi-check-lg ms-2"></i>
+                    </button>
+                ) : (
+                    <button
+                        className="cook-mode-nav-button primary"
+                        onClick={() => dispatch({ type: 'NEXT' })}
+                    >
+                        Seguinte
+                        <i className="bi bi-chevron-right ms-2"></i>
+                    </button>
+                )}
+            </footer>
+        </div>
+    );
+};
+
+export default CookMode;
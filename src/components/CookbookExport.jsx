@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import { getRecipes, getCategories, getCollections } from '../services/api';
+import { createCookbook, cookbookFileName } from '../utils/cookbook';
+
+/**
+ * CookbookExport Component
+ * Janela para gerar um "Livro de Receitas" em PDF (ver utils/cookbook),
+ * com as receitas de algumas categorias ou de um dos livros do utilizador.
+ *
+ * @param {number|string} [collectionId] - Livro escolhido ao abrir (senão escolhem-se categorias)
+ * @param {Function} onClose - Fecha a janela
+ */
+const CookbookExport = ({ collectionId = null, onClose }) => {
+    // Receitas, categorias e livros (null enquanto carregam)
+    const [data, setData] = useState(null);
+
+    // Origem das receitas: 'categorias' ou 'livro'
+    const [mode, setMode] = useState(collectionId ? 'livro' : 'categorias');
+
+    // Categorias escolhidas (null = todas, até o utilizador mudar)
+    const [selectedCategories, setSelectedCategories] = useState(null);
+
+    // Livro escolhido
+    const [selectedCollection, setSelectedCollection] = useState(collectionId ? String(collectionId) : '');
+
+    // Título escrito (vazio = título automático)
+    const [title, setTitle] = useState('');
+
+    // Boolean que indica se as fotografias entram no livro
+    const [images, setImages] = useState(true);
+
+    // Progresso da geração: { done, total } (null quando não está a gerar)
+    const [progress, setProgress] = useState(null);
+
+    // Boolean que indica que a última geração falhou
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        Promise.all([getRecipes(), getCategories(), getCollections()])
+            .then(([recipes, categories, collections]) => setData({ recipes, categories, collections }))
+            .catch(error => {
+                console.error('Erro ao carregar receitas:', error);
+                setData({ recipes: [], categories: [], collections: [] });
+            });
+    }, []);
+
+    // ============================================
+    // RECEITAS ESCOLHIDAS
+    // ============================================
+
+    const categoryNames = data ? data.categories.map(category => category.nome) : [];
+    const chosenCategories = selectedCategories || categoryNames;
+    const collection = data?.collections.find(c => String(c.id) === selectedCollection) || null;
+
+    let recipes = [];
+    if (data && mode === 'categorias') {
+        // Pela ordem das categorias, para os capítulos seguirem essa ordem
+        recipes = chosenCategories.flatMap(nome => data.recipes.filter(recipe => recipe.categoria === nome));
+    } else if (data && collection) {
+        // Pela ordem do livro
+        const byId = new Map(data.recipes.map(recipe => [String(recipe.id), recipe]));
+        recipes = collection.itens.map(item => byId.get(String(item.receita))).filter(Boolean);
+    }
+
+    const bookTitle = title.trim() || (mode === 'livro' && collection ? collection.nome : 'Livro de Receitas');
+
+    /**
+     * toggleCategory - Põe / tira uma categoria do livro
+     */
+    const toggleCategory = (nome) => {
+        setSelectedCategories(chosenCategories.includes(nome)
+            ? chosenCategories.filter(c => c !== nome)
+            : categoryNames.filter(c => c === nome || chosenCategories.includes(c)));
+    };
+
+    /**
+     * handleGenerate - Gera e descarrega o PDF
+     */
+    const handleGenerate = async () => {
+        setFailed(false);
+        setProgress({ done: 0, total: recipes.length });
+        try {
+            const cookbook = await createCookbook(recipes, {
+                title: bookTitle,
+                images,
+                onProgress: (done, total) => setProgress({ done, total }),
+            });
+            cookbook.save(cookbookFileName(bookTitle));
+            onClose();
+        } catch (error) {
+            console.error('Erro ao gerar o livro:', error);
+            setFailed(true);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const generating = progress !== null;
+
+    return (
+        <div className="modal-backdrop-custom" onClick={() => !generating && onClose()}>
+            <div className="modal-dialog-custom" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 className="modal-title">
+                            <i className="bi bi-file-earmark-pdf me-2"></i>
+                            Livro de Receitas em PDF
+                        </h5>
+                        <button type="button" className="btn-close" onClick={onClose} disabled={generating}></button>
+                    </div>
+
+                    <div className="modal-body">
+                        {data === null ? (
+                            <div className="text-center py-3">
+                                <div className="spinner-border text-sage" role="status">
+                                    <span className="visually-hidden">A carregar...</span>
+                                </div>
+                            </div>
+                        ) : (
+                            <>
+                                {/* Origem das receitas */}
+                                <div className="btn-group w-100 mb-3" role="group" aria-label="Receitas do livro">
+                                    <button
+                                        type="button"
+                                        className={`btn ${mode === 'categorias' ? 'btn-sage' : 'btn-outline-sage'}`}
+                                        onClick={() => setMode('categorias')}
+                                    >
+                                        Por categoria
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className={`btn ${mode === 'livro' ? 'btn-sage' : 'btn-outline-sage'}`}
+                                        onClick={() => setMode('livro')}
+                                        disabled={data.collections.length === 0}
+                                    >
+                                        De um dos meus livros
+                                    </button>
+                                </div>
+
+                                {mode === 'categorias' ? (
+                                    <div className="mb-3">
+                                        {data.categories.map(category => (
+                                            <div key={category.id} className="form-check form-check-inline">
+                                                <input
+                                                    type="checkbox"
+                                                    className="form-check-input"
+                                                    id={`cookbook-category-${category.id}`}
+                                                    checked={chosenCategories.includes(category.nome)}
+                                                    onChange={() => toggleCategory(category.nome)}
+                                                />
+                                                <label className="form-check-label" htmlFor={`cookbook-category-${category.id}`}>
+                                                    {category.nome}
+                                                </label>
+                                            </div>
+                                        ))}
+                                    </div>
+                                ) : (
+                                    <select
+                                        className="form-select mb-3"
+                                        value={selectedCollection}
+                                        onChange={(e) => setSelectedCollection(e.target.value)}
+                                        aria-label="Livro"
+                                    >
+                                        <option value="">Escolha um livro…</option>
+                                        {data.collections.map(c => (
+                                            <option key={c.id} value={String(c.id)}>{c.nome}</option>
+                                        ))}
+                                    </select>
+                                )}
+
+                                {/* Título e fotografias */}
+                                <label className="form-label" htmlFor="cookbook-title">Título</label>
+                                <input
+                                    type="text"
+                                    id="cookbook-title"
+                                    className="form-control mb-3"
+                                    placeholder={bookTitle}
+                                    value={title}
+                                    onChange={(e) => setTitle(e.target.value)}
+                                />
+                                <div className="form-check mb-3">
+                                    <input
+                                        type="checkbox"
+                                        className="form-check-input"
+                                        id="cookbook-images"
+                                        checked={images}
+                                        onChange={(e) => setImages(e.target.checked)}
+                                    />
+                                    <label className="form-check-label" htmlFor="cookbook-images">
+                                        Incluir as fotografias
+                                    </label>
+                                </div>
+
+                                <p className="text-muted small mb-0">
+                                    {recipes.length === 1 ? '1 receita' : `${recipes.length} receitas`}, com capa,
+                                    índice e um capítulo por categoria.
+                                </p>
+
+                                {generating && (
+                                    <div className="progress mt-3" role="progressbar" aria-valuenow={progress.done} aria-valuemax={progress.total}>
+                                        <div
+                                            className="progress-bar bg-sage"
+                                            style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                                        ></div>
+                                    </div>
+                                )}
+                                {failed && (
+                                    <div className="alert alert-danger mt-3 mb-0">
+                                        Não foi possível gerar o PDF. Tente novamente.
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-outline-secondary" onClick={onClose} disabled={generating}>
+                            Cancelar
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sage"
+                            onClick={handleGenerate}
+                            disabled={generating || recipes.length === 0}
+                        >
+                            {generating ? (
+                                <>
+                                    <span className="spinner-border spinner-border-sm me-2"></span>
+                                    A gerar...
+                                </>
+                            ) : (
+                                <>
+                                    <i className="bi bi-download me-2"></i>
+                                    Gerar PDF
+                                </>
+                            )}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CookbookExport;
@@ -0,0 +1,21 @@
+import { highlightText } from '../utils/search';
+
+/**
+ * Highlight Component
+ * Mostra um texto com as palavras pesquisadas destacadas (<mark>)
+ * A correspondência ignora acentos e plurais (ver utils/search)
+ *
+ * @param {string} text - Texto a mostrar
+ * @param {string} query - Texto pesquisado
+ */
+const Highlight = ({ text, query }) => {
+    if (!query) return text;
+
+    return highlightText(text, query).map((segment, index) =>
+        segment.match
+            ? <mark key={index} className="search-highlight">{segment.text}</mark>
+            : <span key={index}>{segment.text}</span>
+    );
+};
+
+export default Highlight;
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import {
+    UNITS,
+    emptyIngredient,
+    formatQuantity,
+    parseIngredients,
+    serializeIngredients,
+} from '../utils/ingredients';
+
+/**
+ * IngredientEditor Component
+ * Editor de ingredientes linha a linha (quantidade, unidade, nome, nota, grupo)
+ * Permite também colar/editar a lista como texto, um ingrediente por linha
+ *
+ * @param {Array} value - Lista de ingredientes
+ * @param {Function} onChange - Recebe a nova lista
+ */
+const IngredientEditor = ({ value, onChange }) => {
+    // Modo texto: mostra a lista num textarea (útil para colar receitas)
+    const [textMode, setTextMode] = useState(false);
+    const [text, setText] = useState('');
+
+    const rows = value.length > 0 ? value : [emptyIngredient()];
+
+    // Atualiza um campo de uma linha
+    const updateRow = (index, field, fieldValue) => {
+        onChange(rows.map((row, i) => (i === index ? { ...row, [field]: fieldValue } : row)));
+    };
+
+    // Adiciona uma linha no fim, no mesmo grupo da última
+    const addRow = () => {
+        onChange([...rows, emptyIngredient(rows[rows.length - 1]?.grupo || '')]);
+    };
+
+    const removeRow = (index) => {
+        onChange(rows.filter((_, i) => i !== index));
+    };
+
+    // Troca uma linha com a vizinha (direction: -1 sobe, +1 desce)
+    const moveRow = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= rows.length) return;
+        const next = [...rows];
+        [next[index], next[target]] = [next[target], next[index]];
+        onChange(next);
+    };
+
+    const toggleTextMode = () => {
+        if (!textMode) setText(serializeIngredients(rows));
+        setTextMode(!textMode);
+    };
+
+    const handleTextChange = (e) => {
+        setText(e.target.value);
+        onChange(parseIngredients(e.target.value));
+    };
+
+    return (
+        <div className="ingredient-editor">
+            <div className="d-flex justify-content-between align-items-center mb-2">
+                <label className="form-label mb-0">Ingredientes</label>
+                <button type="button" className="btn btn-sm btn-link text-sage" onClick={toggleTextMode}>
+                    <i className={`bi ${textMode ? 'bi-list-ul' : 'bi-textarea-t'} me-1`}></i>
+                    {textMode ? 'Editar por linhas' : 'Editar como texto'}
+                </button>
+            </div>
+
+            {textMode ? (
+                <textarea
+                    className="form-control"
+                    value={text}
+                    onChange={handleTextChange}
+                    rows="6"
+                    placeholder={'Um ingrediente por linha, ex:\n500 g de bacalhau\n2 dentes de alho\nPara o molho:\n2 dl de natas'}
+                ></textarea>
+            ) : (
+                <>
+                    {/* Sugestões de unidades para o campo "Unidade" */}
+                    <datalist id="ingredient-units">
+                        {UNITS.map(unit => (
+                            <option key={unit.unidade} value={unit.unidade} />
+                        ))}
+                        <option value="q.b." />
+                    </datalist>
+
+                    {rows.map((row, index) => (
+                        <div key={index} className="ingredient-row row g-2 mb-2 align-items-center">
+                            <div className="col-3 col-md-2">
+                                <input
+                                    type="text"
+                                    className="form-control form-control-sm"
+                                    placeholder="Qtd."
+                                    value={typeof row.quantidade === 'number' ? formatQuantity(row.quantidade) : (row.quantidade ?? '')}
+                                    onChange={(e) => updateRow(index, 'quantidade', e.target.value)}
+                                    aria-label="Quantidade"
+                                />
+                            </div>
+                            <div className="col-4 col-md-2">
+                                <input
+                                    type="text"
+                                    className="form-control form-control-sm"
+                                    placeholder="Unidade"
+                                    list="ingredient-units"
+                                    value={row.unidade}
+                                    onChange={(e) => updateRow(index, 'unidade', e.target.value)}
+                                    aria-label="Unidade"
+                                />
+                            </div>
+                            <div className="col-5 col-md-3">
+                                <input
+                                    type="text"
+                                    className="form-control form-control-sm"
+                                    placeholder="Ingrediente"
+                                    value={row.nome}
+                                    onChange={(e) => updateRow(index, 'nome', e.target.value)}
+                                    aria-label="Ingrediente"
+                                    required={index === 0}
+                                />
+                            </div>
+                            <div className="col-6 col-md-2">
+                                <input
+                                    type="text"
+                                    className="form-control form-control-sm"
+                                    placeholder="Nota"
+                                    value={row.nota}
+                                    onChange={(e) => updateRow(index, 'nota', e.target.value)}
+                                    aria-label="Nota"
+                                />
+                            </div>
+                            <div className="col-6 col-md-2">
+                                <input
+                                    type="text"
+                                    className="form-control form-control-sm"
+                                    placeholder="Grupo"
+                                    value={row.grupo}
+                                    onChange={(e) => updateRow(index, 'grupo', e.target.value)}
+                                    aria-label="Grupo"
+                                />
+                            </div>
+                            <div className="col-12 col-md-1 d-flex gap-1 justify-content-end">
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-secondary px-1"
+                                    onClick={() => moveRow(index, -1)}
+                                    disabled={index === 0}
+                                    title="Subir"
+                                >
+                                    <i className="bi bi-arrow-up"></i>
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-danger px-1"
+                                    onClick={() => removeRow(index)}
+                                    disabled={rows.length === 1}
+                                    title="Remover"
+                                >
+                                    <i className="bi bi-x-lg"></i>
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+
+                    <button type="button" className="btn btn-sm btn-outline-sage" onClick={addRow}>
+                        <i className="bi bi-plus-lg me-1"></i>
+                        Adicionar ingrediente
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default IngredientEditor;
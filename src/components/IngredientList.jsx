@@ -0,0 +1,38 @@
+import { groupIngredients, formatQuantity, formatUnit } from '../utils/ingredients';
+
+/**
+ * IngredientList Component
+ * Lista de ingredientes estruturados, separada por grupos (ex: "Para o molho")
+ *
+ * @param {Array} ingredientes - Lista de ingredientes (ver utils/ingredients)
+ */
+const IngredientList = ({ ingredientes }) => (
+    <div className="ingredients-box">
+        {groupIngredients(ingredientes).map((group, groupIndex) => (
+            <div key={groupIndex} className="ingredient-group">
+                {group.grupo && (
+                    <h6 className="ingredient-group-title">{group.grupo}</h6>
+                )}
+                {group.itens.map((ingredient, index) => (
+                    <div key={index} className="ingredient-item">
+                        <i className="bi bi-check2 text-sage me-2"></i>
+                        {ingredient.quantidade !== null && (
+                            <span className="ingredient-amount">
+                                {formatQuantity(ingredient.quantidade, ingredient.unidade)}
+                                {ingredient.unidade && ` ${formatUnit(ingredient.unidade, ingredient.quantidade)}`}
+                            </span>
+                        )}
+                        {ingredient.quantidade !== null && (ingredient.unidade ? ' de ' : ' ')}
+                        {ingredient.nome}
+                        {ingredient.quantidade === null && ingredient.unidade && ` ${ingredient.unidade}`}
+                        {ingredient.nota && (
+                            <span className="text-muted">, {ingredient.nota}</span>
+                        )}
+                    </div>
+                ))}
+            </div>
+        ))}
+    </div>
+);
+
+export default IngredientList;
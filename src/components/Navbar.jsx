@@ -1,13 +1,42 @@
+import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { isAuthenticated, logout } from '../services/api';
+import {
+    getSession,
+    can,
+    logout,
+    isOnline,
+    getPendingChangesCount,
+    subscribeToPendingChanges,
+} from '../services/api';
+import { PERMISSIONS, ROLE_LABELS } from '../services/permissions';
 
 /**
  * Navbar Component
- * Barra de navegação responsiva com Bootstrap e estilo customizado
+ * Barra de navegação responsiva com Bootstrap e estilo customizado.
+ * Mostra um aviso quando não há ligação ou há alterações por enviar.
  */
 const Navbar = () => {
     const navigate = useNavigate();
-    const loggedIn = isAuthenticated();
+    const session = getSession();
+    const loggedIn = session !== null;
+
+    // Estado da ligação e número de alterações feitas offline por enviar
+    const [online, setOnline] = useState(isOnline);
+    const [pendingChanges, setPendingChanges] = useState(getPendingChangesCount);
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        const unsubscribe = subscribeToPendingChanges(setPendingChanges);
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            unsubscribe();
+        };
+    }, []);
 
     const handleLogout = () => {
         logout();
@@ -15,7 +44,7 @@ const Navbar = () => {
     };
 
     return (
-        <nav className="navbar navbar-expand-lg navbar-light bg-white sticky-top shadow-sm">
+        <nav className="navbar navbar-expand-lg navbar-light bg-white sticky-top shadow-sm d-print-none">
             <div className="container">
                 {/* Brand */}
                 <Link className="navbar-brand d-flex align-items-center gap-2" to="/">
@@ -23,6 +52,19 @@ const Navbar = () => {
                     <span className="fw-semibold">Receitas da Avó</span>
                 </Link>
 
+                {/* Indicador offline (fora do menu, para se ver também no telemóvel) */}
+                {(!online || pendingChanges > 0) && (
+                    <span
+                        className={`offline-indicator ${online ? 'syncing' : ''} ms-auto ms-lg-3 me-2`}
+                        role="status"
+                        title={pendingChanges > 0 ? `${pendingChanges} alteração(ões) por enviar` : undefined}
+                    >
+                        <i className={`bi ${online ? 'bi-arrow-repeat' : 'bi-wifi-off'} me-1`}></i>
+                        {online ? 'A sincronizar' : 'Sem ligação'}
+                        {pendingChanges > 0 && <span className="offline-pending">{pendingChanges}</span>}
+                    </span>
+                )}
+
                 {/* Mobile Toggle */}
                 <button
                     className="navbar-toggler border-0"
@@ -45,14 +87,40 @@ const Navbar = () => {
                                 Início
                             </Link>
                         </li>
+                        <li className="nav-item">
+                            <Link className="nav-link px-3" to="/livros">
+                                <i className="bi bi-bookmarks me-1"></i>
+                                Os meus livros
+                            </Link>
+                        </li>
+                        <li className="nav-item">
+                            <Link className="nav-link px-3" to="/planeador">
+                                <i className="bi bi-calendar-week me-1"></i>
+                                Planeador
+                            </Link>
+                        </li>
+                        <li className="nav-item">
+                            <Link className="nav-link px-3" to="/lista-compras">
+                                <i className="bi bi-cart3 me-1"></i>
+                                Compras
+                            </Link>
+                        </li>
 
                         {loggedIn ? (
                             <>
+                                {can(PERMISSIONS.DASHBOARD_VIEW) && (
+                                    <li className="nav-item">
+                                        <Link className="nav-link px-3" to="/admin">
+                                            <i className="bi bi-grid-3x3-gap me-1"></i>
+                                            Dashboard
+                                        </Link>
+                                    </li>
+                                )}
                                 <li className="nav-item">
-                                    <Link className="nav-link px-3" to="/admin">
-                                        <i className="bi bi-grid-3x3-gap me-1"></i>
-                                        Dashboard
-                                    </Link>
+                                    <span className="navbar-text small px-2" title={ROLE_LABELS[session.role]}>
+                                        <i className="bi bi-person-circle me-1"></i>
+                                        {session.nome}
+                                    </span>
                                 </li>
                                 <li className="nav-item">
                                     <button
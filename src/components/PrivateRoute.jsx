@@ -1,16 +1,25 @@
 import { Navigate } from 'react-router-dom';
-import { isAuthenticated } from '../services/api';
+import { isAuthenticated, can } from '../services/api';
+import Forbidden from '../pages/Forbidden';
 
 /**
  * PrivateRoute Component
  * Protege rotas que requerem autenticação
- * Redireciona para /login se não autenticado
+ * Redireciona para /login se não houver sessão válida
+ * (token assinado e dentro do prazo)
+ * Mostra a página 403 se o papel não tiver a permissão pedida
+ *
+ * @param {string} [permission] - Permissão exigida (ver services/permissions)
  */
-const PrivateRoute = ({ children }) => {
+const PrivateRoute = ({ children, permission }) => {
     if (!isAuthenticated()) {
         return <Navigate to="/login" replace />;
     }
 
+    if (permission && !can(permission)) {
+        return <Forbidden />;
+    }
+
     return children;
 };
 
@@ -1,11 +1,28 @@
 import { Link } from 'react-router-dom';
+import { formatDuration } from '../utils/duration';
+import { formatIngredient } from '../utils/ingredients';
+import { findSnippet } from '../utils/search';
+import Highlight from './Highlight';
 
 /**
  * RecipeCard Component
  * Card de receita com imagem, informações e contador de likes
+ *
+ * @param {Object} recipe - Receita normalizada
+ * @param {string} [highlight] - Texto pesquisado: destaca-o no título e,
+ *                               se só aparecer nos ingredientes ou instruções, mostra um excerto
+ * @param {ReactNode} [children] - Conteúdo extra, mostrado por baixo do título
+ * @param {ReactNode} [actions] - Controlos por baixo do card, fora do link
+ *                                (ex: reordenar numa coleção)
  */
-const RecipeCard = ({ recipe }) => {
-    const { id, titulo, imagem_url, tempo_preparo, categoria, likes } = recipe;
+const RecipeCard = ({ recipe, highlight = '', children, actions }) => {
+    const { id, titulo, imagem_url, tempo_preparo, minutos, categoria, likes } = recipe;
+
+    // Excerto onde a pesquisa foi encontrada (se não estiver no título)
+    const snippet = highlight && !findSnippet(titulo, highlight)
+        ? findSnippet(recipe.ingredientes.map(formatIngredient).join(', '), highlight) ||
+          findSnippet(recipe.instrucoes, highlight)
+        : null;
 
     return (
         <div className="col">
@@ -27,13 +44,23 @@ const RecipeCard = ({ recipe }) => {
 
                     {/* Conteúdo */}
                     <div className="card-body d-flex flex-column">
-                        <h5 className="card-title mb-2">{titulo}</h5>
+                        <h5 className="card-title mb-2">
+                            <Highlight text={titulo} query={highlight} />
+                        </h5>
+
+                        {snippet && (
+                            <p className="card-snippet small text-muted mb-2">
+                                <Highlight text={snippet} query={highlight} />
+                            </p>
+                        )}
+
+                        {children}
 
                         <div className="mt-auto d-flex justify-content-between align-items-center">
-                            {/* Tempo de preparo */}
+                            {/* Tempo total (ou o texto original, se não for reconhecido) */}
                             <span className="text-muted small">
                                 <i className="bi bi-clock me-1"></i>
-                                {tempo_preparo}
+                                {minutos !== null ? formatDuration(minutos) : tempo_preparo}
                             </span>
 
                             {/* Likes */}
@@ -45,6 +72,8 @@ const RecipeCard = ({ recipe }) => {
                     </div>
                 </div>
             </Link>
+
+            {actions && <div className="recipe-card-actions">{actions}</div>}
         </div>
     );
 };
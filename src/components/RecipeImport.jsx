@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import { importRecipe } from '../utils/recipeImport';
+
+/**
+ * RecipeImport Component
+ * Janela para importar uma receita de fora (ver utils/recipeImport):
+ * - Endereço de uma página (só funciona se o site permitir pedidos de outros sites)
+ * - Ficheiro HTML da página guardada, ou ficheiro .json com JSON-LD
+ * - Texto colado: JSON-LD ou a receita escrita
+ *
+ * O resultado não é gravado aqui: vai para o formulário, para ser revisto.
+ *
+ * @param {Function} onImport - Recebe { recipe, source }
+ * @param {Function} onClose - Fecha a janela
+ */
+const RecipeImport = ({ onImport, onClose }) => {
+    // Origem escolhida: 'texto', 'ficheiro' ou 'endereco'
+    const [mode, setMode] = useState('texto');
+
+    // Texto colado e endereço escrito
+    const [text, setText] = useState('');
+    const [url, setUrl] = useState('');
+
+    // Ficheiro escolhido
+    const [file, setFile] = useState(null);
+
+    // Mensagem de erro da última tentativa
+    const [error, setError] = useState('');
+
+    // Boolean que indica que a página / ficheiro está a ser lido
+    const [reading, setReading] = useState(false);
+
+    /**
+     * readInput - Lê o conteúdo a importar conforme a origem escolhida
+     *
+     * @returns {Promise<Object>} { content, baseUrl }
+     */
+    const readInput = async () => {
+        if (mode === 'ficheiro') return { content: await file.text(), baseUrl: '' };
+        if (mode === 'texto') return { content: text, baseUrl: '' };
+
+        let response;
+        try {
+            response = await fetch(url);
+        } catch {
+            // Pedido bloqueado (CORS) ou sem rede
+            throw new Error(
+                'Não foi possível abrir o endereço: o site pode não permitir pedidos de outros sites. '
+                + 'Guarde a página no computador (Ctrl+S) e importe o ficheiro HTML.'
+            );
+        }
+        if (!response.ok) throw new Error(`O site respondeu com erro ${response.status}`);
+        return { content: await response.text(), baseUrl: url };
+    };
+
+    /**
+     * handleImport - Lê, converte e entrega a receita ao formulário
+     */
+    const handleImport = async (e) => {
+        e.preventDefault();
+        setError('');
+        setReading(true);
+        try {
+            const { content, baseUrl } = await readInput();
+            onImport(importRecipe(content, { baseUrl }));
+        } catch (importError) {
+            setError(importError.message);
+        } finally {
+            setReading(false);
+        }
+    };
+
+    const ready = (mode === 'texto' && text.trim()) || (mode === 'ficheiro' && file) || (mode === 'endereco' && url.trim());
+
+    return (
+        <div className="modal-backdrop-custom" onClick={onClose}>
+            <div className="modal-dialog-custom" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 className="modal-title">
+                            <i className="bi bi-box-arrow-in-down me-2"></i>
+                            Importar Receita
+                        </h5>
+                        <button type="button" className="btn-close" onClick={onClose}></button>
+                    </div>
+
+                    <form onSubmit={handleImport}>
+                        <div className="modal-body">
+                            {/* Origem */}
+                            <div className="btn-group w-100 mb-3" role="group" aria-label="Origem da receita">
+                                {[
+                                    ['texto', 'bi-clipboard', 'Colar texto'],
+                                    ['ficheiro', 'bi-file-earmark-code', 'Ficheiro'],
+                                    ['endereco', 'bi-link-45deg', 'Endereço'],
+                                ].map(([value, icon, label]) => (
+                                    <button
+                                        key={value}
+                                        type="button"
+                                        className={`btn ${mode === value ? 'btn-sage' : 'btn-outline-sage'}`}
+                                        onClick={() => { setMode(value); setError(''); }}
+                                    >
+                                        <i className={`bi ${icon} me-2`}></i>
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            {mode === 'texto' && (
+                                <>
+                                    <textarea
+                                        className="form-control font-monospace small"
+                                        rows="10"
+                                        value={text}
+                                        onChange={(e) => setText(e.target.value)}
+                                        placeholder={'Bolo de Iogurte\nTempo: 50 min\nPorções: 8\n\nIngredientes:\n- 1 iogurte natural\n- 3 ovos\n\nModo de preparação:\n1. Bata os ovos...'}
+                                        aria-label="Receita a importar"
+                                    ></textarea>
+                                    <p className="form-text mb-0">
+                                        Cole a receita escrita (título na primeira linha) ou o JSON-LD schema.org de uma página.
+                                    </p>
+                                </>
+                            )}
+
+                            {mode === 'ficheiro' && (
+                                <>
+                                    <input
+                                        type="file"
+                                        className="form-control"
+                                        accept=".html,.htm,.json,.txt"
+                                        onChange={(e) => setFile(e.target.files[0] || null)}
+                                        aria-label="Ficheiro a importar"
+                                    />
+                                    <p className="form-text mb-0">
+                                        Página de receita guardada no computador (.html), JSON-LD (.json) ou texto (.txt).
+                                    </p>
+                                </>
+                            )}
+
+                            {mode === 'endereco' && (
+                                <>
+                                    <input
+                                        type="url"
+                                        className="form-control"
+                                        value={url}
+                                        onChange={(e) => setUrl(e.target.value)}
+                                        placeholder="https://..."
+                                        aria-label="Endereço da receita"
+                                    />
+                                    <p className="form-text mb-0">
+                                        Muitos sites não deixam outras páginas lê-los; nesse caso guarde a página e use "Ficheiro".
+                                    </p>
+                                </>
+                            )}
+
+                            {error && <div className="alert alert-danger mt-3 mb-0">{error}</div>}
+                        </div>
+
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-outline-secondary" onClick={onClose}>
+                                Cancelar
+                            </button>
+                            <button type="submit" className="btn btn-sage" disabled={!ready || reading}>
+                                {reading ? (
+                                    <>
+                                        <span className="spinner-border spinner-border-sm me-2"></span>
+                                        A ler...
+                                    </>
+                                ) : (
+                                    <>
+                                        <i className="bi bi-arrow-right me-2"></i>
+                                        Rever no formulário
+                                    </>
+                                )}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecipeImport;
@@ -0,0 +1,64 @@
+import { Link } from 'react-router-dom';
+
+/**
+ * ReviewQueue Component
+ * Fila de revisão do Dashboard: receitas submetidas (estado "revisao"),
+ * da mais antiga para a mais recente, com pré-visualização e decisão.
+ *
+ * @param {Array} recipes - Receitas em revisão
+ * @param {Function} onPublish - Recebe a receita a publicar
+ * @param {Function} onReturn - Recebe a receita a devolver (volta a rascunho)
+ * @param {Function} onEdit - Recebe a receita a rever no formulário
+ */
+const ReviewQueue = ({ recipes, onPublish, onReturn, onEdit }) => {
+    if (recipes.length === 0) return null;
+
+    return (
+        <div className="table-card review-queue mb-4">
+            <div className="review-queue-header">
+                <h5 className="fw-bold mb-0">
+                    <i className="bi bi-inbox me-2 text-sage"></i>
+                    Para rever
+                    <span className="badge bg-info text-dark ms-2">{recipes.length}</span>
+                </h5>
+            </div>
+            <ul className="list-group list-group-flush">
+                {recipes.map(recipe => (
+                    <li key={recipe.id} className="list-group-item d-flex flex-wrap align-items-center gap-3">
+                        <img src={recipe.imagem_url} alt={recipe.titulo} className="table-img" />
+                        <div className="flex-grow-1">
+                            <span className="fw-medium">{recipe.titulo}</span>
+                            <span className="d-block small text-muted">{recipe.categoria}</span>
+                        </div>
+                        <div className="d-flex flex-wrap gap-2">
+                            <Link
+                                to={`/receita/${recipe.id}?previsualizar=1`}
+                                className="btn btn-sm btn-outline-secondary"
+                                target="_blank"
+                                rel="noreferrer"
+                                title="Ver como os visitantes vão ver"
+                            >
+                                <i className="bi bi-eye me-1"></i>
+                                Pré-visualizar
+                            </Link>
+                            <button className="btn btn-sm btn-outline-primary" onClick={() => onEdit(recipe)}>
+                                <i className="bi bi-pencil me-1"></i>
+                                Editar
+                            </button>
+                            <button className="btn btn-sm btn-outline-secondary" onClick={() => onReturn(recipe)}>
+                                <i className="bi bi-arrow-return-left me-1"></i>
+                                Devolver
+                            </button>
+                            <button className="btn btn-sm btn-sage" onClick={() => onPublish(recipe)}>
+                                <i className="bi bi-check-lg me-1"></i>
+                                Publicar
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default ReviewQueue;
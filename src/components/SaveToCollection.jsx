@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getCollections, createCollection, updateCollection } from '../services/api';
+import { hasItem, addItem, removeItem } from '../services/collections';
+
+/**
+ * SaveToCollection Component
+ * Botão "Guardar" da página de detalhe: mostra os livros do utilizador
+ * ("Os meus livros") com uma caixa por livro para pôr / tirar a receita,
+ * e permite criar um livro novo já com a receita.
+ *
+ * @param {number|string} receitaId - Receita a guardar
+ */
+const SaveToCollection = ({ receitaId }) => {
+    // Livros do utilizador (null enquanto carrega)
+    const [collections, setCollections] = useState(null);
+
+    // Boolean que controla se a lista de livros está aberta
+    const [open, setOpen] = useState(false);
+
+    // Nome do livro novo
+    const [newName, setNewName] = useState('');
+
+    // Boolean que indica se há uma gravação em curso
+    const [saving, setSaving] = useState(false);
+
+    /**
+     * Carrega os livros logo ao abrir a página, para o ícone mostrar
+     * se a receita já está guardada em algum
+     */
+    useEffect(() => {
+        getCollections()
+            .then(setCollections)
+            .catch(() => setCollections([]));
+    }, []);
+
+    const savedIn = (collections || []).filter(collection => hasItem(collection.itens, receitaId));
+
+    // Substitui um livro na lista depois de gravado
+    const replaceCollection = (updated) => {
+        setCollections(prev => prev.map(collection => (collection.id === updated.id ? updated : collection)));
+    };
+
+    /**
+     * toggleCollection - Põe ou tira a receita de um livro
+     */
+    const toggleCollection = async (collection) => {
+        const itens = hasItem(collection.itens, receitaId)
+            ? removeItem(collection.itens, receitaId)
+            : addItem(collection.itens, receitaId);
+
+        setSaving(true);
+        try {
+            replaceCollection(await updateCollection(collection.id, { itens }));
+        } catch (error) {
+            console.error('Erro ao guardar no livro:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * handleCreate - Cria um livro novo com esta receita
+     */
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+
+        setSaving(true);
+        try {
+            const created = await createCollection(newName, addItem([], receitaId));
+            setCollections(prev => [...(prev || []), created]);
+            setNewName('');
+        } catch (error) {
+            console.error('Erro ao criar livro:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="save-to-collection">
+            <button
+                className={`btn ${savedIn.length > 0 ? 'btn-sage' : 'btn-outline-sage'}`}
+                onClick={() => setOpen(prev => !prev)}
+                aria-expanded={open}
+                title={savedIn.length > 0 ? `Guardada em: ${savedIn.map(c => c.nome).join(', ')}` : undefined}
+            >
+                <i className={`bi ${savedIn.length > 0 ? 'bi-bookmark-fill' : 'bi-bookmark'} me-2`}></i>
+                Guardar
+            </button>
+
+            {open && (
+                <div className="collection-picker">
+                    <h6 className="fw-semibold mb-2">Guardar em…</h6>
+
+                    {collections === null ? (
+                        <div className="text-center py-2">
+                            <span className="spinner-border spinner-border-sm text-sage" role="status"></span>
+                        </div>
+                    ) : collections.length === 0 ? (
+                        <p className="small text-muted mb-2">Ainda não tem livros. Crie o primeiro:</p>
+                    ) : (
+                        <ul className="list-unstyled mb-2">
+                            {collections.map(collection => (
+                                <li key={collection.id} className="form-check">
+                                    <input
+                                        type="checkbox"
+                                        className="form-check-input"
+                                        id={`colecao-${collection.id}`}
+                                        checked={hasItem(collection.itens, receitaId)}
+                                        onChange={() => toggleCollection(collection)}
+                                        disabled={saving}
+                                    />
+                                    <label className="form-check-label" htmlFor={`colecao-${collection.id}`}>
+                                        {collection.nome}
+                                        <span className="text-muted small ms-1">({collection.itens.length})</span>
+                                    </label>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {/* Livro novo */}
+                    <form className="d-flex gap-2" onSubmit={handleCreate}>
+                        <input
+                            type="text"
+                            className="form-control form-control-sm"
+                            placeholder="Novo livro (ex: Natal)"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            aria-label="Nome do novo livro"
+                        />
+                        <button type="submit" className="btn btn-sage btn-sm" disabled={saving || !newName.trim()}>
+                            Criar
+                        </button>
+                    </form>
+
+                    <Link to="/livros" className="d-inline-block small text-sage mt-2">
+                        Ver os meus livros
+                    </Link>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SaveToCollection;
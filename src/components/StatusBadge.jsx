@@ -0,0 +1,34 @@
+import { recipeStatus, formatPublishDate, STATUS_LABELS, SCHEDULED } from '../utils/recipeStatus';
+
+// Cor do badge de cada estado (as receitas publicadas não têm badge)
+const STATUS_CLASSES = {
+    rascunho: 'bg-warning-light text-dark',
+    revisao: 'bg-info text-dark',
+    agendado: 'bg-sage-light text-sage',
+    arquivado: 'bg-secondary',
+};
+
+/**
+ * StatusBadge Component
+ * Estado de publicação de uma receita (ver utils/recipeStatus);
+ * uma receita agendada mostra a data ao passar o rato.
+ *
+ * @param {Object} recipe - Receita normalizada
+ * @param {string} [className] - Classes extra (ex: margem)
+ */
+const StatusBadge = ({ recipe, className = '' }) => {
+    const status = recipeStatus(recipe);
+    if (!STATUS_CLASSES[status]) return null;
+
+    return (
+        <span
+            className={`badge ${STATUS_CLASSES[status]} ${className}`}
+            title={status === SCHEDULED ? `Será publicada a ${formatPublishDate(recipe.publicar_em)}` : undefined}
+        >
+            {status === SCHEDULED && <i className="bi bi-calendar-event me-1"></i>}
+            {STATUS_LABELS[status]}
+        </span>
+    );
+};
+
+export default StatusBadge;
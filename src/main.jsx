@@ -6,6 +6,16 @@ import 'bootstrap/dist/js/bootstrap.bundle.min.js'
 import './index.css'
 import App from './App.jsx'
 
+// Service worker (modo offline e instalação como app) - só no build de produção
+// O id do build vai no URL: um build novo instala um service worker com caches novas
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?v=${import.meta.env.VITE_BUILD_ID}`).catch(error => {
+      console.error('Erro ao registar o service worker:', error)
+    })
+  })
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <BrowserRouter>
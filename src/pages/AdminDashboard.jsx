@@ -4,24 +4,101 @@
  * ============================================
  * 
  * Página protegida (requer autenticação) para gerir receitas.
+ * As ações disponíveis dependem do papel da sessão (ver services/permissions):
+ * editores não eliminam e colaboradores só submetem receitas para revisão.
  * Implementa operações CRUD completas:
  * - CREATE: Adicionar novas receitas
  * - READ: Listar todas as receitas numa tabela
  * - UPDATE: Editar receitas existentes
  * - DELETE: Eliminar receitas (com confirmação)
+ * Uma receita também pode ser importada (JSON-LD schema.org, página HTML
+ * ou texto colado) para o formulário, onde é revista antes de ser gravada.
+ * Em bloco: exportar para JSON / CSV / Markdown e importar esses ficheiros.
+ * Várias receitas escolhidas na tabela podem mudar de categoria, ser publicadas,
+ * despublicadas, eliminadas ou exportadas de uma vez; cada ação corre como
+ * um trabalho na fila (ver createJobQueue em utils/batch), aos poucos.
+ * A tabela tem pesquisa, filtros, ordenação por coluna e páginas, tudo
+ * guardado no URL (ver utils/adminTable); páginas grandes só desenham
+ * as linhas visíveis.
+ * O admin gere também as categorias (nome, ícone, cor e ordem).
+ * Cada receita tem um estado (rascunho, em revisão, publicada, arquivada) e uma
+ * data de publicação opcional (ver utils/recipeStatus); só as publicadas aparecem
+ * no site. Quem publica tem a fila de revisão e pode pré-visualizar qualquer
+ * receita como um visitante.
  * 
  * Componentes:
  * - Cards de estatísticas (total receitas, categorias, likes)
  * - Tabela com todas as receitas
  * - Modais Bootstrap para formulários
+ * - RecipeImport para importar receitas
+ * - BulkExport / BulkImport para exportar e importar em bloco
+ * - BatchJobs com o progresso e os erros das ações em bloco
+ * - CategoryManager para criar, ordenar, renomear e eliminar categorias
+ * - ReviewQueue com as receitas submetidas para revisão
  * 
- * API utilizada: getRecipes(), getCategories(), createRecipe(), updateRecipe(), deleteRecipe()
+ * API utilizada: getRecipes(), getCategories(), createRecipe(), updateRecipe(), deleteRecipe(), can()
  */
 
 import { useState, useEffect } from 'react';
-import { getRecipes, getCategories, createRecipe, updateRecipe, deleteRecipe } from '../services/api';
+import { useSearchParams, Link } from 'react-router-dom';
+import { getRecipes, getCategories, createRecipe, updateRecipe, deleteRecipe, can } from '../services/api';
+import { PERMISSIONS } from '../services/permissions';
+import IngredientEditor from '../components/IngredientEditor';
+import RecipeImport from '../components/RecipeImport';
+import BulkExport from '../components/BulkExport';
+import BulkImport from '../components/BulkImport';
+import BatchJobs from '../components/BatchJobs';
+import CategoryManager from '../components/CategoryManager';
+import ReviewQueue from '../components/ReviewQueue';
+import StatusBadge from '../components/StatusBadge';
+import { foldText } from '../utils/search';
+import { createJobQueue } from '../utils/batch';
+import { formatDuration } from '../utils/duration';
+import { RECIPE_STATUS, STATUS_LABELS, recipeStatus } from '../utils/recipeStatus';
+import {
+    PAGE_SIZES,
+    RECIPE_STATES,
+    readTableState,
+    writeTableState,
+    filterRecipes,
+    sortRecipes,
+    parseSort,
+    nextSort,
+    pageNumbers,
+    visibleRange,
+} from '../utils/adminTable';
+
+// Tabela virtualizada: a partir de quantas linhas, altura de cada linha
+// (imagem de 48px + padding, ver .admin-table) e altura máxima do scroll (px)
+const VIRTUALIZE_FROM = 50;
+const ROW_HEIGHT = 81;
+const TABLE_VIEWPORT = 640;
+
+// Nome das mudanças de estado em bloco (na fila de trabalhos)
+const STATE_ACTIONS = {
+    publicado: 'Publicar',
+    rascunho: 'Despublicar',
+    arquivado: 'Arquivar',
+};
 
 const AdminDashboard = () => {
+    // ============================================
+    // PERMISSÕES DA SESSÃO
+    // ============================================
+
+    // Pode criar receitas publicadas
+    const canCreate = can(PERMISSIONS.RECIPE_CREATE);
+
+    // Pode submeter receitas (colaboradores: só para revisão)
+    const canSubmit = can(PERMISSIONS.RECIPE_SUBMIT);
+
+    // Pode editar / eliminar receitas existentes
+    const canEdit = can(PERMISSIONS.RECIPE_EDIT);
+    const canDelete = can(PERMISSIONS.RECIPE_DELETE);
+
+    // Pode gerir as categorias
+    const canManageCategories = can(PERMISSIONS.CATEGORY_MANAGE);
+
     // ============================================
     // ESTADO (useState)
     // ============================================
@@ -58,14 +135,54 @@ const AdminDashboard = () => {
         titulo: '',
         imagem_url: '',
         tempo_preparo: '',
-        ingredientes: '',
+        tempo_confecao: '',
+        tempo_repouso: '',
+        ingredientes: [],
+        porcoes: 4,
         instrucoes: '',
-        categoria_id: ''
+        categoria_id: '',
+        estado: RECIPE_STATUS.PUBLISHED,
+        publicar_em: ''
     };
 
     // Estado do formulário (valores dos inputs)
     const [formData, setFormData] = useState(emptyForm);
 
+    // Boolean que controla a visibilidade da janela de importação
+    const [showImport, setShowImport] = useState(false);
+
+    // Receitas a exportar (null = janela de exportação fechada)
+    const [exportingRecipes, setExportingRecipes] = useState(null);
+
+    // Boolean que controla a janela de importação em bloco
+    const [showBulkImport, setShowBulkImport] = useState(false);
+
+    // Boolean que controla a janela das categorias
+    const [showCategories, setShowCategories] = useState(false);
+
+    // Pesquisa, filtros, ordem e página da tabela, lidos do URL (ver utils/adminTable)
+    const [searchParams, setSearchParams] = useSearchParams();
+    const table = readTableState(searchParams);
+
+    // Scroll da tabela virtualizada, com a vista (query string) a que pertence
+    const [scroll, setScroll] = useState({ view: '', top: 0 });
+
+    // Ids (texto) das receitas escolhidas na tabela
+    const [selectedIds, setSelectedIds] = useState(new Set());
+
+    // Categoria escolhida para "Mudar categoria"
+    const [batchCategory, setBatchCategory] = useState('');
+
+    // Boolean que controla a confirmação de eliminar as receitas escolhidas
+    const [showBatchDelete, setShowBatchDelete] = useState(false);
+
+    // Fila das ações em bloco (criada uma vez) e os seus trabalhos
+    const [jobQueue] = useState(() => createJobQueue());
+    const [jobs, setJobs] = useState([]);
+
+    // Origem da receita importada para o formulário ('json-ld' / 'texto'; null se não foi importada)
+    const [importedFrom, setImportedFrom] = useState(null);
+
     // ============================================
     // EFEITOS (useEffect)
     // ============================================
@@ -78,6 +195,11 @@ const AdminDashboard = () => {
         loadData();
     }, []);
 
+    /**
+     * useEffect que acompanha a fila das ações em bloco
+     */
+    useEffect(() => jobQueue.subscribe(setJobs), [jobQueue]);
+
     // ============================================
     // FUNÇÕES DE CARREGAMENTO DE DADOS
     // ============================================
@@ -94,7 +216,7 @@ const AdminDashboard = () => {
 
             // Faz os dois pedidos em paralelo
             const [recipesData, categoriesData] = await Promise.all([
-                getRecipes(),
+                getRecipes({ includeUnpublished: true }),
                 getCategories()
             ]);
 
@@ -107,6 +229,23 @@ const AdminDashboard = () => {
         }
     };
 
+    /**
+     * refreshData - Volta a ler receitas e categorias sem mostrar o loading
+     * (usado pelas janelas de importação e de categorias, que ficam abertas)
+     */
+    const refreshData = async () => {
+        try {
+            const [recipesData, categoriesData] = await Promise.all([
+                getRecipes({ includeUnpublished: true }),
+                getCategories()
+            ]);
+            setRecipes(recipesData);
+            setCategories(categoriesData);
+        } catch (error) {
+            console.error('Erro ao carregar dados:', error);
+        }
+    };
+
     // ============================================
     // FUNÇÕES DE MANIPULAÇÃO DO FORMULÁRIO
     // ============================================
@@ -126,6 +265,17 @@ const AdminDashboard = () => {
         }));
     };
 
+    /**
+     * handleIngredientsChange - Atualiza a lista de ingredientes
+     * (o IngredientEditor devolve a lista completa a cada alteração)
+     */
+    const handleIngredientsChange = (ingredientes) => {
+        setFormData(prev => ({
+            ...prev,
+            ingredientes
+        }));
+    };
+
     // ============================================
     // FUNÇÕES DE CONTROLO DAS MODAIS
     // ============================================
@@ -138,9 +288,28 @@ const AdminDashboard = () => {
     const openAddModal = () => {
         setEditingRecipe(null);      // Não está a editar nenhuma
         setFormData(emptyForm);       // Formulário vazio
+        setImportedFrom(null);
         setShowModal(true);           // Mostra a modal
     };
 
+    /**
+     * handleImport - Abre a modal de adicionar já preenchida com a receita importada
+     *
+     * @param {Object} imported - { recipe, source } devolvido por importRecipe
+     *
+     * A categoria sugerida só é aproveitada se corresponder a uma categoria existente.
+     */
+    const handleImport = ({ recipe, source }) => {
+        const { categoria, ...fields } = recipe;
+        const category = categories.find(c => categoria && foldText(c.nome) === foldText(categoria));
+
+        setShowImport(false);
+        setEditingRecipe(null);
+        setFormData({ ...emptyForm, ...fields, categoria_id: category ? category.nome : '' });
+        setImportedFrom(source);
+        setShowModal(true);
+    };
+
     /**
      * openEditModal - Abre a modal para editar uma receita existente
      * 
@@ -150,13 +319,19 @@ const AdminDashboard = () => {
      */
     const openEditModal = (recipe) => {
         setEditingRecipe(recipe);     // Guarda a receita a editar
+        setImportedFrom(null);
         setFormData({                  // Preenche o formulário com os dados
             titulo: recipe.titulo,
             imagem_url: recipe.imagem_url,
             tempo_preparo: recipe.tempo_preparo,
+            tempo_confecao: recipe.tempo_confecao,
+            tempo_repouso: recipe.tempo_repouso,
             ingredientes: recipe.ingredientes,
+            porcoes: recipe.porcoes,
             instrucoes: recipe.instrucoes,
-            categoria_id: recipe.categoria || ''
+            categoria_id: recipe.categoria || '',
+            estado: recipe.estado,
+            publicar_em: recipe.publicar_em
         });
         setShowModal(true);           // Mostra a modal
     };
@@ -180,6 +355,7 @@ const AdminDashboard = () => {
         setShowModal(false);
         setEditingRecipe(null);
         setFormData(emptyForm);
+        setImportedFrom(null);
     };
 
     /**
@@ -210,17 +386,21 @@ const AdminDashboard = () => {
 
         // Prevenir duplo clique ou submissão vazia
         if (saving) return;
-        if (!formData.titulo || !formData.imagem_url || !formData.categoria_id) {
+        const hasIngredients = formData.ingredientes.some(i => (i.nome || '').trim());
+        if (!formData.titulo || !formData.imagem_url || !formData.categoria_id || !hasIngredients) {
             console.error('Campos obrigatórios em falta');
             return;
         }
 
         setSaving(true);
 
+        // A data de publicação só conta para receitas publicadas
+        const data = formData.estado === RECIPE_STATUS.PUBLISHED ? formData : { ...formData, publicar_em: '' };
+
         try {
             if (editingRecipe) {
                 // UPDATE - Atualizar receita existente
-                const updatedRecipe = await updateRecipe(editingRecipe.id, formData);
+                const updatedRecipe = await updateRecipe(editingRecipe.id, data);
 
                 // Optimistic UI: Atualiza o estado local imediatamente
                 setRecipes(prev => prev.map(r =>
@@ -228,7 +408,7 @@ const AdminDashboard = () => {
                 ));
             } else {
                 // CREATE - Criar nova receita
-                const newRecipe = await createRecipe(formData);
+                const newRecipe = await createRecipe(data);
 
                 // Optimistic UI: Adiciona a nova receita ao estado local
                 setRecipes(prev => [...prev, newRecipe]);
@@ -273,6 +453,215 @@ const AdminDashboard = () => {
         }
     };
 
+    // ============================================
+    // TABELA - FILTROS, ORDEM E PÁGINAS (URL)
+    // ============================================
+
+    /**
+     * updateTable - Altera o estado da tabela no URL
+     *
+     * Como na Home, qualquer alteração (exceto a própria página) volta à página 1
+     * e { replace: true } evita uma entrada no histórico por cada letra pesquisada.
+     */
+    const updateTable = (changes, { replace = false } = {}) => {
+        setSearchParams(writeTableState({ ...table, pagina: 1, ...changes }), { replace });
+    };
+
+    const setSearch = (q) => updateTable({ q }, { replace: Boolean(table.q && q) });
+    const setPage = (pagina) => updateTable({ pagina });
+    const toggleSort = (column) => updateTable({ ordem: nextSort(table.ordem, column) });
+
+    // ============================================
+    // SELEÇÃO E AÇÕES EM BLOCO
+    // ============================================
+
+    // Receitas que passam os filtros da tabela, pela ordem escolhida
+    const filteredRecipes = sortRecipes(filterRecipes(recipes, table), table.ordem);
+
+    const selectedRecipes = recipes.filter(recipe => selectedIds.has(String(recipe.id)));
+    const allFilteredSelected = filteredRecipes.length > 0
+        && filteredRecipes.every(recipe => selectedIds.has(String(recipe.id)));
+
+    /**
+     * toggleSelected - Escolhe / deixa de escolher uma receita
+     */
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(String(id))) next.delete(String(id));
+            else next.add(String(id));
+            return next;
+        });
+    };
+
+    /**
+     * toggleAllFiltered - Escolhe todas as receitas visíveis (ou tira-as, se já estavam)
+     */
+    const toggleAllFiltered = () => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            filteredRecipes.forEach(recipe => {
+                if (allFilteredSelected) next.delete(String(recipe.id));
+                else next.add(String(recipe.id));
+            });
+            return next;
+        });
+    };
+
+    /**
+     * enqueue - Põe uma ação sobre algumas receitas na fila
+     *
+     * @param {string} label - Descrição do trabalho
+     * @param {Array} items - Receitas a alterar
+     * @param {Function} task - async (receita) => resultado
+     * @param {Function} applyLocally - (receitas gravadas) => void, atualiza a tabela
+     * @param {Object} [options] - Opções do trabalho (ex: { size: 1 }, ver createJobQueue)
+     *
+     * As receitas que falharem aparecem no BatchJobs.
+     */
+    const enqueue = (label, items, task, applyLocally, options = {}) => {
+        jobQueue.add({
+            ...options,
+            label,
+            items,
+            task,
+            itemLabel: recipe => recipe.titulo,
+            onDone: outcomes => applyLocally(outcomes.filter(o => !o.error).map(o => o.item)),
+        });
+    };
+
+    /**
+     * queueBatch - Como enqueue, para as receitas escolhidas (a seleção é limpa logo)
+     */
+    const queueBatch = (label, items, task, applyLocally, options) => {
+        enqueue(label, items, task, applyLocally, options);
+        setSelectedIds(new Set());
+    };
+
+    const countLabel = (n) => (n === 1 ? '1 receita' : `${n} receitas`);
+
+    // Atualiza na tabela as receitas gravadas com os campos alterados
+    const mergeSaved = (changes) => (saved) => {
+        const savedIds = new Set(saved.map(recipe => recipe.id));
+        setRecipes(prev => prev.map(r => (savedIds.has(r.id) ? { ...r, ...changes } : r)));
+    };
+
+    /**
+     * handleBatchCategory - Muda a categoria das receitas escolhidas
+     * (envia a receita completa, tal como o formulário de edição)
+     */
+    const handleBatchCategory = () => {
+        const items = selectedRecipes.filter(recipe => recipe.categoria_id !== batchCategory);
+        queueBatch(
+            `Mudar ${countLabel(items.length)} para "${batchCategory}"`,
+            items,
+            recipe => updateRecipe(recipe.id, { ...recipe, categoria_id: batchCategory }),
+            mergeSaved({ categoria: batchCategory, categoria_id: batchCategory })
+        );
+        setBatchCategory('');
+    };
+
+    /**
+     * stateChange - Tarefa que muda o estado de algumas receitas
+     * (as que já estão nesse estado ficam de fora; publicar publica já,
+     * sem a data agendada)
+     *
+     * @returns {Object} { items, task, applyLocally } para enqueue / queueBatch
+     */
+    const stateChange = (recipesToChange, estado) => {
+        const changes = estado === RECIPE_STATUS.PUBLISHED ? { estado, publicar_em: '' } : { estado };
+        return {
+            items: recipesToChange.filter(recipe => recipeStatus(recipe) !== estado),
+            task: recipe => updateRecipe(recipe.id, { ...recipe, ...changes }),
+            applyLocally: mergeSaved(changes),
+        };
+    };
+
+    /**
+     * handleBatchState - Publica, despublica (volta a rascunho) ou arquiva as receitas escolhidas
+     *
+     * @param {string} estado - 'publicado', 'rascunho' ou 'arquivado'
+     */
+    const handleBatchState = (estado) => {
+        const { items, task, applyLocally } = stateChange(selectedRecipes, estado);
+        queueBatch(`${STATE_ACTIONS[estado]} ${countLabel(items.length)}`, items, task, applyLocally);
+    };
+
+    /**
+     * handleReview - Decide uma receita da fila de revisão: publica ou devolve a rascunho
+     */
+    const handleReview = (recipe, estado) => {
+        const { items, task, applyLocally } = stateChange([recipe], estado);
+        enqueue(`${estado === RECIPE_STATUS.PUBLISHED ? 'Publicar' : 'Devolver'} "${recipe.titulo}"`, items, task, applyLocally);
+    };
+
+    // Receitas submetidas para revisão (pela ordem da folha: as mais antigas primeiro)
+    const reviewRecipes = recipes.filter(recipe => recipe.estado === RECIPE_STATUS.REVIEW);
+
+    /**
+     * handleBatchDelete - Elimina as receitas escolhidas (depois de uma só confirmação)
+     *
+     * Uma de cada vez e do id mais alto para o mais baixo: no Sheety o id é o
+     * número da linha, e apagar uma linha muda o número das que estão abaixo.
+     */
+    const handleBatchDelete = () => {
+        const toDelete = [...selectedRecipes].sort((a, b) => b.id - a.id);
+        queueBatch(
+            `Eliminar ${countLabel(toDelete.length)}`,
+            toDelete,
+            recipe => deleteRecipe(recipe.id),
+            (deleted) => {
+                const deletedIds = new Set(deleted.map(recipe => recipe.id));
+                setRecipes(prev => prev.filter(r => !deletedIds.has(r.id)));
+            },
+            { size: 1 }
+        );
+        setShowBatchDelete(false);
+    };
+
+    // ============================================
+    // TABELA - PÁGINA ATUAL E LINHAS DESENHADAS
+    // ============================================
+
+    const pageSize = table.tamanho || Math.max(filteredRecipes.length, 1);
+    const totalPages = Math.max(1, Math.ceil(filteredRecipes.length / pageSize));
+    const currentPage = Math.min(table.pagina, totalPages);
+    const pageStart = (currentPage - 1) * pageSize;
+    const pageRecipes = filteredRecipes.slice(pageStart, pageStart + pageSize);
+
+    // Com muitas linhas só se desenham as visíveis; o resto fica em espaçadores
+    const virtualized = pageRecipes.length > VIRTUALIZE_FROM;
+    const view = searchParams.toString();
+    const { start, end } = virtualized
+        ? visibleRange({
+            scrollTop: scroll.view === view ? scroll.top : 0,
+            viewportHeight: TABLE_VIEWPORT,
+            rowHeight: ROW_HEIGHT,
+            count: pageRecipes.length,
+        })
+        : { start: 0, end: pageRecipes.length };
+
+    const sort = parseSort(table.ordem);
+    const columnCount = 7;
+
+    /**
+     * renderSortHeader - Cabeçalho de uma coluna ordenável
+     * (o sentido atual fica em aria-sort e no ícone)
+     */
+    const renderSortHeader = (column, label) => {
+        const active = sort?.column === column;
+        return (
+            <th aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                <button type="button" className="sort-header" onClick={() => toggleSort(column)}>
+                    {label}
+                    <i className={`bi ms-1 ${active
+                        ? (sort.direction === 'asc' ? 'bi-sort-up' : 'bi-sort-down')
+                        : 'bi-arrow-down-up text-muted'}`}></i>
+                </button>
+            </th>
+        );
+    };
+
     // ============================================
     // RENDER CONDICIONAL - LOADING
     // ============================================
@@ -302,11 +691,37 @@ const AdminDashboard = () => {
                         </h1>
                         <p className="text-muted mb-0">Gerir as receitas do livro de receitas</p>
                     </div>
-                    {/* Botão para abrir modal de adicionar */}
-                    <button className="btn btn-sage" onClick={openAddModal}>
-                        <i className="bi bi-plus-lg me-2"></i>
-                        Adicionar Receita
-                    </button>
+                    {/* Botões para categorias / exportar / importar / adicionar (todos menos exportar só com permissão) */}
+                    <div className="d-flex flex-wrap justify-content-end gap-2">
+                        {canManageCategories && (
+                            <button className="btn btn-outline-sage" onClick={() => setShowCategories(true)}>
+                                <i className="bi bi-tags me-2"></i>
+                                Categorias
+                            </button>
+                        )}
+                        <button className="btn btn-outline-sage" onClick={() => setExportingRecipes(recipes)} disabled={recipes.length === 0}>
+                            <i className="bi bi-box-arrow-up me-2"></i>
+                            Exportar
+                        </button>
+                        {canSubmit && (
+                            <button className="btn btn-outline-sage" onClick={() => setShowBulkImport(true)}>
+                                <i className="bi bi-upload me-2"></i>
+                                Importar ficheiro
+                            </button>
+                        )}
+                        {canSubmit && (
+                            <button className="btn btn-outline-sage" onClick={() => setShowImport(true)}>
+                                <i className="bi bi-box-arrow-in-down me-2"></i>
+                                Importar receita
+                            </button>
+                        )}
+                        {canSubmit && (
+                            <button className="btn btn-sage" onClick={openAddModal}>
+                                <i className="bi bi-plus-lg me-2"></i>
+                                {canCreate ? 'Adicionar Receita' : 'Submeter para revisão'}
+                            </button>
+                        )}
+                    </div>
                 </div>
 
                 {/* ========== CARDS DE ESTATÍSTICAS ========== */}
@@ -352,24 +767,172 @@ const AdminDashboard = () => {
                     </div>
                 </div>
 
+                {/* ========== FILA DE REVISÃO (quem pode publicar) ========== */}
+                {canEdit && canCreate && (
+                    <ReviewQueue
+                        recipes={reviewRecipes}
+                        onPublish={recipe => handleReview(recipe, RECIPE_STATUS.PUBLISHED)}
+                        onReturn={recipe => handleReview(recipe, RECIPE_STATUS.DRAFT)}
+                        onEdit={openEditModal}
+                    />
+                )}
+
+                {/* ========== AÇÕES EM BLOCO A DECORRER ========== */}
+                <BatchJobs jobs={jobs} onDismiss={jobQueue.dismiss} />
+
+                {/* ========== FILTROS E AÇÕES EM BLOCO ========== */}
+                <div className="admin-toolbar d-flex flex-wrap align-items-center gap-2 mb-3">
+                    <input
+                        type="search"
+                        className="form-control admin-search"
+                        placeholder="Procurar pelo título..."
+                        value={table.q}
+                        onChange={(e) => setSearch(e.target.value)}
+                        aria-label="Procurar receitas"
+                    />
+                    <select
+                        className="form-select w-auto"
+                        value={table.categoria}
+                        onChange={(e) => updateTable({ categoria: e.target.value })}
+                        aria-label="Filtrar por categoria"
+                    >
+                        <option value="">Todas as categorias</option>
+                        {categories.map(cat => (
+                            <option key={cat.id} value={cat.nome}>{cat.nome}</option>
+                        ))}
+                    </select>
+                    <select
+                        className="form-select w-auto"
+                        value={table.estado}
+                        onChange={(e) => updateTable({ estado: e.target.value })}
+                        aria-label="Filtrar por estado"
+                    >
+                        <option value="">Todos os estados</option>
+                        {RECIPE_STATES.map(state => (
+                            <option key={state.value} value={state.value}>{state.label}</option>
+                        ))}
+                    </select>
+
+                    {selectedRecipes.length > 0 && (
+                        <div className="batch-actions d-flex flex-wrap align-items-center gap-2 ms-auto">
+                            <span className="fw-medium">{selectedRecipes.length} selecionadas</span>
+                            {canEdit && (
+                                <div className="input-group input-group-sm w-auto">
+                                    <select
+                                        className="form-select"
+                                        value={batchCategory}
+                                        onChange={(e) => setBatchCategory(e.target.value)}
+                                        aria-label="Nova categoria"
+                                    >
+                                        <option value="">Mudar categoria…</option>
+                                        {categories.map(cat => (
+                                            <option key={cat.id} value={cat.nome}>{cat.nome}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        className="btn btn-outline-sage"
+                                        onClick={handleBatchCategory}
+                                        disabled={!batchCategory}
+                                    >
+                                        Aplicar
+                                    </button>
+                                </div>
+                            )}
+                            {canEdit && canCreate && (
+                                <>
+                                    <button className="btn btn-sm btn-outline-sage" onClick={() => handleBatchState('publicado')} title="Mostrar já na Home e na página da receita">
+                                        <i className="bi bi-eye me-1"></i>
+                                        Publicar
+                                    </button>
+                                    <button className="btn btn-sm btn-outline-secondary" onClick={() => handleBatchState('rascunho')} title="Esconder dos visitantes (volta a rascunho)">
+                                        <i className="bi bi-eye-slash me-1"></i>
+                                        Despublicar
+                                    </button>
+                                    <button className="btn btn-sm btn-outline-secondary" onClick={() => handleBatchState('arquivado')} title="Esconder dos visitantes e guardar como arquivada">
+                                        <i className="bi bi-archive me-1"></i>
+                                        Arquivar
+                                    </button>
+                                </>
+                            )}
+                            <button className="btn btn-sm btn-outline-sage" onClick={() => setExportingRecipes(selectedRecipes)}>
+                                <i className="bi bi-box-arrow-up me-1"></i>
+                                Exportar
+                            </button>
+                            {canDelete && (
+                                <button className="btn btn-sm btn-outline-danger" onClick={() => setShowBatchDelete(true)}>
+                                    <i className="bi bi-trash me-1"></i>
+                                    Eliminar
+                                </button>
+                            )}
+                            <button
+                                className="btn btn-sm btn-link text-muted"
+                                onClick={() => setSelectedIds(new Set())}
+                            >
+                                Limpar seleção
+                            </button>
+                        </div>
+                    )}
+                </div>
+
                 {/* ========== TABELA DE RECEITAS ========== */}
                 <div className="table-card">
-                    <div className="table-responsive">
-                        <table className="table table-hover mb-0">
+                    {/* A key repõe o scroll no topo quando a vista muda */}
+                    <div
+                        key={view}
+                        className="table-responsive admin-table-scroll"
+                        style={virtualized ? { maxHeight: `${TABLE_VIEWPORT}px` } : undefined}
+                        onScroll={virtualized ? (e) => setScroll({ view, top: e.currentTarget.scrollTop }) : undefined}
+                    >
+                        <table className="table table-hover mb-0 admin-table">
                             <thead>
                                 <tr>
+                                    <th style={{ width: '48px' }}>
+                                        <input
+                                            type="checkbox"
+                                            className="form-check-input"
+                                            checked={allFilteredSelected}
+                                            onChange={toggleAllFiltered}
+                                            disabled={filteredRecipes.length === 0}
+                                            aria-label="Escolher todas as receitas filtradas"
+                                            title="Escolher todas as receitas filtradas (todas as páginas)"
+                                        />
+                                    </th>
                                     <th style={{ width: '60px' }}>Img</th>
-                                    <th>Título</th>
-                                    <th>Categoria</th>
-                                    <th>Tempo</th>
-                                    <th>Likes</th>
-                                    <th style={{ width: '140px' }}>Ações</th>
+                                    {renderSortHeader('titulo', 'Título')}
+                                    {renderSortHeader('categoria', 'Categoria')}
+                                    {renderSortHeader('tempo', 'Tempo')}
+                                    {renderSortHeader('likes', 'Likes')}
+                                    <th style={{ width: '180px' }}>Ações</th>
                                 </tr>
                             </thead>
                             <tbody>
-                                {/* Itera sobre todas as receitas */}
-                                {recipes.map(recipe => (
-                                    <tr key={recipe.id}>
+                                {filteredRecipes.length === 0 && (
+                                    <tr>
+                                        <td colSpan={columnCount} className="text-center text-muted py-4">
+                                            Nenhuma receita encontrada
+                                        </td>
+                                    </tr>
+                                )}
+                                {start > 0 && (
+                                    <tr className="table-spacer" aria-hidden="true" style={{ height: `${start * ROW_HEIGHT}px` }}>
+                                        <td colSpan={columnCount}></td>
+                                    </tr>
+                                )}
+                                {/* Itera sobre as linhas desenhadas da página atual */}
+                                {pageRecipes.slice(start, end).map(recipe => (
+                                    <tr
+                                        key={recipe.id}
+                                        className={`recipe-row ${selectedIds.has(String(recipe.id)) ? 'table-active' : ''}`}
+                                    >
+                                        <td>
+                                            <input
+                                                type="checkbox"
+                                                className="form-check-input"
+                                                checked={selectedIds.has(String(recipe.id))}
+                                                onChange={() => toggleSelected(recipe.id)}
+                                                aria-label={`Escolher ${recipe.titulo}`}
+                                            />
+                                        </td>
                                         <td>
                                             <img
                                                 src={recipe.imagem_url}
@@ -377,23 +940,44 @@ const AdminDashboard = () => {
                                                 className="table-img"
                                             />
                                         </td>
-                                        <td className="fw-medium">{recipe.titulo}</td>
+                                        <td className="fw-medium recipe-title-cell" title={recipe.titulo}>
+                                            {recipe.titulo}
+                                            <StatusBadge recipe={recipe} className="ms-2" />
+                                            {/* Criada sem rede: ainda só existe neste browser */}
+                                            {recipe.id < 0 && (
+                                                <span className="badge bg-secondary ms-2" title="Será enviada quando houver ligação">
+                                                    <i className="bi bi-cloud-slash me-1"></i>
+                                                    Por sincronizar
+                                                </span>
+                                            )}
+                                        </td>
                                         <td>
                                             <span className="badge bg-sage-light text-sage">
                                                 {recipe.categoria}
                                             </span>
                                         </td>
-                                        <td>{recipe.tempo_preparo}</td>
+                                        <td>{recipe.minutos !== null ? formatDuration(recipe.minutos) : recipe.tempo_preparo}</td>
                                         <td>
                                             <i className="bi bi-heart-fill text-danger me-1"></i>
                                             {recipe.likes}
                                         </td>
                                         <td>
+                                            {/* Pré-visualizar: a página da receita, como os visitantes a vão ver */}
+                                            <Link
+                                                to={`/receita/${recipe.id}?previsualizar=1`}
+                                                className="btn btn-sm btn-outline-secondary me-2"
+                                                target="_blank"
+                                                rel="noreferrer"
+                                                title="Pré-visualizar como visitante"
+                                            >
+                                                <i className="bi bi-eye"></i>
+                                            </Link>
                                             {/* Botão Editar */}
                                             <button
                                                 className="btn btn-sm btn-outline-primary me-2"
                                                 onClick={() => openEditModal(recipe)}
-                                                title="Editar"
+                                                title={canEdit ? 'Editar' : 'Sem permissão para editar'}
+                                                disabled={!canEdit}
                                             >
                                                 <i className="bi bi-pencil"></i>
                                             </button>
@@ -401,19 +985,117 @@ const AdminDashboard = () => {
                                             <button
                                                 className="btn btn-sm btn-outline-danger"
                                                 onClick={() => openDeleteModal(recipe)}
-                                                title="Eliminar"
+                                                title={canDelete ? 'Eliminar' : 'Sem permissão para eliminar'}
+                                                disabled={!canDelete}
                                             >
                                                 <i className="bi bi-trash"></i>
                                             </button>
                                         </td>
                                     </tr>
                                 ))}
+                                {end < pageRecipes.length && (
+                                    <tr
+                                        className="table-spacer"
+                                        aria-hidden="true"
+                                        style={{ height: `${(pageRecipes.length - end) * ROW_HEIGHT}px` }}
+                                    >
+                                        <td colSpan={columnCount}></td>
+                                    </tr>
+                                )}
                             </tbody>
                         </table>
                     </div>
                 </div>
+
+                {/* ========== PÁGINAS ========== */}
+                <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mt-3">
+                    <div className="d-flex align-items-center gap-2 text-muted small">
+                        <label htmlFor="admin-page-size" className="text-nowrap">Por página</label>
+                        <select
+                            id="admin-page-size"
+                            className="form-select form-select-sm w-auto"
+                            value={table.tamanho}
+                            onChange={(e) => updateTable({ tamanho: parseInt(e.target.value) })}
+                        >
+                            {PAGE_SIZES.map(size => (
+                                <option key={size} value={size}>{size || 'Todas'}</option>
+                            ))}
+                        </select>
+                        <span className="text-nowrap">
+                            {filteredRecipes.length === 0
+                                ? '0 receitas'
+                                : `${pageStart + 1}–${pageStart + pageRecipes.length} de ${filteredRecipes.length}`}
+                        </span>
+                    </div>
+
+                    {totalPages > 1 && (
+                        <nav aria-label="Páginas da tabela">
+                            <ul className="pagination pagination-sm mb-0">
+                                <li className={`page-item ${currentPage === 1 ? 'disabled' : ''}`}>
+                                    <button
+                                        className="page-link"
+                                        onClick={() => setPage(currentPage - 1)}
+                                        disabled={currentPage === 1}
+                                        aria-label="Página anterior"
+                                    >
+                                        <i className="bi bi-chevron-left"></i>
+                                    </button>
+                                </li>
+                                {pageNumbers(currentPage, totalPages).map((page, index) => (page === null ? (
+                                    <li key={`gap-${index}`} className="page-item disabled">
+                                        <span className="page-link">…</span>
+                                    </li>
+                                ) : (
+                                    <li key={page} className={`page-item ${currentPage === page ? 'active' : ''}`}>
+                                        <button className="page-link" onClick={() => setPage(page)}>
+                                            {page}
+                                        </button>
+                                    </li>
+                                )))}
+                                <li className={`page-item ${currentPage === totalPages ? 'disabled' : ''}`}>
+                                    <button
+                                        className="page-link"
+                                        onClick={() => setPage(currentPage + 1)}
+                                        disabled={currentPage === totalPages}
+                                        aria-label="Página seguinte"
+                                    >
+                                        <i className="bi bi-chevron-right"></i>
+                                    </button>
+                                </li>
+                            </ul>
+                        </nav>
+                    )}
+                </div>
             </div>
 
+            {/* ========== MODAL DE IMPORTAÇÃO ========== */}
+            {showImport && (
+                <RecipeImport onImport={handleImport} onClose={() => setShowImport(false)} />
+            )}
+
+            {/* ========== MODAIS DE EXPORTAÇÃO / IMPORTAÇÃO EM BLOCO ========== */}
+            {exportingRecipes && (
+                <BulkExport recipes={exportingRecipes} categories={categories} onClose={() => setExportingRecipes(null)} />
+            )}
+            {showBulkImport && (
+                <BulkImport
+                    recipes={recipes}
+                    categories={categories}
+                    onDone={refreshData}
+                    onClose={() => setShowBulkImport(false)}
+                />
+            )}
+
+            {/* ========== MODAL DAS CATEGORIAS ========== */}
+            {showCategories && (
+                <CategoryManager
+                    categories={categories}
+                    recipes={recipes}
+                    onChange={refreshData}
+                    onClose={() => setShowCategories(false)}
+                />
+            )}
+
             {/* ========== MODAL DE ADICIONAR/EDITAR ========== */}
             {/* Só renderiza se showModal for true */}
             {showModal && (
@@ -425,7 +1107,7 @@ const AdminDashboard = () => {
                             <div className="modal-header">
                                 <h5 className="modal-title">
                                     <i className={`bi ${editingRecipe ? 'bi-pencil' : 'bi-plus-lg'} me-2`}></i>
-                                    {editingRecipe ? 'Editar Receita' : 'Adicionar Receita'}
+                                    {editingRecipe ? 'Editar Receita' : canCreate ? 'Adicionar Receita' : 'Submeter para revisão'}
                                 </h5>
                                 <button type="button" className="btn-close" onClick={closeModal}></button>
                             </div>
@@ -433,6 +1115,13 @@ const AdminDashboard = () => {
                             {/* Formulário */}
                             <form onSubmit={handleSubmit}>
                                 <div className="modal-body">
+                                    {/* Aviso de receita importada */}
+                                    {importedFrom && (
+                                        <div className="alert alert-info small">
+                                            <i className="bi bi-info-circle me-2"></i>
+                                            Receita importada {importedFrom === 'json-ld' ? 'de JSON-LD' : 'de texto'} — reveja os campos antes de guardar.
+                                        </div>
+                                    )}
                                     <div className="row g-3">
                                         {/* Campo: Título */}
                                         <div className="col-12">
@@ -448,7 +1137,7 @@ const AdminDashboard = () => {
                                         </div>
 
                                         {/* Campo: URL da Imagem */}
-                                        <div className="col-md-8">
+                                        <div className="col-md-6">
                                             <label className="form-label">URL da Imagem</label>
                                             <input
                                                 type="url"
@@ -462,7 +1151,7 @@ const AdminDashboard = () => {
                                         </div>
 
                                         {/* Campo: Tempo de Preparo */}
-                                        <div className="col-md-4">
+                                        <div className="col-md-3">
                                             <label className="form-label">Tempo de Preparo</label>
                                             <input
                                                 type="text"
@@ -475,6 +1164,44 @@ const AdminDashboard = () => {
                                             />
                                         </div>
 
+                                        {/* Campo: Porções */}
+                                        <div className="col-md-3">
+                                            <label className="form-label">Porções</label>
+                                            <input
+                                                type="number"
+                                                className="form-control"
+                                                name="porcoes"
+                                                value={formData.porcoes}
+                                                onChange={handleChange}
+                                                min="1"
+                                                required
+                                            />
+                                        </div>
+
+                                        {/* Campos opcionais: tempos de confeção e repouso */}
+                                        <div className="col-md-6">
+                                            <label className="form-label">Tempo de Confeção <span className="text-muted small">(opcional)</span></label>
+                                            <input
+                                                type="text"
+                                                className="form-control"
+                                                name="tempo_confecao"
+                                                value={formData.tempo_confecao}
+                                                onChange={handleChange}
+                                                placeholder="Ex: 1h30"
+                                            />
+                                        </div>
+                                        <div className="col-md-6">
+                                            <label className="form-label">Tempo de Repouso <span className="text-muted small">(opcional)</span></label>
+                                            <input
+                                                type="text"
+                                                className="form-control"
+                                                name="tempo_repouso"
+                                                value={formData.tempo_repouso}
+                                                onChange={handleChange}
+                                                placeholder="Ex: 2 horas"
+                                            />
+                                        </div>
+
                                         {/* Campo: Categoria (dropdown) */}
                                         <div className="col-12">
                                             <label className="form-label">Categoria</label>
@@ -493,18 +1220,51 @@ const AdminDashboard = () => {
                                             </select>
                                         </div>
 
-                                        {/* Campo: Ingredientes (textarea) */}
+                                        {/* Campos: Estado e data de publicação (só quem pode publicar) */}
+                                        {canCreate ? (
+                                            <>
+                                                <div className="col-md-6">
+                                                    <label className="form-label">Estado</label>
+                                                    <select
+                                                        className="form-select"
+                                                        name="estado"
+                                                        value={formData.estado}
+                                                        onChange={handleChange}
+                                                    >
+                                                        {Object.values(RECIPE_STATUS).map(estado => (
+                                                            <option key={estado} value={estado}>{STATUS_LABELS[estado]}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                                {formData.estado === RECIPE_STATUS.PUBLISHED && (
+                                                    <div className="col-md-6">
+                                                        <label className="form-label">Publicar em <span className="text-muted small">(opcional)</span></label>
+                                                        <input
+                                                            type="datetime-local"
+                                                            className="form-control"
+                                                            name="publicar_em"
+                                                            value={formData.publicar_em}
+                                                            onChange={handleChange}
+                                                        />
+                                                        <div className="form-text">Vazio: fica pública ao guardar.</div>
+                                                    </div>
+                                                )}
+                                            </>
+                                        ) : (
+                                            <div className="col-12">
+                                                <div className="form-text">
+                                                    <i className="bi bi-info-circle me-1"></i>
+                                                    A receita fica em revisão até um editor a publicar.
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        {/* Campo: Ingredientes (editor linha a linha) */}
                                         <div className="col-12">
-                                            <label className="form-label">Ingredientes</label>
-                                            <textarea
-                                                className="form-control"
-                                                name="ingredientes"
+                                            <IngredientEditor
                                                 value={formData.ingredientes}
-                                                onChange={handleChange}
-                                                rows="4"
-                                                placeholder="Um ingrediente por linha..."
-                                                required
-                                            ></textarea>
+                                                onChange={handleIngredientsChange}
+                                            />
                                         </div>
 
                                         {/* Campo: Instruções (textarea) */}
@@ -537,7 +1297,7 @@ const AdminDashboard = () => {
                                         ) : (
                                             <>
                                                 <i className="bi bi-check-lg me-2"></i>
-                                                {editingRecipe ? 'Guardar Alterações' : 'Adicionar'}
+                                                {editingRecipe ? 'Guardar Alterações' : canCreate ? 'Adicionar' : 'Submeter'}
                                             </>
                                         )}
                                     </button>
@@ -592,6 +1352,41 @@ const AdminDashboard = () => {
                     </div>
                 </div>
             )}
+
+            {/* ========== MODAL DE CONFIRMAÇÃO DE ELIMINAÇÃO EM BLOCO ========== */}
+            {showBatchDelete && (
+                <div className="modal-backdrop-custom" onClick={() => setShowBatchDelete(false)}>
+                    <div className="modal-dialog-custom modal-sm" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-content">
+                            <div className="modal-header">
+                                <h5 className="modal-title text-danger">
+                                    <i className="bi bi-exclamation-triangle me-2"></i>
+                                    Confirmar Eliminação
+                                </h5>
+                                <button type="button" className="btn-close" onClick={() => setShowBatchDelete(false)}></button>
+                            </div>
+                            <div className="modal-body">
+                                <p>Tem a certeza que deseja eliminar {countLabel(selectedRecipes.length)}?</p>
+                                <ul className="small batch-delete-list">
+                                    {selectedRecipes.map(recipe => (
+                                        <li key={recipe.id}>{recipe.titulo}</li>
+                                    ))}
+                                </ul>
+                                <p className="text-muted small mb-0">Esta ação não pode ser revertida.</p>
+                            </div>
+                            <div className="modal-footer">
+                                <button type="button" className="btn btn-outline-secondary" onClick={() => setShowBatchDelete(false)}>
+                                    Cancelar
+                                </button>
+                                <button type="button" className="btn btn-danger" onClick={handleBatchDelete}>
+                                    <i className="bi bi-trash me-2"></i>
+                                    Eliminar
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
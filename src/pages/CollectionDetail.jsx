@@ -0,0 +1,377 @@
+/**
+ * ============================================
+ * COLLECTION DETAIL PAGE - Um livro de "Os meus livros"
+ * ============================================
+ *
+ * Mostra as receitas de um livro, pela ordem escolhida, com:
+ * - Botões para mudar a receita de posição e para a tirar do livro
+ * - Uma nota privada por receita (ex: "fazer a dobrar para o Natal"),
+ *   gravada quando o campo perde o foco
+ * - Mudar o nome do livro e eliminá-lo (com confirmação)
+ * - Juntar as receitas do livro à lista de compras
+ * - Gerar o livro em PDF
+ *
+ * Só o dono vê o livro (e as notas); para outros aparece como não encontrado.
+ *
+ * Parâmetros URL: /livros/:id
+ * Componentes utilizados: RecipeCard, CookbookExport
+ * API utilizada: getCollectionById(), updateCollection(), deleteCollection(), getRecipes()
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { getCollectionById, updateCollection, deleteCollection, getRecipes } from '../services/api';
+import { moveItem, removeItem, setItemNote } from '../services/collections';
+import { addToShoppingList } from '../utils/shoppingList';
+import RecipeCard from '../components/RecipeCard';
+import CookbookExport from '../components/CookbookExport';
+
+const CollectionDetail = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+
+    // ============================================
+    // ESTADO (useState)
+    // ============================================
+
+    // Livro aberto (ou null se não existir)
+    const [collection, setCollection] = useState(null);
+
+    // Receitas por id
+    const [recipesById, setRecipesById] = useState(new Map());
+
+    // Boolean que indica se os dados ainda estão a ser carregados
+    const [loading, setLoading] = useState(true);
+
+    // Notas a ser escritas (id da receita -> texto), antes de gravadas
+    const [noteDrafts, setNoteDrafts] = useState({});
+
+    // Nome a ser editado (null quando não se está a mudar o nome)
+    const [editingName, setEditingName] = useState(null);
+
+    // Boolean que controla a visibilidade da modal de eliminação
+    const [showDeleteModal, setShowDeleteModal] = useState(false);
+
+    // Boolean que controla a janela do livro em PDF
+    const [showExport, setShowExport] = useState(false);
+
+    // Boolean que indica se uma operação está em progresso
+    const [saving, setSaving] = useState(false);
+
+    // ============================================
+    // EFEITOS (useEffect)
+    // ============================================
+
+    /**
+     * useEffect que corre quando o ID muda: carrega o livro
+     */
+    useEffect(() => {
+        loadData(id);
+    }, [id]);
+
+    // ============================================
+    // FUNÇÕES
+    // ============================================
+
+    /**
+     * loadData - Carrega o livro e as receitas (em paralelo)
+     *
+     * @param {string} collectionId - ID do livro (da URL)
+     */
+    const loadData = async (collectionId) => {
+        try {
+            setLoading(true);
+            const [collectionData, recipesData] = await Promise.all([
+                getCollectionById(collectionId),
+                getRecipes(),
+            ]);
+            setCollection(collectionData);
+            setRecipesById(new Map(recipesData.map(recipe => [String(recipe.id), recipe])));
+            setNoteDrafts({});
+        } catch (error) {
+            console.error('Erro ao carregar livro:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * saveItems - Grava a nova lista de receitas
+     * Atualiza logo o ecrã; se falhar, volta a carregar o livro.
+     */
+    const saveItems = async (itens) => {
+        setCollection(prev => ({ ...prev, itens }));
+        try {
+            setCollection(await updateCollection(id, { itens }));
+        } catch (error) {
+            console.error('Erro ao atualizar livro:', error);
+            loadData(id);
+        }
+    };
+
+    /**
+     * saveNote - Grava a nota de uma receita (se mudou)
+     */
+    const saveNote = (receitaId) => {
+        const nota = noteDrafts[receitaId];
+        const item = collection.itens.find(i => String(i.receita) === String(receitaId));
+        if (nota === undefined || !item || nota === item.nota) return;
+        saveItems(setItemNote(collection.itens, receitaId, nota));
+    };
+
+    /**
+     * handleShoppingList - Junta as receitas do livro à lista de compras e abre-a
+     */
+    const handleShoppingList = () => {
+        addToShoppingList({
+            id: `livro:${collection.id}`,
+            label: `Livro: ${collection.nome}`,
+            recipes: collection.itens.map(item => ({ id: item.receita, servings: null })),
+        });
+        navigate('/lista-compras');
+    };
+
+    /**
+     * handleRename - Grava o novo nome do livro
+     */
+    const handleRename = async (e) => {
+        e.preventDefault();
+        if (!editingName.trim()) return;
+
+        setSaving(true);
+        try {
+            setCollection(await updateCollection(id, { nome: editingName }));
+            setEditingName(null);
+        } catch (error) {
+            console.error('Erro ao mudar o nome do livro:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * handleDelete - Elimina o livro e volta à lista de livros
+     */
+    const handleDelete = async () => {
+        setSaving(true);
+        try {
+            await deleteCollection(id);
+            navigate('/livros');
+        } catch (error) {
+            console.error('Erro ao eliminar livro:', error);
+            setSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER CONDICIONAL
+    // ============================================
+
+    if (loading) {
+        return (
+            <div className="container py-5 text-center">
+                <div className="spinner-border text-sage" role="status">
+                    <span className="visually-hidden">A carregar...</span>
+                </div>
+            </div>
+        );
+    }
+
+    if (!collection) {
+        return (
+            <div className="container py-5 text-center">
+                <i className="bi bi-exclamation-circle display-1 text-muted"></i>
+                <h2 className="mt-3">Livro não encontrado</h2>
+                <button className="btn btn-sage mt-3" onClick={() => navigate('/livros')}>
+                    <i className="bi bi-arrow-left me-2"></i>
+                    Os meus livros
+                </button>
+            </div>
+        );
+    }
+
+    // Receitas do livro que ainda existem, pela ordem do livro
+    const items = collection.itens.filter(item => recipesById.has(String(item.receita)));
+
+    // ============================================
+    // RENDER PRINCIPAL (JSX)
+    // ============================================
+    return (
+        <div className="collection-detail-page py-5">
+            <div className="container">
+                <Link to="/livros" className="btn btn-outline-secondary mb-4">
+                    <i className="bi bi-arrow-left me-2"></i>
+                    Os meus livros
+                </Link>
+
+                {/* ========== HEADER ========== */}
+                <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+                    {editingName === null ? (
+                        <div>
+                            <h1 className="fw-bold mb-1">
+                                <i className="bi bi-book text-sage me-2"></i>
+                                {collection.nome}
+                            </h1>
+                            <p className="text-muted mb-0">
+                                {items.length === 1 ? '1 receita' : `${items.length} receitas`}
+                            </p>
+                        </div>
+                    ) : (
+                        <form className="d-flex gap-2" onSubmit={handleRename}>
+                            <input
+                                type="text"
+                                className="form-control"
+                                value={editingName}
+                                onChange={(e) => setEditingName(e.target.value)}
+                                aria-label="Nome do livro"
+                                autoFocus
+                            />
+                            <button type="submit" className="btn btn-sage" disabled={saving || !editingName.trim()}>
+                                Guardar
+                            </button>
+                            <button type="button" className="btn btn-outline-secondary" onClick={() => setEditingName(null)}>
+                                Cancelar
+                            </button>
+                        </form>
+                    )}
+
+                    {editingName === null && (
+                        <div className="d-flex flex-wrap gap-2">
+                            <button className="btn btn-outline-sage" onClick={handleShoppingList} disabled={items.length === 0}>
+                                <i className="bi bi-cart-plus me-2"></i>
+                                Lista de compras
+                            </button>
+                            <button className="btn btn-outline-sage" onClick={() => setShowExport(true)} disabled={items.length === 0}>
+                                <i className="bi bi-file-earmark-pdf me-2"></i>
+                                PDF
+                            </button>
+                            <button className="btn btn-outline-sage" onClick={() => setEditingName(collection.nome)}>
+                                <i className="bi bi-pencil me-2"></i>
+                                Mudar nome
+                            </button>
+                            <button className="btn btn-outline-danger" onClick={() => setShowDeleteModal(true)}>
+                                <i className="bi bi-trash me-2"></i>
+                                Eliminar
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* ========== RECEITAS ========== */}
+                {items.length === 0 ? (
+                    <div className="text-center py-5">
+                        <i className="bi bi-bookmark display-1 text-muted"></i>
+                        <p className="mt-3 text-muted">
+                            Este livro ainda não tem receitas. Use o botão "Guardar" numa receita para a juntar.
+                        </p>
+                    </div>
+                ) : (
+                    <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
+                        {items.map((item, index) => {
+                            const recipe = recipesById.get(String(item.receita));
+                            // Posição (na lista completa) da receita vizinha visível
+                            const neighbourPosition = (offset) => collection.itens.indexOf(items[index + offset]);
+                            return (
+                                <RecipeCard
+                                    key={item.receita}
+                                    recipe={recipe}
+                                    actions={
+                                        <>
+                                            {/* Nota privada */}
+                                            <textarea
+                                                className="form-control form-control-sm mb-2"
+                                                rows="2"
+                                                placeholder="Nota privada (ex: fazer a dobrar)"
+                                                value={noteDrafts[item.receita] ?? item.nota}
+                                                onChange={(e) => setNoteDrafts(prev => ({
+                                                    ...prev,
+                                                    [item.receita]: e.target.value,
+                                                }))}
+                                                onBlur={() => saveNote(item.receita)}
+                                                aria-label={`Nota para ${recipe.titulo}`}
+                                            />
+
+                                            {/* Ordem e remoção */}
+                                            <div className="d-flex justify-content-between">
+                                                <div className="btn-group btn-group-sm" role="group" aria-label="Ordem">
+                                                    <button
+                                                        className="btn btn-outline-sage"
+                                                        onClick={() => saveItems(moveItem(collection.itens, item.receita, neighbourPosition(-1)))}
+                                                        disabled={index === 0}
+                                                        title="Mover para trás"
+                                                    >
+                                                        <i className="bi bi-arrow-left"></i>
+                                                    </button>
+                                                    <button
+                                                        className="btn btn-outline-sage"
+                                                        onClick={() => saveItems(moveItem(collection.itens, item.receita, neighbourPosition(1)))}
+                                                        disabled={index === items.length - 1}
+                                                        title="Mover para a frente"
+                                                    >
+                                                        <i className="bi bi-arrow-right"></i>
+                                                    </button>
+                                                </div>
+                                                <button
+                                                    className="btn btn-sm btn-link text-danger"
+                                                    onClick={() => saveItems(removeItem(collection.itens, item.receita))}
+                                                >
+                                                    <i className="bi bi-x-lg me-1"></i>
+                                                    Tirar do livro
+                                                </button>
+                                            </div>
+                                        </>
+                                    }
+                                />
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            {/* ========== LIVRO EM PDF ========== */}
+            {showExport && <CookbookExport collectionId={collection.id} onClose={() => setShowExport(false)} />}
+
+            {/* ========== MODAL DE CONFIRMAÇÃO DE ELIMINAÇÃO ========== */}
+            {showDeleteModal && (
+                <div className="modal-backdrop-custom" onClick={() => setShowDeleteModal(false)}>
+                    <div className="modal-dialog-custom modal-sm" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-content">
+                            <div className="modal-header">
+                                <h5 className="modal-title text-danger">
+                                    <i className="bi bi-exclamation-triangle me-2"></i>
+                                    Eliminar livro
+                                </h5>
+                                <button type="button" className="btn-close" onClick={() => setShowDeleteModal(false)}></button>
+                            </div>
+                            <div className="modal-body">
+                                <p>Tem a certeza que deseja eliminar o livro:</p>
+                                <p className="fw-bold">"{collection.nome}"</p>
+                                <p className="text-muted small mb-0">As receitas não são eliminadas, só o livro e as notas.</p>
+                            </div>
+                            <div className="modal-footer">
+                                <button type="button" className="btn btn-outline-secondary" onClick={() => setShowDeleteModal(false)}>
+                                    Cancelar
+                                </button>
+                                <button type="button" className="btn btn-danger" onClick={handleDelete} disabled={saving}>
+                                    {saving ? (
+                                        <>
+                                            <span className="spinner-border spinner-border-sm me-2"></span>
+                                            A eliminar...
+                                        </>
+                                    ) : (
+                                        <>
+                                            <i className="bi bi-trash me-2"></i>
+                                            Eliminar
+                                        </>
+                                    )}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CollectionDetail;
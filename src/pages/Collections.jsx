@@ -0,0 +1,221 @@
+/**
+ * ============================================
+ * COLLECTIONS PAGE - Os meus livros
+ * ============================================
+ *
+ * Livros de receitas pessoais ("Natal", "Jantares rápidos"...):
+ * - Lista os livros do utilizador, com a capa (imagem da primeira receita)
+ *   e o número de receitas
+ * - Cria livros novos (as receitas juntam-se no botão "Guardar" do detalhe)
+ * - Gera um "Livro de Receitas" em PDF, por categorias ou a partir de um livro
+ *
+ * Sem sessão iniciada, os livros ficam associados a este browser; ao entrar
+ * passam para a conta e ficam disponíveis em qualquer dispositivo.
+ *
+ * Componentes utilizados: CookbookExport
+ * API utilizada: getCollections(), createCollection(), getRecipes(), getSession()
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getCollections, createCollection, getRecipes, getSession } from '../services/api';
+import CookbookExport from '../components/CookbookExport';
+
+const Collections = () => {
+    // ============================================
+    // ESTADO (useState)
+    // ============================================
+
+    // Livros do utilizador
+    const [collections, setCollections] = useState([]);
+
+    // Receitas por id (para as capas)
+    const [recipesById, setRecipesById] = useState(new Map());
+
+    // Boolean que indica se os dados ainda estão a ser carregados
+    const [loading, setLoading] = useState(true);
+
+    // Nome do livro novo
+    const [newName, setNewName] = useState('');
+
+    // Boolean que indica se o livro novo está a ser criado
+    const [saving, setSaving] = useState(false);
+
+    // Boolean que controla a janela do livro em PDF
+    const [showExport, setShowExport] = useState(false);
+
+    const loggedIn = getSession() !== null;
+
+    // ============================================
+    // EFEITOS (useEffect)
+    // ============================================
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    // ============================================
+    // FUNÇÕES
+    // ============================================
+
+    /**
+     * loadData - Carrega os livros e as receitas (em paralelo)
+     */
+    const loadData = async () => {
+        try {
+            setLoading(true);
+            const [collectionsData, recipesData] = await Promise.all([
+                getCollections(),
+                getRecipes(),
+            ]);
+            setCollections(collectionsData);
+            setRecipesById(new Map(recipesData.map(recipe => [String(recipe.id), recipe])));
+        } catch (error) {
+            console.error('Erro ao carregar livros:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * handleCreate - Cria um livro vazio
+     */
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+
+        setSaving(true);
+        try {
+            const created = await createCollection(newName);
+            setCollections(prev => [...prev, created]);
+            setNewName('');
+        } catch (error) {
+            console.error('Erro ao criar livro:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * coverOf - Imagem da primeira receita do livro que ainda existe
+     */
+    const coverOf = (collection) => {
+        const first = collection.itens.find(item => recipesById.has(String(item.receita)));
+        return first ? recipesById.get(String(first.receita)).imagem_url : null;
+    };
+
+    // ============================================
+    // RENDER CONDICIONAL - LOADING
+    // ============================================
+
+    if (loading) {
+        return (
+            <div className="container py-5 text-center">
+                <div className="spinner-border text-sage" role="status">
+                    <span className="visually-hidden">A carregar...</span>
+                </div>
+            </div>
+        );
+    }
+
+    // ============================================
+    // RENDER PRINCIPAL (JSX)
+    // ============================================
+    return (
+        <div className="collections-page py-5">
+            <div className="container">
+                {/* ========== HEADER ========== */}
+                <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+                    <div>
+                        <h1 className="fw-bold mb-1">
+                            <i className="bi bi-bookmarks text-sage me-2"></i>
+                            Os meus livros
+                        </h1>
+                        <p className="text-muted mb-0">
+                            {loggedIn
+                                ? 'Os seus livros de receitas, disponíveis em qualquer dispositivo'
+                                : 'Guardados neste browser. Entre na sua conta para os ter em todos os dispositivos.'}
+                        </p>
+                    </div>
+
+                    {/* Livro novo e livro em PDF */}
+                    <form className="d-flex gap-2" onSubmit={handleCreate}>
+                        <input
+                            type="text"
+                            className="form-control"
+                            placeholder="Novo livro (ex: Natal)"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            aria-label="Nome do novo livro"
+                        />
+                        <button type="submit" className="btn btn-sage text-nowrap" disabled={saving || !newName.trim()}>
+                            <i className="bi bi-plus-lg me-2"></i>
+                            Criar
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-outline-sage text-nowrap"
+                            onClick={() => setShowExport(true)}
+                            title="Livro de Receitas em PDF"
+                        >
+                            <i className="bi bi-file-earmark-pdf me-2"></i>
+                            PDF
+                        </button>
+                    </form>
+                </div>
+
+                {/* ========== LIVROS ========== */}
+                {collections.length === 0 ? (
+                    <div className="text-center py-5">
+                        <i className="bi bi-bookmark display-1 text-muted"></i>
+                        <p className="mt-3 text-muted">
+                            Ainda não tem livros. Crie um aqui ou use o botão "Guardar" numa receita.
+                        </p>
+                    </div>
+                ) : (
+                    <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
+                        {collections.map(collection => {
+                            const cover = coverOf(collection);
+                            return (
+                                <div key={collection.id} className="col">
+                                    <Link to={`/livros/${collection.id}`} className="text-decoration-none">
+                                        <div className="card recipe-card collection-card h-100">
+                                            <div className="card-img-wrapper">
+                                                {cover ? (
+                                                    <img src={cover} className="card-img-top" alt="" loading="lazy" />
+                                                ) : (
+                                                    <div className="collection-cover-empty">
+                                                        <i className="bi bi-book"></i>
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <div className="card-body">
+                                                <h5 className="card-title mb-1">{collection.nome}</h5>
+                                                <span className="text-muted small">
+                                                    {collection.itens.length === 1
+                                                        ? '1 receita'
+                                                        : `${collection.itens.length} receitas`}
+                                                </span>
+                                                {collection.id < 0 && (
+                                                    <span className="badge bg-secondary ms-2" title="Será enviado quando houver ligação">
+                                                        <i className="bi bi-cloud-slash me-1"></i>
+                                                        Por sincronizar
+                                                    </span>
+                                                )}
+                                            </div>
+                                        </div>
+                                    </Link>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            {/* ========== LIVRO EM PDF ========== */}
+            {showExport && <CookbookExport onClose={() => setShowExport(false)} />}
+        </div>
+    );
+};
+
+export default Collections;
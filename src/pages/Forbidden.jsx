@@ -0,0 +1,36 @@
+/**
+ * ============================================
+ * FORBIDDEN PAGE - Acesso Negado (403)
+ * ============================================
+ *
+ * Mostrada pelo PrivateRoute quando o utilizador tem sessão iniciada
+ * mas o seu papel não tem a permissão exigida pela rota.
+ */
+
+import { useNavigate } from 'react-router-dom';
+import { getSession } from '../services/api';
+import { ROLE_LABELS } from '../services/permissions';
+
+const Forbidden = () => {
+    const navigate = useNavigate();
+    const session = getSession();
+
+    return (
+        <div className="container py-5 text-center">
+            <i className="bi bi-shield-lock display-1 text-muted"></i>
+            <h1 className="mt-3 fw-bold">403</h1>
+            <h2 className="h4">Acesso negado</h2>
+            <p className="text-muted">
+                {session
+                    ? `A sua conta (${ROLE_LABELS[session.role] || session.role}) não tem permissão para aceder a esta página.`
+                    : 'Não tem permissão para aceder a esta página.'}
+            </p>
+            <button className="btn btn-sage mt-3" onClick={() => navigate('/')}>
+                <i className="bi bi-arrow-left me-2"></i>
+                Voltar ao início
+            </button>
+        </div>
+    );
+};
+
+export default Forbidden;
@@ -4,26 +4,69 @@
  * ============================================
  * 
  * Esta página exibe a lista de receitas com funcionalidades de:
- * - Pesquisa por nome (filtro em tempo real)
+ * - Pesquisa em título, categoria, ingredientes e instruções (sem acentos,
+ *   com plurais), ordenada por relevância e com os termos destacados
+ * - Modo "O que tenho em casa": o utilizador indica os ingredientes que tem
+ *   e as receitas são ordenadas pelos que consegue cobrir, com os que faltam
+ * - Filtro por categoria (várias ao mesmo tempo, com o número de receitas
+ *   de cada uma), "pronto em" (até 30 / 60 / 120 minutos) e likes
+ * - Ordenação por tempo ou por likes
  * - Paginação (6 receitas por página)
+ * - Todos os filtros ficam no URL (ver utils/filters): uma vista filtrada
+ *   pode ser partilhada e o botão "voltar" repõe-na
  * - Grid responsivo (1/2/3 colunas conforme o tamanho do ecrã)
+ * Só aparecem receitas publicadas, mesmo com sessão iniciada: a Home é
+ * sempre o que os visitantes veem (ver isPublic em utils/recipeStatus).
  * 
  * Componentes utilizados: RecipeCard
- * API utilizada: getRecipes()
+ * API utilizada: getRecipes(), getCategories()
  */
 
-import { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
-import { getRecipes } from '../services/api';
+import { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { getRecipes, getCategories, subscribeToData } from '../services/api';
 import RecipeCard from '../components/RecipeCard';
+import { buildSearchIndex, searchRecipes, foldText } from '../utils/search';
+import { matchPantry } from '../utils/pantry';
+import { readFilters, writeFilters, hasActiveFilters, DEFAULT_FILTERS } from '../utils/filters';
+
+// Opções do filtro "pronto em" (minutos)
+const TIME_FILTERS = [30, 60, 120];
+
+// Opções do filtro de likes (mínimo)
+const LIKES_FILTERS = [10, 20, 30];
+
+// Opções de ordenação
+const SORT_OPTIONS = {
+    '': 'Relevância',
+    tempo_asc: 'Mais rápidas primeiro',
+    tempo_desc: 'Mais demoradas primeiro',
+    likes_desc: 'Mais populares',
+};
+
+// Modos da barra de pesquisa
+const MODES = {
+    pesquisa: 'Pesquisar receitas',
+    despensa: 'O que tenho em casa',
+};
 
 const Home = () => {
     // ============================================
     // HOOKS
     // ============================================
 
-    // useLocation para detetar navegação de volta para esta página
-    const location = useLocation();
+    // Filtros, ordenação e página vêm da query string do URL
+    const [searchParams, setSearchParams] = useSearchParams();
+    const filters = readFilters(searchParams);
+    const {
+        q: searchTerm,
+        modo: mode,
+        tem: pantry,
+        categorias: selectedCategories,
+        tempo: maxTime,
+        likes: minLikes,
+        ordem: sortBy,
+    } = filters;
 
     // ============================================
     // ESTADO (useState)
@@ -35,11 +78,11 @@ const Home = () => {
     // Boolean que indica se os dados ainda estão a ser carregados
     const [loading, setLoading] = useState(true);
 
-    // String com o termo de pesquisa introduzido pelo utilizador
-    const [searchTerm, setSearchTerm] = useState('');
+    // Array com as categorias da folha "categorias"
+    const [categories, setCategories] = useState([]);
 
-    // Número da página atual na paginação (começa em 1)
-    const [currentPage, setCurrentPage] = useState(1);
+    // Texto que está a ser escrito antes de ser adicionado à despensa
+    const [pantryInput, setPantryInput] = useState('');
 
     // Constante que define quantas receitas mostrar por página
     const recipesPerPage = 6;
@@ -49,21 +92,24 @@ const Home = () => {
     // ============================================
 
     /**
-     * useEffect que corre quando o componente é montado OU quando
-     * o utilizador navega para esta página (location.key muda em cada navegação).
-     * Isto garante que os likes são sempre atualizados ao voltar.
+     * useEffect que corre quando o componente é montado (ao entrar na página
+     * ou ao voltar de uma receita), para os likes estarem sempre atualizados.
+     * Mudar de filtro só muda a query string e não volta a carregar nada.
      */
     useEffect(() => {
         loadRecipes();
-    }, [location.key]);
+    }, []);
 
     /**
-     * useEffect que corre sempre que o termo de pesquisa muda.
-     * Reseta a página para 1 para mostrar os primeiros resultados filtrados.
+     * useEffect que subscreve as atualizações da cache da API: a lista
+     * aparece logo com os dados guardados e, se o backend trouxer dados
+     * diferentes, volta a ser desenhada (sem spinner).
      */
-    useEffect(() => {
-        setCurrentPage(1);
-    }, [searchTerm]);
+    useEffect(() => subscribeToData(resource => {
+        if (['receitas', 'categorias', 'likes'].includes(resource)) {
+            loadRecipes({ showSpinner: false });
+        }
+    }), []);
 
     // ============================================
     // FUNÇÕES
@@ -73,16 +119,20 @@ const Home = () => {
      * loadRecipes - Carrega todas as receitas da API
      * 
      * Esta função é assíncrona (async) porque faz um pedido à API.
-     * 1. Ativa o estado de loading
-     * 2. Chama a API para obter as receitas
-     * 3. Guarda as receitas no estado
+     * 1. Ativa o estado de loading (exceto em atualizações em segundo plano)
+     * 2. Chama a API para obter as receitas e as categorias
+     * 3. Guarda-as no estado
      * 4. Desativa o loading (mesmo se houver erro)
      */
-    const loadRecipes = async () => {
+    const loadRecipes = async ({ showSpinner = true } = {}) => {
         try {
-            setLoading(true);
-            const data = await getRecipes();
+            if (showSpinner) setLoading(true);
+            const [data, categoriesData] = await Promise.all([
+                getRecipes(),
+                getCategories(),
+            ]);
             setRecipes(data);
+            setCategories(categoriesData);
         } catch (error) {
             console.error('Erro ao carregar receitas:', error);
         } finally {
@@ -90,18 +140,147 @@ const Home = () => {
         }
     };
 
+    /**
+     * updateFilters - Altera filtros no URL
+     *
+     * Qualquer alteração (exceto a própria página) volta à página 1.
+     * Com { replace: true } não cria uma entrada nova no histórico
+     * (usado enquanto se escreve na pesquisa, para o "voltar" não
+     * andar letra a letra: só começar e limpar a pesquisa contam).
+     */
+    const updateFilters = (changes, { replace = false } = {}) => {
+        const next = { ...filters, pagina: 1, ...changes };
+        setSearchParams(writeFilters(next), { replace });
+    };
+
+    const setSearchTerm = (q) => updateFilters({ q }, { replace: Boolean(searchTerm && q) });
+    const setMode = (modo) => updateFilters({ modo });
+    const setPantry = (tem) => updateFilters({ tem });
+    const setMaxTime = (tempo) => updateFilters({ tempo });
+    const setMinLikes = (likes) => updateFilters({ likes });
+    const setSortBy = (ordem) => updateFilters({ ordem });
+    const setCurrentPage = (pagina) => updateFilters({ pagina });
+
+    /**
+     * toggleCategory - Junta ou retira uma categoria do filtro
+     */
+    const toggleCategory = (nome) => {
+        setCategoryFilter(
+            selectedCategories.includes(nome)
+                ? selectedCategories.filter(c => c !== nome)
+                : [...selectedCategories, nome]
+        );
+    };
+
+    const setCategoryFilter = (categorias) => updateFilters({ categorias });
+
+    /**
+     * clearFilters - Remove todos os filtros (mantém o modo e a ordenação)
+     */
+    const clearFilters = () => {
+        updateFilters({ ...DEFAULT_FILTERS, modo: mode, ordem: sortBy });
+        setPantryInput('');
+    };
+
+    /**
+     * addPantryItems - Adiciona à despensa o texto escrito
+     * Aceita vários ingredientes separados por vírgulas ("ovos, batatas")
+     * e ignora os que já estão na lista.
+     */
+    const addPantryItems = (text) => {
+        const items = text.split(',').map(item => item.trim()).filter(Boolean);
+        const next = [...pantry];
+        items.forEach(item => {
+            if (!next.some(existing => foldText(existing) === foldText(item))) {
+                next.push(item);
+            }
+        });
+        setPantry(next);
+        setPantryInput('');
+    };
+
+    /**
+     * handlePantryKeyDown - Enter ou vírgula adicionam o ingrediente;
+     * Backspace com o campo vazio remove o último
+     */
+    const handlePantryKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addPantryItems(pantryInput);
+        } else if (e.key === 'Backspace' && !pantryInput && pantry.length > 0) {
+            setPantry(pantry.slice(0, -1));
+        }
+    };
+
+    const removePantryItem = (item) => {
+        setPantry(pantry.filter(existing => existing !== item));
+    };
+
     // ============================================
     // LÓGICA DE FILTRAGEM E PAGINAÇÃO
     // ============================================
 
     /**
-     * Filtra as receitas com base no termo de pesquisa.
-     * Usa .filter() para manter apenas receitas cujo título
-     * contém o termo pesquisado (case-insensitive).
+     * Índice de pesquisa (ver utils/search).
+     * useMemo só o reconstrói quando a lista de receitas muda.
      */
-    const filteredRecipes = recipes.filter(recipe =>
-        recipe.titulo.toLowerCase().includes(searchTerm.toLowerCase())
-    );
+    const searchIndex = useMemo(() => buildSearchIndex(recipes), [recipes]);
+
+    /**
+     * Modo "despensa": receitas ordenadas pela parte dos ingredientes
+     * que o utilizador tem (ver utils/pantry), guardadas por id para
+     * mostrar em cada card o que falta.
+     */
+    const pantryMatches = mode === 'despensa' ? matchPantry(recipes, pantry) : [];
+    const pantryById = new Map(pantryMatches.map(match => [match.recipe.id, match]));
+
+    /**
+     * Pesquisa as receitas com base no termo de pesquisa (ou na despensa).
+     * O resultado já vem ordenado por relevância; sem pesquisa
+     * mantém a ordem original.
+     */
+    const rankedRecipes = mode === 'despensa'
+        ? pantryMatches.map(match => match.recipe)
+        : searchRecipes(searchIndex, searchTerm).map(result => result.recipe);
+
+    /**
+     * Filtros "pronto em" e likes (receitas sem tempo conhecido ficam
+     * de fora quando se filtra por tempo).
+     */
+    const matchingRecipes = rankedRecipes
+        .filter(recipe =>
+            !maxTime || (recipe.minutos !== null && recipe.minutos <= maxTime)
+        )
+        .filter(recipe => recipe.likes >= minLikes);
+
+    /**
+     * Número de receitas de cada categoria com os restantes filtros
+     * aplicados (mostrado nas tags, para se saber o que esperar).
+     */
+    const categoryCounts = matchingRecipes.reduce((counts, recipe) => {
+        counts[recipe.categoria] = (counts[recipe.categoria] || 0) + 1;
+        return counts;
+    }, {});
+
+    // Filtro por categoria: a receita tem de ser de uma das escolhidas
+    const filteredRecipes = selectedCategories.length
+        ? matchingRecipes.filter(recipe => selectedCategories.includes(recipe.categoria))
+        : matchingRecipes;
+
+    /**
+     * Ordena por tempo total (campo "minutos") ou por likes.
+     * Receitas sem tempo conhecido vão sempre para o fim.
+     */
+    if (sortBy === 'likes_desc') {
+        filteredRecipes.sort((a, b) => b.likes - a.likes);
+    } else if (sortBy) {
+        const direction = sortBy === 'tempo_asc' ? 1 : -1;
+        filteredRecipes.sort((a, b) => {
+            if (a.minutos === null) return 1;
+            if (b.minutos === null) return -1;
+            return (a.minutos - b.minutos) * direction;
+        });
+    }
 
     /**
      * Calcula o número total de páginas.
@@ -109,6 +288,9 @@ const Home = () => {
      */
     const totalPages = Math.ceil(filteredRecipes.length / recipesPerPage);
 
+    // Página pedida no URL, limitada às páginas que existem
+    const currentPage = Math.min(filters.pagina, Math.max(totalPages, 1));
+
     /**
      * Calcula o índice inicial para a página atual.
      * Página 1 = índice 0, Página 2 = índice 6, etc.
@@ -148,44 +330,181 @@ const Home = () => {
                         de geração em geração
                     </p>
 
+                    {/* Escolha do modo: pesquisa normal ou pelos ingredientes que há em casa */}
+                    <div className="search-modes btn-group btn-group-sm mb-3" role="group" aria-label="Modo de pesquisa">
+                        {Object.entries(MODES).map(([value, label]) => (
+                            <button
+                                key={value}
+                                type="button"
+                                className={`btn ${mode === value ? 'btn-sage' : 'btn-outline-secondary'}`}
+                                onClick={() => setMode(value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
                     {/* Barra de Pesquisa */}
                     <div className="row justify-content-center">
                         <div className="col-md-8 col-lg-6">
-                            <div className="search-wrapper">
-                                <i className="bi bi-search search-icon"></i>
-                                <input
-                                    type="text"
-                                    className="form-control search-input"
-                                    placeholder="O que vai cozinhar hoje?"
-                                    value={searchTerm}
-                                    onChange={(e) => setSearchTerm(e.target.value)}
-                                />
-                                {/* Botão X para limpar a pesquisa (só aparece se houver texto) */}
-                                {searchTerm && (
+                            {mode === 'pesquisa' ? (
+                                <div className="search-wrapper">
+                                    <i className="bi bi-search search-icon"></i>
+                                    <input
+                                        type="text"
+                                        className="form-control search-input"
+                                        placeholder="O que vai cozinhar hoje?"
+                                        value={searchTerm}
+                                        onChange={(e) => setSearchTerm(e.target.value)}
+                                    />
+                                    {/* Botão X para limpar a pesquisa (só aparece se houver texto) */}
+                                    {searchTerm && (
+                                        <button
+                                            className="btn-clear"
+                                            onClick={() => setSearchTerm('')}
+                                        >
+                                            <i className="bi bi-x-lg"></i>
+                                        </button>
+                                    )}
+                                </div>
+                            ) : (
+                                <>
+                                    <div className="search-wrapper">
+                                        <i className="bi bi-basket search-icon"></i>
+                                        <input
+                                            type="text"
+                                            className="form-control search-input"
+                                            placeholder="Que ingredientes tem? (ex: ovos, batatas)"
+                                            value={pantryInput}
+                                            onChange={(e) => setPantryInput(e.target.value)}
+                                            onKeyDown={handlePantryKeyDown}
+                                            onBlur={() => pantryInput && addPantryItems(pantryInput)}
+                                        />
+                                        {/* Botão X para esvaziar a despensa */}
+                                        {pantry.length > 0 && (
+                                            <button
+                                                className="btn-clear"
+                                                onClick={() => setPantry([])}
+                                                title="Limpar ingredientes"
+                                            >
+                                                <i className="bi bi-x-lg"></i>
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {/* Ingredientes já adicionados */}
+                                    {pantry.length > 0 && (
+                                        <div className="pantry-chips">
+                                            {pantry.map(item => (
+                                                <span key={item} className="pantry-chip">
+                                                    {item}
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => removePantryItem(item)}
+                                                        aria-label={`Remover ${item}`}
+                                                    >
+                                                        <i className="bi bi-x"></i>
+                                                    </button>
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Tags de categorias: filtro por categoria (podem escolher-se várias) */}
+                    {categories.length > 0 && (
+                        <div className="hero-tags" role="group" aria-label="Filtrar por categoria">
+                            {categories.map(category => {
+                                const active = selectedCategories.includes(category.nome);
+                                return (
                                     <button
-                                        className="btn-clear"
-                                        onClick={() => setSearchTerm('')}
+                                        key={category.id}
+                                        type="button"
+                                        className={`hero-tag ${active ? 'active' : ''}`}
+                                        style={category.cor ? { '--category-color': category.cor } : undefined}
+                                        aria-pressed={active}
+                                        onClick={() => toggleCategory(category.nome)}
                                     >
-                                        <i className="bi bi-x-lg"></i>
+                                        {category.icone} {category.nome}
+                                        <span className="hero-tag-count">{categoryCounts[category.nome] || 0}</span>
                                     </button>
-                                )}
-                            </div>
+                                );
+                            })}
                         </div>
-                    </div>
-
-                    {/* Tags de categorias populares */}
-                    <div className="hero-tags">
-                        <span className="hero-tag" onClick={() => setSearchTerm('Galinha')}>🐔 Galinha</span>
-                        <span className="hero-tag" onClick={() => setSearchTerm('Sopa')}>🥣 Sopa</span>
-                        <span className="hero-tag" onClick={() => setSearchTerm('Dourada')}>🐟 Dourada</span>
-                        <span className="hero-tag" onClick={() => setSearchTerm('Pato')}>🦆 Pato</span>
-                    </div>
+                    )}
                 </div>
             </section>
 
             {/* ========== SECÇÃO DE RECEITAS ========== */}
             <section className="recipes-section py-5">
                 <div className="container">
+                    {/* Filtros por tempo e likes, e ordenação */}
+                    <div className="recipes-toolbar d-flex flex-wrap gap-3 justify-content-end mb-4">
+                        {hasActiveFilters(filters) && (
+                            <button
+                                type="button"
+                                className="btn btn-link btn-sm text-muted me-auto px-0"
+                                onClick={clearFilters}
+                            >
+                                <i className="bi bi-x-circle me-1"></i>
+                                Limpar filtros
+                            </button>
+                        )}
+                        <div className="d-flex align-items-center gap-2">
+                            <label htmlFor="filter-time" className="text-muted small mb-0">
+                                <i className="bi bi-clock me-1"></i>
+                                Pronto em
+                            </label>
+                            <select
+                                id="filter-time"
+                                className="form-select form-select-sm"
+                                value={maxTime}
+                                onChange={(e) => setMaxTime(parseInt(e.target.value))}
+                            >
+                                <option value={0}>Qualquer tempo</option>
+                                {TIME_FILTERS.map(minutes => (
+                                    <option key={minutes} value={minutes}>Até {minutes} min</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="d-flex align-items-center gap-2">
+                            <label htmlFor="filter-likes" className="text-muted small mb-0">
+                                <i className="bi bi-heart me-1"></i>
+                                Likes
+                            </label>
+                            <select
+                                id="filter-likes"
+                                className="form-select form-select-sm"
+                                value={minLikes}
+                                onChange={(e) => setMinLikes(parseInt(e.target.value))}
+                            >
+                                <option value={0}>Todas</option>
+                                {LIKES_FILTERS.map(likes => (
+                                    <option key={likes} value={likes}>Pelo menos {likes}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="d-flex align-items-center gap-2">
+                            <label htmlFor="sort-by" className="text-muted small mb-0">
+                                <i className="bi bi-sort-down me-1"></i>
+                                Ordenar
+                            </label>
+                            <select
+                                id="sort-by"
+                                className="form-select form-select-sm"
+                                value={sortBy}
+                                onChange={(e) => setSortBy(e.target.value)}
+                            >
+                                {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
                     {/* Estado de Loading - mostra spinner enquanto carrega */}
                     {loading ? (
                         <div className="text-center py-5">
@@ -199,16 +518,44 @@ const Home = () => {
                         <div className="text-center py-5">
                             <i className="bi bi-search display-1 text-muted"></i>
                             <p className="mt-3 text-muted">
-                                Nenhuma receita encontrada para "{searchTerm}"
+                                {mode === 'despensa'
+                                    ? pantry.length === 0
+                                        ? 'Indique os ingredientes que tem em casa'
+                                        : 'Nenhuma receita usa estes ingredientes'
+                                    : searchTerm
+                                        ? `Nenhuma receita encontrada para "${searchTerm}"`
+                                        : 'Nenhuma receita encontrada com estes filtros'}
                             </p>
                         </div>
                     ) : (
                         <>
                             {/* Grid de Receitas - responsivo com Bootstrap */}
                             <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
-                                {paginatedRecipes.map(recipe => (
-                                    <RecipeCard key={recipe.id} recipe={recipe} />
-                                ))}
+                                {paginatedRecipes.map(recipe => {
+                                    const match = pantryById.get(recipe.id);
+                                    return (
+                                        <RecipeCard
+                                            key={recipe.id}
+                                            recipe={recipe}
+                                            highlight={mode === 'pesquisa' ? searchTerm : ''}
+                                        >
+                                            {/* Modo despensa: quantos ingredientes tem e o que falta */}
+                                            {match && (
+                                                <div className="pantry-match small mb-2">
+                                                    <span className={match.missing.length === 0 ? 'text-sage' : 'text-muted'}>
+                                                        <i className="bi bi-basket me-1"></i>
+                                                        Tem {match.covered} de {match.total} ingredientes
+                                                    </span>
+                                                    {match.missing.length > 0 && (
+                                                        <p className="pantry-missing mb-0">
+                                                            Falta: {match.missing.join(', ')}
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </RecipeCard>
+                                    );
+                                })}
                             </div>
 
                             {/* Paginação - só aparece se houver mais de 1 página */}
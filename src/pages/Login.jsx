@@ -7,7 +7,7 @@
  * 
  * Funcionalidades:
  * - Formulário com username e password
- * - Validação de credenciais (admin/admin)
+ * - Validação de credenciais contra os utilizadores registados
  * - Mensagens de erro
  * - Redirecionamento automático se já autenticado
  * - Estado de loading durante a autenticação
@@ -0,0 +1,417 @@
+/**
+ * ============================================
+ * PLANNER PAGE - Planeador de Refeições
+ * ============================================
+ *
+ * Plano semanal: 7 dias × refeições (almoço, lanche, jantar).
+ * - As receitas arrastam-se da lista lateral (com pesquisa) para uma refeição,
+ *   e entre refeições; sem rato (ex: telemóvel) toca-se na receita e depois
+ *   em "Adicionar" na refeição
+ * - Tempo total de cada dia (soma dos tempos das receitas)
+ * - Navegação entre semanas e cópia da semana anterior
+ * - Exportação da semana para o calendário (.ics)
+ * - Lista de compras da semana (uma vez por cada refeição em que a receita aparece)
+ *
+ * O plano fica guardado neste browser (ver utils/planner).
+ *
+ * API utilizada: getRecipes()
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { getRecipes } from '../services/api';
+import { buildSearchIndex, searchRecipes } from '../utils/search';
+import { formatDuration } from '../utils/duration';
+import {
+    MEAL_SLOTS,
+    startOfWeek,
+    addDays,
+    weekDays,
+    toDateKey,
+    parseDateKey,
+    loadPlan,
+    savePlan,
+    slotRecipes,
+    addToSlot,
+    removeFromSlot,
+    moveEntry,
+    isWeekEmpty,
+    copyWeek,
+    clearWeek,
+    dayMinutes,
+    weekRecipeIds,
+    planToIcs,
+} from '../utils/planner';
+import { addToShoppingList } from '../utils/shoppingList';
+
+// Tipo dos dados arrastados (receita da lista ou receita já no plano)
+const DRAG_TYPE = 'application/x-planeador';
+
+/**
+ * "19 – 25 out. 2026"
+ */
+const formatWeek = (weekKey) => {
+    const start = parseDateKey(weekKey);
+    const end = parseDateKey(addDays(weekKey, 6));
+    return `${start.getDate()} – ${end.toLocaleDateString('pt-PT', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+};
+
+const Planner = () => {
+    const navigate = useNavigate();
+
+    // ============================================
+    // ESTADO (useState)
+    // ============================================
+
+    // Plano de todas as semanas (guardado no localStorage)
+    const [plan, setPlan] = useState(loadPlan);
+
+    // Segunda-feira da semana mostrada
+    const [weekKey, setWeekKey] = useState(() => startOfWeek());
+
+    // Array com todas as receitas
+    const [recipes, setRecipes] = useState([]);
+
+    // Boolean que indica se os dados ainda estão a ser carregados
+    const [loading, setLoading] = useState(true);
+
+    // Pesquisa na lista lateral
+    const [query, setQuery] = useState('');
+
+    // Receita escolhida na lista (para adicionar sem arrastar)
+    const [selectedId, setSelectedId] = useState(null);
+
+    // Refeição por cima da qual se está a arrastar ("dia|refeição")
+    const [dropTarget, setDropTarget] = useState(null);
+
+    // ============================================
+    // EFEITOS (useEffect)
+    // ============================================
+
+    useEffect(() => {
+        loadRecipes();
+    }, []);
+
+    // Guarda o plano sempre que muda
+    useEffect(() => {
+        savePlan(plan);
+    }, [plan]);
+
+    // ============================================
+    // DADOS DERIVADOS
+    // ============================================
+
+    const recipesById = useMemo(
+        () => new Map(recipes.map(recipe => [String(recipe.id), recipe])),
+        [recipes]
+    );
+
+    const searchIndex = useMemo(() => buildSearchIndex(recipes), [recipes]);
+    const sidebarRecipes = searchRecipes(searchIndex, query).map(result => result.recipe);
+
+    const days = weekDays(weekKey);
+    const today = toDateKey(new Date());
+    const previousWeek = addDays(weekKey, -7);
+
+    // ============================================
+    // FUNÇÕES
+    // ============================================
+
+    /**
+     * loadRecipes - Carrega as receitas para a lista lateral
+     */
+    const loadRecipes = async () => {
+        try {
+            setLoading(true);
+            setRecipes(await getRecipes());
+        } catch (error) {
+            console.error('Erro ao carregar receitas:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * startDrag - Começa a arrastar uma receita
+     *
+     * @param {DragEvent} e
+     * @param {Object} payload - { recipeId } (da lista) ou { from: { day, slot, index } } (do plano)
+     */
+    const startDrag = (e, payload) => {
+        e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(payload));
+        e.dataTransfer.effectAllowed = payload.from ? 'move' : 'copy';
+    };
+
+    /**
+     * handleDragOver - Aceita receitas arrastadas por cima de uma refeição
+     */
+    const handleDragOver = (e, day, slot) => {
+        if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+        e.preventDefault();
+        setDropTarget(`${day}|${slot}`);
+    };
+
+    /**
+     * handleDrop - Larga a receita numa refeição
+     */
+    const handleDrop = (e, day, slot) => {
+        e.preventDefault();
+        setDropTarget(null);
+
+        const data = e.dataTransfer.getData(DRAG_TYPE);
+        if (!data) return;
+
+        const payload = JSON.parse(data);
+        setPlan(prev => (payload.from
+            ? moveEntry(prev, payload.from, { day, slot })
+            : addToSlot(prev, day, slot, payload.recipeId)));
+    };
+
+    /**
+     * exportWeek - Descarrega a semana como ficheiro .ics
+     */
+    const exportWeek = () => {
+        const ics = planToIcs(plan, weekKey, recipesById, { baseUrl: window.location.origin });
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `plano-${weekKey}.ics`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * handleShoppingList - Junta as receitas da semana à lista de compras e abre-a
+     */
+    const handleShoppingList = () => {
+        addToShoppingList({
+            id: `semana:${weekKey}`,
+            label: `Semana ${formatWeek(weekKey)}`,
+            recipes: weekRecipeIds(plan, weekKey).map(id => ({ id, servings: null })),
+        });
+        navigate('/lista-compras');
+    };
+
+    // ============================================
+    // RENDER CONDICIONAL - LOADING
+    // ============================================
+
+    if (loading) {
+        return (
+            <div className="container py-5 text-center">
+                <div className="spinner-border text-sage" role="status">
+                    <span className="visually-hidden">A carregar...</span>
+                </div>
+            </div>
+        );
+    }
+
+    // ============================================
+    // RENDER PRINCIPAL (JSX)
+    // ============================================
+    return (
+        <div className="planner-page py-5">
+            <div className="container-fluid px-lg-5">
+                {/* ========== HEADER ========== */}
+                <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+                    <div>
+                        <h1 className="fw-bold mb-1">
+                            <i className="bi bi-calendar-week text-sage me-2"></i>
+                            Planeador
+                        </h1>
+                        <p className="text-muted mb-0">Arraste as receitas para as refeições da semana</p>
+                    </div>
+
+                    {/* Semana mostrada */}
+                    <div className="d-flex align-items-center gap-2">
+                        <button
+                            className="btn btn-outline-sage"
+                            onClick={() => setWeekKey(previousWeek)}
+                            aria-label="Semana anterior"
+                        >
+                            <i className="bi bi-chevron-left"></i>
+                        </button>
+                        <span className="fw-semibold text-nowrap">{formatWeek(weekKey)}</span>
+                        <button
+                            className="btn btn-outline-sage"
+                            onClick={() => setWeekKey(addDays(weekKey, 7))}
+                            aria-label="Semana seguinte"
+                        >
+                            <i className="bi bi-chevron-right"></i>
+                        </button>
+                        {weekKey !== startOfWeek() && (
+                            <button className="btn btn-link text-sage" onClick={() => setWeekKey(startOfWeek())}>
+                                Esta semana
+                            </button>
+                        )}
+                    </div>
+
+                    {/* Ações sobre a semana */}
+                    <div className="d-flex flex-wrap gap-2">
+                        <button
+                            className="btn btn-outline-sage"
+                            onClick={() => setPlan(prev => copyWeek(prev, previousWeek, weekKey))}
+                            disabled={isWeekEmpty(plan, previousWeek)}
+                            title="Substitui as refeições desta semana pelas da semana anterior"
+                        >
+                            <i className="bi bi-copy me-2"></i>
+                            Copiar semana anterior
+                        </button>
+                        <button
+                            className="btn btn-outline-secondary"
+                            onClick={() => setPlan(prev => clearWeek(prev, weekKey))}
+                            disabled={isWeekEmpty(plan, weekKey)}
+                        >
+                            <i className="bi bi-eraser me-2"></i>
+                            Limpar
+                        </button>
+                        <button
+                            className="btn btn-outline-sage"
+                            onClick={handleShoppingList}
+                            disabled={isWeekEmpty(plan, weekKey)}
+                        >
+                            <i className="bi bi-cart-plus me-2"></i>
+                            Lista de compras
+                        </button>
+                        <button
+                            className="btn btn-sage"
+                            onClick={exportWeek}
+                            disabled={isWeekEmpty(plan, weekKey)}
+                        >
+                            <i className="bi bi-calendar-plus me-2"></i>
+                            Exportar (.ics)
+                        </button>
+                    </div>
+                </div>
+
+                <div className="row g-4">
+                    {/* ========== LISTA DE RECEITAS ========== */}
+                    <aside className="col-lg-3">
+                        <div className="planner-sidebar">
+                            <div className="mb-3">
+                                <input
+                                    type="search"
+                                    className="form-control"
+                                    placeholder="Pesquisar receitas..."
+                                    value={query}
+                                    onChange={(e) => setQuery(e.target.value)}
+                                    aria-label="Pesquisar receitas"
+                                />
+                            </div>
+
+                            <div className="planner-recipes">
+                                {sidebarRecipes.length === 0 && (
+                                    <p className="text-muted small">Nenhuma receita encontrada</p>
+                                )}
+                                {sidebarRecipes.map(recipe => {
+                                    const selected = String(selectedId) === String(recipe.id);
+                                    return (
+                                        <div
+                                            key={recipe.id}
+                                            className={`card recipe-card planner-recipe ${selected ? 'selected' : ''}`}
+                                            draggable
+                                            onDragStart={(e) => startDrag(e, { recipeId: recipe.id })}
+                                            onClick={() => setSelectedId(selected ? null : recipe.id)}
+                                            role="button"
+                                            aria-pressed={selected}
+                                        >
+                                            <img src={recipe.imagem_url} alt="" loading="lazy" />
+                                            <div className="planner-recipe-body">
+                                                <span className="fw-semibold">{recipe.titulo}</span>
+                                                <span className="text-muted small">
+                                                    <i className="bi bi-clock me-1"></i>
+                                                    {recipe.minutos !== null ? formatDuration(recipe.minutos) : recipe.tempo_preparo}
+                                                </span>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    </aside>
+
+                    {/* ========== SEMANA ========== */}
+                    <div className="col-lg-9">
+                        <div className="planner-grid-wrapper">
+                            <div className="planner-grid">
+                                {/* Cabeçalho: dias da semana e tempo total de cada um */}
+                                <div className="planner-corner"></div>
+                                {days.map(day => {
+                                    const minutes = dayMinutes(plan, day, recipesById);
+                                    return (
+                                        <div key={day} className={`planner-day ${day === today ? 'today' : ''}`}>
+                                            <span className="fw-semibold">
+                                                {parseDateKey(day).toLocaleDateString('pt-PT', { weekday: 'short', day: 'numeric' })}
+                                            </span>
+                                            <span className="small text-muted">
+                                                {minutes !== null ? (
+                                                    <>
+                                                        <i className="bi bi-clock me-1"></i>
+                                                        {formatDuration(minutes)}
+                                                    </>
+                                                ) : '—'}
+                                            </span>
+                                        </div>
+                                    );
+                                })}
+
+                                {/* Uma linha por refeição */}
+                                {MEAL_SLOTS.map(slot => (
+                                    <div key={slot.id} className="planner-row">
+                                        <div className="planner-slot-label">{slot.label}</div>
+                                        {days.map(day => (
+                                            <div
+                                                key={day}
+                                                className={`planner-cell ${dropTarget === `${day}|${slot.id}` ? 'drop-target' : ''}`}
+                                                onDragOver={(e) => handleDragOver(e, day, slot.id)}
+                                                onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropTarget(null)}
+                                                onDrop={(e) => handleDrop(e, day, slot.id)}
+                                            >
+                                                {slotRecipes(plan, day, slot.id).map((id, index) => {
+                                                    const recipe = recipesById.get(String(id));
+                                                    if (!recipe) return null;
+                                                    return (
+                                                        <div
+                                                            key={id}
+                                                            className="planner-entry"
+                                                            draggable
+                                                            onDragStart={(e) => startDrag(e, { from: { day, slot: slot.id, index } })}
+                                                        >
+                                                            <Link to={`/receita/${recipe.id}`} draggable={false}>
+                                                                {recipe.titulo}
+                                                            </Link>
+                                                            <button
+                                                                className="btn btn-sm btn-link text-muted p-0"
+                                                                onClick={() => setPlan(prev => removeFromSlot(prev, day, slot.id, index))}
+                                                                aria-label={`Tirar ${recipe.titulo}`}
+                                                            >
+                                                                <i className="bi bi-x"></i>
+                                                            </button>
+                                                        </div>
+                                                    );
+                                                })}
+
+                                                {/* Alternativa a arrastar: receita escolhida na lista */}
+                                                {selectedId !== null && (
+                                                    <button
+                                                        className="btn btn-sm btn-link text-sage p-0"
+                                                        onClick={() => setPlan(prev => addToSlot(prev, day, slot.id, selectedId))}
+                                                    >
+                                                        <i className="bi bi-plus-lg me-1"></i>
+                                                        Adicionar
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Planner;
@@ -5,18 +5,39 @@
  * 
  * Esta página exibe os detalhes completos de uma receita:
  * - Imagem em destaque com badge de categoria
- * - Tempo de preparação
- * - Lista de ingredientes
- * - Instruções de preparação
- * - Botão de Like (incrementa contador na API)
+ * - Tempo total, com preparação / confeção / repouso quando indicados
+ * - Lista de ingredientes, ajustável ao número de porções (+/-)
+ *   e mostrada em unidades métricas ou americanas (preferência guardada)
+ * - Instruções de preparação, com um "Modo Cozinhar" em ecrã inteiro
+ *   (um passo de cada vez, ecrã sempre ligado e temporizadores)
+ * - Botão de Like (um like por visitante; cliques seguidos são juntos
+ *   num só pedido pela fila de likes da API)
+ * - Botão "Guardar" para pôr a receita nos livros do utilizador ("Os meus livros")
+ * - Botão para juntar os ingredientes (nas porções escolhidas) à lista de compras
+ * - Versão para imprimir (só a receita: sem menus, botões nem a imagem gigante)
+ * - Receitas por publicar só aparecem em /receita/:id?previsualizar=1 (os links
+ *   do Dashboard) e só a editores e admin, como pré-visualização (tal como os
+ *   visitantes as vão ver, com um aviso no topo)
  * 
- * Parâmetros URL: /receita/:id
- * API utilizada: getRecipeById(), likeRecipe()
+ * Parâmetros URL: /receita/:id (?previsualizar=1)
+ * API utilizada: getRecipeById(), setRecipeLiked()
  */
 
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { getRecipeById, likeRecipe, unlikeRecipe } from '../services/api';
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { getRecipeById, setRecipeLiked } from '../services/api';
+import { scaleIngredients } from '../utils/ingredients';
+import { UNIT_SYSTEMS, convertIngredients, convertTemperatures } from '../utils/units';
+import { formatDuration } from '../utils/duration';
+import { addToShoppingList } from '../utils/shoppingList';
+import IngredientList from '../components/IngredientList';
+import CookMode from '../components/CookMode';
+import SaveToCollection from '../components/SaveToCollection';
+import StatusBadge from '../components/StatusBadge';
+import { isPublic, recipeStatus, formatPublishDate, SCHEDULED } from '../utils/recipeStatus';
+
+// Chave do localStorage com o sistema de unidades preferido
+const UNIT_SYSTEM_KEY = 'unit_system';
 
 const RecipeDetail = () => {
     // ============================================
@@ -29,6 +50,12 @@ const RecipeDetail = () => {
      */
     const { id } = useParams();
 
+    /**
+     * useSearchParams() - ?previsualizar=1 pede também receitas por publicar
+     */
+    const [searchParams] = useSearchParams();
+    const preview = searchParams.get('previsualizar') === '1';
+
     /**
      * useNavigate() - Permite navegar programaticamente
      * Usado para voltar à página anterior ou ir para o início
@@ -48,12 +75,29 @@ const RecipeDetail = () => {
     // Número de likes da receita (atualizado localmente após like)
     const [likes, setLikes] = useState(0);
 
-    // Boolean que indica se o like está a ser processado (previne duplo clique)
-    const [isLiking, setIsLiking] = useState(false);
-
-    // Boolean que indica se o utilizador já deu like (guardado no localStorage)
+    // Boolean que indica se este visitante já deu like (vem da API)
     const [liked, setLiked] = useState(false);
 
+    // Último estado confirmado pela API (para reverter em caso de erro)
+    const confirmedLike = useRef({ liked: false, likes: 0 });
+
+    // Número do último clique no like (só a resposta ao último conta)
+    const lastLikeClick = useRef(0);
+
+    // Número de porções escolhido (começa nas porções da receita)
+    const [servings, setServings] = useState(0);
+
+    // Sistema de unidades ('metric' ou 'us'), guardado por browser no localStorage
+    const [unitSystem, setUnitSystem] = useState(
+        () => localStorage.getItem(UNIT_SYSTEM_KEY) || 'metric'
+    );
+
+    // Boolean que controla se o Modo Cozinhar está aberto
+    const [cookMode, setCookMode] = useState(false);
+
+    // Boolean que indica que a receita foi juntada à lista de compras
+    const [addedToList, setAddedToList] = useState(false);
+
     // ============================================
     // EFEITOS (useEffect)
     // ============================================
@@ -64,7 +108,7 @@ const RecipeDetail = () => {
      */
     useEffect(() => {
         loadRecipe();
-    }, [id]);
+    }, [id, preview]);
 
     // ============================================
     // FUNÇÕES
@@ -81,15 +125,15 @@ const RecipeDetail = () => {
     const loadRecipe = async () => {
         try {
             setLoading(true);
-            const data = await getRecipeById(id);
+            // Por publicar: só na pré-visualização, e a API só a devolve a quem a pode editar
+            const data = await getRecipeById(id, { includeUnpublished: preview });
             if (data) {
                 setRecipe(data);
                 setLikes(data.likes);
-
-                // Verificar se o utilizador já deu like a esta receita
-                // Os IDs das receitas "liked" são guardados no localStorage
-                const likedRecipes = JSON.parse(localStorage.getItem('liked_recipes') || '[]');
-                setLiked(likedRecipes.includes(parseInt(id)));
+                setLiked(data.liked);
+                setServings(data.porcoes);
+                setAddedToList(false);
+                confirmedLike.current = { liked: data.liked, likes: data.likes };
             }
         } catch (error) {
             console.error('Erro ao carregar receita:', error);
@@ -103,54 +147,57 @@ const RecipeDetail = () => {
      * 
      * Usa "Optimistic UI" - atualiza visualmente de imediato
      * e sincroniza com o servidor em background.
-     * Se houver erro, reverte para o estado anterior.
+     * Cliques seguidos não ficam bloqueados: a fila da API envia só o
+     * estado final, e só a resposta ao último clique atualiza o contador.
+     * Se houver erro, volta ao último estado confirmado.
      */
     const handleLike = async () => {
-        // Prevenir duplo clique enquanto processa
-        if (isLiking) return;
+        const nextLiked = !liked;
+        const click = ++lastLikeClick.current;
 
-        // Guardar estado anterior para reverter em caso de erro
-        const previousLiked = liked;
-        const previousLikes = likes;
+        // Atualização otimista (instantânea)
+        setLiked(nextLiked);
+        setLikes(prev => Math.max(0, prev + (nextLiked ? 1 : -1)));
 
         try {
-            setIsLiking(true);
-
-            if (liked) {
-                // UNLIKE - Atualização otimista (instantânea)
-                setLiked(false);
-                setLikes(prev => Math.max(0, prev - 1));
-
-                // Remove do localStorage imediatamente
-                const likedRecipes = JSON.parse(localStorage.getItem('liked_recipes') || '[]');
-                const updatedLikes = likedRecipes.filter(recipeId => recipeId !== parseInt(id));
-                localStorage.setItem('liked_recipes', JSON.stringify(updatedLikes));
-
-                // Sincroniza com o servidor em background
-                await unlikeRecipe(id);
-            } else {
-                // LIKE - Atualização otimista (instantânea)
-                setLiked(true);
-                setLikes(prev => prev + 1);
-
-                // Guarda no localStorage imediatamente
-                const likedRecipes = JSON.parse(localStorage.getItem('liked_recipes') || '[]');
-                likedRecipes.push(parseInt(id));
-                localStorage.setItem('liked_recipes', JSON.stringify(likedRecipes));
-
-                // Sincroniza com o servidor em background
-                await likeRecipe(id);
-            }
+            const total = await setRecipeLiked(id, nextLiked);
+            if (total !== null) confirmedLike.current = { liked: nextLiked, likes: total };
+            if (click === lastLikeClick.current && total !== null) setLikes(total);
         } catch (error) {
-            // Em caso de erro, reverte para o estado anterior
             console.error('Erro ao processar like:', error);
-            setLiked(previousLiked);
-            setLikes(previousLikes);
-        } finally {
-            setIsLiking(false);
+            if (click === lastLikeClick.current) {
+                setLiked(confirmedLike.current.liked);
+                setLikes(confirmedLike.current.likes);
+            }
         }
     };
 
+    /**
+     * handleUnitSystemChange - Muda o sistema de unidades e guarda a preferência
+     */
+    const handleUnitSystemChange = (system) => {
+        setUnitSystem(system);
+        localStorage.setItem(UNIT_SYSTEM_KEY, system);
+    };
+
+    /**
+     * handleAddToShoppingList - Junta a receita, nas porções escolhidas, à lista de compras
+     * (voltar a juntar a mesma receita só atualiza as porções)
+     */
+    const handleAddToShoppingList = () => {
+        addToShoppingList({
+            id: `receita:${recipe.id}`,
+            label: servings === recipe.porcoes ? recipe.titulo : `${recipe.titulo} (${servings} porções)`,
+            recipes: [{ id: recipe.id, servings }],
+        });
+        setAddedToList(true);
+    };
+
+    /**
+     * closeCookMode - Fecha o Modo Cozinhar
+     */
+    const closeCookMode = () => setCookMode(false);
+
     // ============================================
     // RENDER CONDICIONAL
     // ============================================
@@ -180,6 +227,23 @@ const RecipeDetail = () => {
         );
     }
 
+    /**
+     * Quantidades ajustadas às porções escolhidas e convertidas para o
+     * sistema de unidades escolhido.
+     * Ex: receita para 8, a mostrar 4 -> fator 0.5
+     */
+    const displayedIngredients = convertIngredients(
+        scaleIngredients(recipe.ingredientes, servings / recipe.porcoes),
+        unitSystem
+    );
+
+    // Passos para o Modo Cozinhar (sem linhas vazias)
+    const cookSteps = recipe.instrucoes
+        .split('\n')
+        .map(step => step.trim())
+        .filter(Boolean)
+        .map(step => convertTemperatures(step, unitSystem));
+
     // ============================================
     // RENDER PRINCIPAL (JSX)
     // ============================================
@@ -188,13 +252,27 @@ const RecipeDetail = () => {
             <div className="container">
                 {/* Botão Voltar - usa navigate(-1) para voltar à página anterior */}
                 <button
-                    className="btn btn-outline-secondary mb-4"
+                    className="btn btn-outline-secondary mb-4 d-print-none"
                     onClick={() => navigate(-1)}
                 >
                     <i className="bi bi-arrow-left me-2"></i>
                     Voltar
                 </button>
 
+                {/* Pré-visualização de uma receita que os visitantes ainda não veem */}
+                {!isPublic(recipe) && (
+                    <div className="alert alert-warning d-flex flex-wrap align-items-center gap-2 mb-4 d-print-none" role="status">
+                        <i className="bi bi-eye"></i>
+                        <strong>Pré-visualização</strong>
+                        <StatusBadge recipe={recipe} />
+                        <span>
+                            {recipeStatus(recipe) === SCHEDULED
+                                ? `Os visitantes vão ver a receita assim a partir de ${formatPublishDate(recipe.publicar_em)}.`
+                                : 'É assim que os visitantes vão ver a receita quando for publicada.'}
+                        </span>
+                    </div>
+                )}
+
                 <div className="row g-5">
                     {/* ========== COLUNA DA IMAGEM ========== */}
                     <div className="col-lg-6">
@@ -215,39 +293,120 @@ const RecipeDetail = () => {
                     <div className="col-lg-6">
                         <h1 className="recipe-title mb-3">{recipe.titulo}</h1>
 
-                        {/* Meta informações: tempo e likes */}
+                        {/* Meta informações: tempo, likes e guardar */}
                         <div className="d-flex gap-4 mb-4">
-                            {/* Badge de tempo de preparação */}
+                            {/* Badge de tempo total (ou o texto original, se não for reconhecido) */}
                             <span className="meta-badge">
                                 <i className="bi bi-clock me-2"></i>
-                                {recipe.tempo_preparo}
+                                {recipe.minutos !== null ? formatDuration(recipe.minutos) : recipe.tempo_preparo}
                             </span>
 
                             {/* Botão de Like - agora funciona como toggle */}
                             <button
-                                className={`like-button ${liked ? 'liked' : ''}`}
+                                className={`like-button d-print-none ${liked ? 'liked' : ''}`}
                                 onClick={handleLike}
-                                disabled={isLiking}
+                                aria-pressed={liked}
                             >
                                 <i className={`bi ${liked ? 'bi-heart-fill' : 'bi-heart'} me-2`}></i>
                                 <span>{likes}</span>
                             </button>
+
+                            {/* Guardar nos livros do utilizador */}
+                            <SaveToCollection receitaId={recipe.id} />
+
+                            {/* Imprimir (ver estilos de impressão no index.css) */}
+                            <button
+                                className="btn btn-outline-sage d-print-none"
+                                onClick={() => window.print()}
+                                title="Imprimir receita"
+                            >
+                                <i className="bi bi-printer"></i>
+                            </button>
                         </div>
 
+                        {/* Decomposição do tempo (só se a receita indicar confeção ou repouso) */}
+                        {(recipe.tempo_confecao || recipe.tempo_repouso) && (
+                            <ul className="time-breakdown list-inline text-muted small mb-4">
+                                {recipe.tempo_preparo && (
+                                    <li className="list-inline-item">Preparação: {recipe.tempo_preparo}</li>
+                                )}
+                                {recipe.tempo_confecao && (
+                                    <li className="list-inline-item">Confeção: {recipe.tempo_confecao}</li>
+                                )}
+                                {recipe.tempo_repouso && (
+                                    <li className="list-inline-item">Repouso: {recipe.tempo_repouso}</li>
+                                )}
+                            </ul>
+                        )}
+
                         {/* Secção de Ingredientes */}
                         <div className="recipe-section">
-                            <h3 className="section-title">
-                                <i className="bi bi-basket me-2"></i>
-                                Ingredientes
-                            </h3>
-                            <div className="ingredients-box">
-                                {/* Divide os ingredientes por quebra de linha e cria uma div para cada */}
-                                {recipe.ingredientes.split('\n').map((ingredient, index) => (
-                                    <div key={index} className="ingredient-item">
-                                        <i className="bi bi-check2 text-sage me-2"></i>
-                                        {ingredient}
-                                    </div>
-                                ))}
+                            <div className="section-title d-flex justify-content-between align-items-center">
+                                <h3 className="h5 fw-semibold mb-0">
+                                    <i className="bi bi-basket me-2"></i>
+                                    Ingredientes
+                                </h3>
+
+                                {/* Controlo de porções: recalcula as quantidades em tempo real */}
+                                <div className="servings-control" role="group" aria-label="Porções">
+                                    <button
+                                        className="btn btn-sm btn-outline-sage"
+                                        onClick={() => setServings(prev => Math.max(1, prev - 1))}
+                                        disabled={servings <= 1}
+                                        aria-label="Menos porções"
+                                    >
+                                        <i className="bi bi-dash-lg"></i>
+                                    </button>
+                                    <span className="servings-value">
+                                        {servings} {servings === 1 ? 'porção' : 'porções'}
+                                    </span>
+                                    <button
+                                        className="btn btn-sm btn-outline-sage"
+                                        onClick={() => setServings(prev => prev + 1)}
+                                        aria-label="Mais porções"
+                                    >
+                                        <i className="bi bi-plus-lg"></i>
+                                    </button>
+                                    {servings !== recipe.porcoes && (
+                                        <button
+                                            className="btn btn-sm btn-link text-muted"
+                                            onClick={() => setServings(recipe.porcoes)}
+                                            title="Repor porções originais"
+                                        >
+                                            <i className="bi bi-arrow-counterclockwise"></i>
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            {/* Seletor de unidades: métrico / EUA */}
+                            <div className="d-flex justify-content-end mb-2 d-print-none">
+                                <div className="btn-group btn-group-sm" role="group" aria-label="Unidades">
+                                    {Object.entries(UNIT_SYSTEMS).map(([system, label]) => (
+                                        <button
+                                            key={system}
+                                            className={`btn ${unitSystem === system ? 'btn-sage' : 'btn-outline-sage'}`}
+                                            onClick={() => handleUnitSystemChange(system)}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <IngredientList ingredientes={displayedIngredients} />
+
+                            {/* Lista de compras */}
+                            <div className="d-flex align-items-center gap-3 mt-3 d-print-none">
+                                <button className="btn btn-sm btn-outline-sage" onClick={handleAddToShoppingList}>
+                                    <i className="bi bi-cart-plus me-2"></i>
+                                    Lista de compras
+                                </button>
+                                {addedToList && (
+                                    <Link to="/lista-compras" className="small text-sage">
+                                        <i className="bi bi-check-lg me-1"></i>
+                                        Na lista · Ver lista
+                                    </Link>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -257,15 +416,26 @@ const RecipeDetail = () => {
                 <div className="row mt-5">
                     <div className="col-12">
                         <div className="recipe-section">
-                            <h3 className="section-title">
-                                <i className="bi bi-list-ol me-2"></i>
-                                Modo de Preparação
-                            </h3>
+                            <div className="section-title d-flex justify-content-between align-items-center">
+                                <h3 className="h5 fw-semibold mb-0">
+                                    <i className="bi bi-list-ol me-2"></i>
+                                    Modo de Preparação
+                                </h3>
+                                {cookSteps.length > 0 && (
+                                    <button
+                                        className="btn btn-sage d-print-none"
+                                        onClick={() => setCookMode(true)}
+                                    >
+                                        <i className="bi bi-fire me-2"></i>
+                                        Modo Cozinhar
+                                    </button>
+                                )}
+                            </div>
                             <div className="instructions-box">
-                                {/* Divide as instruções por quebra de linha */}
+                                {/* Divide as instruções por quebra de linha (temperaturas em °C ou °F) */}
                                 {recipe.instrucoes.split('\n').map((step, index) => (
                                     <div key={index} className="instruction-step">
-                                        {step}
+                                        {convertTemperatures(step, unitSystem)}
                                     </div>
                                 ))}
                             </div>
@@ -273,6 +443,15 @@ const RecipeDetail = () => {
                     </div>
                 </div>
             </div>
+
+            {/* ========== MODO COZINHAR ========== */}
+            {cookMode && (
+                <CookMode
+                    titulo={recipe.titulo}
+                    steps={cookSteps}
+                    onClose={closeCookMode}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,338 @@
+/**
+ * ============================================
+ * SHOPPING LIST PAGE - Lista de Compras
+ * ============================================
+ *
+ * Lista feita a partir das receitas juntadas noutras páginas (detalhe de
+ * uma receita, um livro, uma semana do planeador):
+ * - Ingredientes repetidos juntam-se e as quantidades somam-se
+ * - Itens agrupados pelas secções do supermercado
+ * - Riscar itens, juntar itens escritos à mão (ex: "detergente")
+ * - Partilhar (ou copiar) como texto e imprimir
+ *
+ * A lista fica guardada neste browser (ver utils/shoppingList).
+ *
+ * API utilizada: getRecipes()
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { getRecipes } from '../services/api';
+import {
+    buildShoppingList,
+    formatAmounts,
+    shoppingListToText,
+    emptyShoppingList,
+    loadShoppingList,
+    saveShoppingList,
+    removeSource,
+    toggleItem,
+    addExtra,
+    toggleExtra,
+    removeExtra,
+} from '../utils/shoppingList';
+
+const ShoppingList = () => {
+    // ============================================
+    // ESTADO (useState)
+    // ============================================
+
+    // Origens, itens riscados e itens escritos à mão (guardados no localStorage)
+    const [list, setList] = useState(loadShoppingList);
+
+    // Array com todas as receitas
+    const [recipes, setRecipes] = useState([]);
+
+    // Boolean que indica se os dados ainda estão a ser carregados
+    const [loading, setLoading] = useState(true);
+
+    // Item novo escrito à mão
+    const [newExtra, setNewExtra] = useState('');
+
+    // Boolean que indica que a lista foi copiada (quando não há partilha nativa)
+    const [copied, setCopied] = useState(false);
+
+    // Boolean que controla a visibilidade da modal de limpar a lista
+    const [showClearModal, setShowClearModal] = useState(false);
+
+    // ============================================
+    // EFEITOS (useEffect)
+    // ============================================
+
+    useEffect(() => {
+        loadRecipes();
+    }, []);
+
+    // Guarda a lista sempre que muda
+    useEffect(() => {
+        saveShoppingList(list);
+    }, [list]);
+
+    // Esconde o aviso "Copiada" passado um pouco
+    useEffect(() => {
+        if (!copied) return;
+        const timeout = setTimeout(() => setCopied(false), 2000);
+        return () => clearTimeout(timeout);
+    }, [copied]);
+
+    // ============================================
+    // DADOS DERIVADOS
+    // ============================================
+
+    const groups = useMemo(
+        () => buildShoppingList(list.sources, new Map(recipes.map(recipe => [String(recipe.id), recipe]))),
+        [list.sources, recipes]
+    );
+
+    const isEmpty = list.sources.length === 0 && list.extras.length === 0;
+
+    // ============================================
+    // FUNÇÕES
+    // ============================================
+
+    /**
+     * loadRecipes - Carrega as receitas (os ingredientes vêm sempre das atuais)
+     */
+    const loadRecipes = async () => {
+        try {
+            setLoading(true);
+            setRecipes(await getRecipes());
+        } catch (error) {
+            console.error('Erro ao carregar receitas:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * handleAddExtra - Junta um item escrito à mão
+     */
+    const handleAddExtra = (e) => {
+        e.preventDefault();
+        if (!newExtra.trim()) return;
+        setList(prev => addExtra(prev, newExtra));
+        setNewExtra('');
+    };
+
+    /**
+     * handleShare - Partilha a lista como texto
+     * Sem partilha nativa (ex: computador) copia o texto
+     */
+    const handleShare = async () => {
+        const text = shoppingListToText(groups, list);
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Lista de compras', text });
+            } else {
+                await navigator.clipboard.writeText(text);
+                setCopied(true);
+            }
+        } catch (error) {
+            // Fechar a janela de partilha não é um erro
+            if (error.name !== 'AbortError') console.error('Erro ao partilhar lista:', error);
+        }
+    };
+
+    /**
+     * handleClear - Esvazia a lista
+     */
+    const handleClear = () => {
+        setList(emptyShoppingList());
+        setShowClearModal(false);
+    };
+
+    // ============================================
+    // RENDER CONDICIONAL - LOADING
+    // ============================================
+
+    if (loading) {
+        return (
+            <div className="container py-5 text-center">
+                <div className="spinner-border text-sage" role="status">
+                    <span className="visually-hidden">A carregar...</span>
+                </div>
+            </div>
+        );
+    }
+
+    // ============================================
+    // RENDER PRINCIPAL (JSX)
+    // ============================================
+    return (
+        <div className="shopping-list-page py-5">
+            <div className="container">
+                {/* ========== HEADER ========== */}
+                <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+                    <div>
+                        <h1 className="fw-bold mb-1">
+                            <i className="bi bi-cart3 text-sage me-2"></i>
+                            Lista de compras
+                        </h1>
+                        <p className="text-muted mb-0 d-print-none">
+                            Junte receitas no detalhe de uma receita, num livro ou no planeador
+                        </p>
+                    </div>
+
+                    <div className="d-flex flex-wrap gap-2 d-print-none">
+                        <button className="btn btn-outline-sage" onClick={handleShare} disabled={isEmpty}>
+                            <i className={`bi ${copied ? 'bi-check-lg' : 'bi-share'} me-2`}></i>
+                            {copied ? 'Copiada' : 'Partilhar'}
+                        </button>
+                        <button className="btn btn-outline-sage" onClick={() => window.print()} disabled={isEmpty}>
+                            <i className="bi bi-printer me-2"></i>
+                            Imprimir
+                        </button>
+                        <button
+                            className="btn btn-outline-danger"
+                            onClick={() => setShowClearModal(true)}
+                            disabled={isEmpty}
+                        >
+                            <i className="bi bi-trash me-2"></i>
+                            Limpar
+                        </button>
+                    </div>
+                </div>
+
+                {/* ========== ORIGENS DA LISTA ========== */}
+                {list.sources.length > 0 && (
+                    <div className="shopping-sources d-flex flex-wrap gap-2 mb-4 d-print-none">
+                        {list.sources.map(source => (
+                            <span key={source.id} className="badge rounded-pill shopping-source">
+                                {source.label}
+                                <button
+                                    className="btn btn-sm btn-link p-0 ms-2"
+                                    onClick={() => setList(prev => removeSource(prev, source.id))}
+                                    aria-label={`Tirar ${source.label} da lista`}
+                                >
+                                    <i className="bi bi-x-lg"></i>
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+                )}
+
+                {/* ========== ITEM ESCRITO À MÃO ========== */}
+                <form className="d-flex gap-2 mb-4 d-print-none" onSubmit={handleAddExtra}>
+                    <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Juntar outro item (ex: detergente)"
+                        value={newExtra}
+                        onChange={(e) => setNewExtra(e.target.value)}
+                        aria-label="Novo item"
+                    />
+                    <button type="submit" className="btn btn-sage text-nowrap" disabled={!newExtra.trim()}>
+                        <i className="bi bi-plus-lg me-2"></i>
+                        Juntar
+                    </button>
+                </form>
+
+                {/* ========== ITENS POR SECÇÃO ========== */}
+                {isEmpty ? (
+                    <div className="text-center py-5">
+                        <i className="bi bi-cart display-1 text-muted"></i>
+                        <p className="mt-3 text-muted">
+                            A lista está vazia. Abra uma <Link to="/">receita</Link>, um <Link to="/livros">livro</Link> ou
+                            o <Link to="/planeador">planeador</Link> e use o botão "Lista de compras".
+                        </p>
+                    </div>
+                ) : (
+                    <div className="row row-cols-1 row-cols-md-2 g-4">
+                        {groups.map(group => (
+                            <div key={group.aisle} className="col">
+                                <section className="shopping-aisle">
+                                    <h2 className="h6 fw-semibold text-sage text-uppercase">{group.label}</h2>
+                                    <ul className="list-unstyled mb-0">
+                                        {group.items.map(item => {
+                                            const checked = list.checked.includes(item.key);
+                                            return (
+                                                <li key={item.key} className={`shopping-item ${checked ? 'checked' : ''}`}>
+                                                    <label className="form-check">
+                                                        <input
+                                                            type="checkbox"
+                                                            className="form-check-input"
+                                                            checked={checked}
+                                                            onChange={() => setList(prev => toggleItem(prev, item.key))}
+                                                        />
+                                                        <span className="form-check-label">
+                                                            <span className="shopping-item-name">{item.nome}</span>
+                                                            <span className="shopping-item-amount">{formatAmounts(item)}</span>
+                                                            <span className="d-block small text-muted d-print-none">
+                                                                {item.recipes.join(', ')}
+                                                            </span>
+                                                        </span>
+                                                    </label>
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                </section>
+                            </div>
+                        ))}
+
+                        {list.extras.length > 0 && (
+                            <div className="col">
+                                <section className="shopping-aisle">
+                                    <h2 className="h6 fw-semibold text-sage text-uppercase">Outros itens</h2>
+                                    <ul className="list-unstyled mb-0">
+                                        {list.extras.map(extra => (
+                                            <li key={extra.id} className={`shopping-item ${extra.checked ? 'checked' : ''}`}>
+                                                <label className="form-check">
+                                                    <input
+                                                        type="checkbox"
+                                                        className="form-check-input"
+                                                        checked={extra.checked}
+                                                        onChange={() => setList(prev => toggleExtra(prev, extra.id))}
+                                                    />
+                                                    <span className="form-check-label shopping-item-name">{extra.text}</span>
+                                                </label>
+                                                <button
+                                                    className="btn btn-sm btn-link text-muted p-0 d-print-none"
+                                                    onClick={() => setList(prev => removeExtra(prev, extra.id))}
+                                                    aria-label={`Apagar ${extra.text}`}
+                                                >
+                                                    <i className="bi bi-x-lg"></i>
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </section>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {/* ========== MODAL DE CONFIRMAÇÃO ========== */}
+            {showClearModal && (
+                <div className="modal-backdrop-custom" onClick={() => setShowClearModal(false)}>
+                    <div className="modal-dialog-custom modal-sm" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-content">
+                            <div className="modal-header">
+                                <h5 className="modal-title text-danger">
+                                    <i className="bi bi-exclamation-triangle me-2"></i>
+                                    Limpar lista
+                                </h5>
+                                <button type="button" className="btn-close" onClick={() => setShowClearModal(false)}></button>
+                            </div>
+                            <div className="modal-body">
+                                <p className="mb-0">Tem a certeza que deseja tirar todas as receitas e itens da lista?</p>
+                            </div>
+                            <div className="modal-footer">
+                                <button type="button" className="btn btn-outline-secondary" onClick={() => setShowClearModal(false)}>
+                                    Cancelar
+                                </button>
+                                <button type="button" className="btn btn-danger" onClick={handleClear}>
+                                    <i className="bi bi-trash me-2"></i>
+                                    Limpar
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ShoppingList;
@@ -0,0 +1,85 @@
+/**
+ * Adapter genérico sobre coleções de registos
+ *
+ * Base comum dos adapters local e em memória: imita o comportamento do
+ * Sheety (ids numéricos sequenciais, PUT parcial) sobre um "store" que
+ * apenas sabe ler e gravar o array completo de cada folha.
+ *
+ * store = { load(resource) -> Array | null, save(resource, rows) }
+ */
+
+// Simula a latência de rede para o comportamento da UI ser realista
+const DELAY_MS = 150;
+
+const delay = () => new Promise(resolve => setTimeout(resolve, DELAY_MS));
+
+// Cópia profunda simples (os registos são JSON puro)
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Cria um adapter a partir de um store e dos dados iniciais
+ *
+ * @param {string} name - Nome do adapter (para debug)
+ * @param {Object} store - Objeto com load() e save()
+ * @param {Object} fixtures - Dados iniciais por folha ({ receitas: [...], ... })
+ */
+export const createCollectionAdapter = (name, store, fixtures = {}) => {
+    // Lê uma folha, semeando-a com os fixtures na primeira utilização
+    const read = (resource) => {
+        let rows = store.load(resource);
+        if (!rows) {
+            rows = clone(fixtures[resource] || []);
+            store.save(resource, rows);
+        }
+        return rows;
+    };
+
+    const findIndex = (rows, id) => rows.findIndex(row => row.id === parseInt(id));
+
+    return {
+        name,
+
+        list: async (resource) => {
+            await delay();
+            return clone(read(resource));
+        },
+
+        get: async (resource, id) => {
+            await delay();
+            const row = read(resource).find(r => r.id === parseInt(id));
+            return row ? clone(row) : null;
+        },
+
+        create: async (resource, record) => {
+            await delay();
+            const rows = read(resource);
+            const nextId = rows.reduce((max, r) => Math.max(max, r.id), 1) + 1;
+            const created = { ...clone(record), id: nextId };
+            store.save(resource, [...rows, created]);
+            return clone(created);
+        },
+
+        update: async (resource, id, record) => {
+            await delay();
+            const rows = read(resource);
+            const index = findIndex(rows, id);
+            if (index === -1) {
+                throw new Error(`Registo ${id} não encontrado em ${resource}`);
+            }
+            // PUT parcial, como no Sheety: só os campos enviados mudam
+            const updated = { ...rows[index], ...clone(record), id: rows[index].id };
+            store.save(resource, rows.map((r, i) => (i === index ? updated : r)));
+            return clone(updated);
+        },
+
+        remove: async (resource, id) => {
+            await delay();
+            const rows = read(resource);
+            if (findIndex(rows, id) === -1) {
+                throw new Error(`Registo ${id} não encontrado em ${resource}`);
+            }
+            store.save(resource, rows.filter(r => r.id !== parseInt(id)));
+            return true;
+        },
+    };
+};
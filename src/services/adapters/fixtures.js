@@ -0,0 +1,109 @@
+/**
+ * Dados de exemplo para os adapters local e em memória
+ *
+ * Estão no formato cru da Google Sheet (o mesmo que o Sheety devolve),
+ * para passarem pela mesma normalização que os dados reais.
+ * Os ids começam em 2 porque no Sheety a linha 1 é o cabeçalho.
+ *
+ * Utilizadores de desenvolvimento (palavra-passe igual ao nome):
+ * admin (admin), editor (editor), colaborador (contributor), leitor (viewer)
+ */
+
+export const fixtures = {
+    utilizadores: [
+        {
+            id: 2,
+            username: 'admin',
+            nome: 'Administrador',
+            role: 'admin',
+            salt: '6f1c0a9e3b7d4f2a8c5e1b0d9a7f3c21',
+            hash: 'f2d9dac5d880c4a5ab4adac696b87c537fe13d94934db4993f24cc214e6a2a20',
+        },
+        {
+            id: 3,
+            username: 'editor',
+            nome: 'Editor',
+            role: 'editor',
+            salt: 'a3d8f27c19e04b6d5c8a1f3e7b2d9c40',
+            hash: '933d8098a8b40c84ecf97760068698be83d53aeada887a118f80bcbc355fd7f9',
+        },
+        {
+            id: 4,
+            username: 'colaborador',
+            nome: 'Colaborador',
+            role: 'contributor',
+            salt: 'c47e1f9a2b8d3e60f5a9c1d7b4e2830a',
+            hash: '728a3105704b03110ffd6edac2d382f54c9563c0e8f1d13d8a747995b7a455ed',
+        },
+        {
+            id: 5,
+            username: 'leitor',
+            nome: 'Leitor',
+            role: 'viewer',
+            salt: '5b9e2c7a1d4f8e3b6a0c9d2f7e1a4b83',
+            hash: '272e6b1e3f3227390198cd89cef0a38cdf7631a1dccb8ce996d69f561db5e9d9',
+        },
+    ],
+
+    categorias: [
+        { id: 2, nome: 'Sopas', icone: '🥣', cor: '#8FBC8F', ordem: 1 },
+        { id: 3, nome: 'Peixe', icone: '🐟', cor: '#5B8DB8', ordem: 2 },
+        { id: 4, nome: 'Carne', icone: '🍖', cor: '#C0616B', ordem: 3 },
+        { id: 5, nome: 'Doces', icone: '🍰', cor: '#E0A458', ordem: 4 },
+    ],
+
+    receitas: [
+        {
+            id: 2,
+            titulo: 'Caldo Verde',
+            imagem: 'https://images.unsplash.com/photo-1547592166-23ac45744acd?w=800',
+            tempo: '40 min',
+            porcoes: 6,
+            ingredientes: '500 g de batatas\n1 cebola\n2 dentes de alho\n250 g de couve galega cortada fina\n1 chouriço\n4 colheres de sopa de azeite\nSal q.b.',
+            preparacao: 'Coza as batatas, a cebola e o alho em 1,5 l de água com sal durante 20 minutos.\nTriture tudo até obter um creme.\nJunte a couve e deixe ferver 5 minutos.\nSirva com rodelas de chouriço e um fio de azeite.',
+            likes: 12,
+            categoria: 'Sopas',
+        },
+        {
+            id: 3,
+            titulo: 'Bacalhau à Brás',
+            imagem: 'https://images.unsplash.com/photo-1519708227418-c8fd9a32b7a2?w=800',
+            tempo: '45 min',
+            porcoes: 4,
+            ingredientes: '400 g de bacalhau demolhado\n500 g de batata palha\n6 ovos\n2 cebolas\n2 dentes de alho\n1 dl de azeite\nAzeitonas pretas\nSalsa picada q.b.',
+            preparacao: 'Desfie o bacalhau, retirando peles e espinhas.\nAloure a cebola e o alho no azeite durante 10 minutos.\nJunte o bacalhau e deixe cozinhar 5 minutos.\nAdicione a batata palha e os ovos batidos, mexendo sempre.\nDecore com salsa e azeitonas.',
+            likes: 25,
+            categoria: 'Peixe',
+        },
+        {
+            id: 4,
+            titulo: 'Arroz de Pato',
+            imagem: 'https://images.unsplash.com/photo-1512058564366-18510be2db19?w=800',
+            tempo: '1h30',
+            porcoes: 8,
+            ingredientes: '1 pato\n400 g de arroz agulha\n1 chouriço\n1 cebola\n2 dentes de alho\n1 folha de louro\nSal e pimenta q.b.',
+            preparacao: 'Coza o pato com a cebola, o louro e sal durante 1 hora.\nDesfie a carne e reserve o caldo.\nCoza o arroz no caldo durante 10 minutos.\nMisture o pato com o arroz num tabuleiro e cubra com rodelas de chouriço.\nLeve ao forno a 200 °C durante 20 minutos.',
+            likes: 18,
+            categoria: 'Carne',
+        },
+        {
+            id: 5,
+            titulo: 'Arroz Doce',
+            imagem: 'https://images.unsplash.com/photo-1488477181946-6428a0291777?w=800',
+            tempo: '15 min',
+            confecao: '35 min',
+            repouso: '2 horas',
+            porcoes: 8,
+            ingredientes: '250 g de arroz carolino\n1 l de leite\n200 g de açúcar\n4 gemas\n1 pau de canela\n1 casca de limão\nCanela em pó q.b.',
+            preparacao: 'Coza o arroz em água com a casca de limão durante 10 minutos.\nJunte o leite quente e a canela e deixe cozinhar 25 minutos, mexendo.\nAdicione o açúcar e, fora do lume, as gemas.\nDeite numa travessa e polvilhe com canela.',
+            likes: 31,
+            categoria: 'Doces',
+        },
+    ],
+
+    // Um registo por like (visitante, receita, data); começa vazia
+    likes: [],
+
+    // Coleções "Os meus livros" (dono, nome, itens em JSON); começa vazia
+    colecoes: [],
+};
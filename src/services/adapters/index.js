@@ -0,0 +1,38 @@
+/**
+ * Seleção do backend de dados
+ *
+ * O adapter é escolhido pela variável de ambiente VITE_DATA_BACKEND
+ * (ficheiro .env / .env.local do Vite):
+ * - sheety (por omissão): Google Sheet via Sheety
+ * - local: localStorage do browser, semeado com dados de exemplo
+ * - memory: dados de exemplo em memória (perdem-se ao recarregar)
+ *
+ * Todos os adapters expõem a mesma interface, sobre registos crus da folha:
+ *   list(folha), get(folha, id), create(folha, registo),
+ *   update(folha, id, registo), remove(folha, id)
+ */
+
+import { createSheetyAdapter } from './sheetyAdapter';
+import { createLocalAdapter } from './localAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+const factories = {
+    sheety: () => createSheetyAdapter(import.meta.env.VITE_SHEETY_URL || undefined),
+    local: createLocalAdapter,
+    memory: () => createMemoryAdapter(),
+};
+
+/**
+ * Cria o adapter indicado (ou o configurado no ambiente)
+ *
+ * @param {string} [name] - Nome do adapter
+ */
+export const createAdapter = (name = import.meta.env.VITE_DATA_BACKEND || 'sheety') => {
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Backend de dados desconhecido: "${name}"`);
+    }
+    return factory();
+};
+
+export { createSheetyAdapter, createLocalAdapter, createMemoryAdapter };
@@ -0,0 +1,25 @@
+/**
+ * Adapter Local - Dados guardados no localStorage do browser
+ *
+ * Útil para desenvolver e fazer demonstrações sem a Google Sheet.
+ * Cada folha fica numa chave "receitas_db:{folha}".
+ * Para repor os dados de exemplo basta apagar essas chaves.
+ */
+
+import { createCollectionAdapter } from './collectionAdapter';
+import { fixtures } from './fixtures';
+
+const KEY_PREFIX = 'receitas_db:';
+
+const localStorageStore = {
+    load: (resource) => {
+        const raw = localStorage.getItem(KEY_PREFIX + resource);
+        return raw ? JSON.parse(raw) : null;
+    },
+    save: (resource, rows) => {
+        localStorage.setItem(KEY_PREFIX + resource, JSON.stringify(rows));
+    },
+};
+
+export const createLocalAdapter = () =>
+    createCollectionAdapter('local', localStorageStore, fixtures);
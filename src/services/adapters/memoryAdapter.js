@@ -0,0 +1,24 @@
+/**
+ * Adapter em Memória - Dados de exemplo que se perdem ao recarregar
+ *
+ * Pensado para testes e demonstrações: começa sempre no mesmo estado.
+ */
+
+import { createCollectionAdapter } from './collectionAdapter';
+import { fixtures } from './fixtures';
+
+/**
+ * @param {Object} [initialData] - Dados iniciais (por omissão, os fixtures)
+ */
+export const createMemoryAdapter = (initialData = fixtures) => {
+    const tables = {};
+
+    const memoryStore = {
+        load: (resource) => tables[resource] || null,
+        save: (resource, rows) => {
+            tables[resource] = rows;
+        },
+    };
+
+    return createCollectionAdapter('memory', memoryStore, initialData);
+};
@@ -0,0 +1,72 @@
+/**
+ * Adapter Sheety - Backend em Google Sheets
+ *
+ * Cada folha da Google Sheet é exposta pelo Sheety como um recurso REST:
+ *   GET    /{folha}        -> { [folha]: [...] }
+ *   GET    /{folha}/{id}   -> { [singular]: {...} }
+ *   POST   /{folha}        <- { [singular]: {...} }
+ *   PUT    /{folha}/{id}   <- { [singular]: {...} }
+ *   DELETE /{folha}/{id}
+ */
+
+import axios from 'axios';
+
+// URL por omissão (pode ser substituída com VITE_SHEETY_URL)
+const DEFAULT_BASE_URL = 'https://api.sheety.co/925ccd8fdf2e086ba38e9f6e1ec6ac44/bd';
+
+/**
+ * O Sheety usa o nome da folha no singular como chave do objeto.
+ * Folhas com plural irregular ficam aqui; as restantes perdem o "s" final.
+ */
+const SINGULAR = {
+    receitas: 'receita',
+    categorias: 'categoria',
+};
+
+const singularOf = (resource) => SINGULAR[resource] || resource.replace(/s$/, '');
+
+/**
+ * Cria um adapter ligado a uma instância do Sheety
+ *
+ * @param {string} [baseURL] - URL base do projeto Sheety
+ */
+export const createSheetyAdapter = (baseURL = DEFAULT_BASE_URL) => {
+    // Instância axios configurada
+    const api = axios.create({
+        baseURL,
+        headers: {
+            'Content-Type': 'application/json',
+        },
+    });
+
+    return {
+        name: 'sheety',
+
+        list: async (resource) => {
+            const response = await api.get(`/${resource}`);
+            return response.data[resource] || [];
+        },
+
+        get: async (resource, id) => {
+            const response = await api.get(`/${resource}/${id}`);
+            return response.data[singularOf(resource)] || null;
+        },
+
+        create: async (resource, record) => {
+            const key = singularOf(resource);
+            const response = await api.post(`/${resource}`, { [key]: record });
+            return response.data[key];
+        },
+
+        update: async (resource, id, record) => {
+            const key = singularOf(resource);
+            const response = await api.put(`/${resource}/${id}`, { [key]: record });
+            return response.data[key];
+        },
+
+        remove: async (resource, id) => {
+            await api.delete(`/${resource}/${id}`);
+            return true;
+        },
+    };
+};
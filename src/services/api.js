@@ -1,27 +1,266 @@
 /**
- * API Service - Integração com Sheety
+ * API Service - Camada de dados da aplicação
  * 
- * Este ficheiro contém todas as chamadas à API Sheety.
- * Base URL: https://api.sheety.co/231b2b4d7d020f5d98082048ef3ae23a/bd
+ * Este ficheiro contém todas as operações sobre receitas, categorias e utilizadores.
+ * Os pedidos passam por um adapter de backend (ver services/adapters),
+ * escolhido com VITE_DATA_BACKEND: sheety (por omissão), local ou memory,
+ * e as leituras por uma cache stale-while-revalidate (ver services/cache).
+ * Sem rede, likes e edições de receitas e livros ficam numa fila e são enviados
+ * quando a ligação voltar (ver services/offline).
  * 
  * Campos na Google Sheet (receitas):
  * - id, titulo, imagem, tempo, ingredientes, preparacao, likes, categoria
+ *
+ * Folha "categorias" (ver services/categories):
+ * - id, nome, icone, cor, ordem
+ *
+ * Folha "likes" (um registo por like, ver services/likes):
+ * - id, visitante, receita, data
+ *
+ * Folha "colecoes" ("Os meus livros", ver services/collections):
+ * - id, dono, nome, itens, criada
  */
 
-import axios from 'axios';
+import { createAdapter } from './adapters';
+import { createCache, createIndexedDbStorage } from './cache';
+import { createOutbox, isOnline, isNetworkError } from './offline';
+import {
+    ROLES,
+    generateSalt,
+    hashPassword,
+    verifyPassword,
+    signSessionToken,
+    verifySessionToken,
+} from './auth';
+import { PERMISSIONS, roleHasPermission } from './permissions';
+import { getVisitorId, likeEventsOf, countLikes, createLikeQueue } from './likes';
+import { collectionOwner, parseItems, serializeItems } from './collections';
+import { categoryIcon, sortCategories, categoryNameError } from './categories';
+import { parseIngredients, serializeIngredients } from '../utils/ingredients';
+import { parseDuration, sumDurations } from '../utils/duration';
+import { runInBatches, errorMessage } from '../utils/batch';
+import { RECIPE_STATUS, parseStatus, isPublic } from '../utils/recipeStatus';
 
 // ============================================
 // CONFIGURAÇÃO
 // ============================================
-const BASE_URL = 'https://api.sheety.co/925ccd8fdf2e086ba38e9f6e1ec6ac44/bd';
 
-// Instância axios configurada
-const api = axios.create({
-    baseURL: BASE_URL,
-    headers: {
-        'Content-Type': 'application/json',
+// Adapter de backend ativo
+let source = createAdapter();
+
+/**
+ * Substitui o adapter de backend (ex: adapter em memória em testes)
+ *
+ * @param {Object} adapter - Objeto com list/get/create/update/remove
+ */
+export const setDataAdapter = (adapter) => {
+    source = adapter;
+    cache.clear();
+};
+
+// ============================================
+// CACHE
+// ============================================
+
+/**
+ * Tempo (ms) durante o qual cada folha é considerada fresca.
+ * Depois disso é mostrada na mesma e atualizada em segundo plano.
+ * 0 = nunca guardar (os utilizadores são sempre lidos do backend).
+ */
+const CACHE_TTL = {
+    receitas: 60 * 1000,
+    categorias: 10 * 60 * 1000,
+    likes: 15 * 1000,
+    colecoes: 30 * 1000,
+    utilizadores: 0,
+};
+
+const DEFAULT_CACHE_TTL = 60 * 1000;
+
+const ttlOf = (resource) => CACHE_TTL[resource] ?? DEFAULT_CACHE_TTL;
+
+// Cache partilhada, guardada no IndexedDB entre visitas
+const cache = createCache({ storage: createIndexedDbStorage() });
+
+// Chaves de uma folha: "receitas" (lista) e "receitas/2" (uma linha)
+const belongsTo = (resource) => (key) => key === resource || key.startsWith(`${resource}/`);
+
+/**
+ * Escreve no backend e invalida a cache da folha.
+ * Sem rede, as escritas nas folhas editáveis offline vão para a fila.
+ */
+const write = async (op, resource, id, record) => {
+    const queueable = OFFLINE_RESOURCES.includes(resource);
+    if (queueable && !isOnline()) return queueWrite(op, resource, id, record);
+
+    try {
+        const result = op === 'create'
+            ? await source.create(resource, record)
+            : op === 'update'
+                ? await source.update(resource, id, record)
+                : await source.remove(resource, id);
+        cache.invalidate(belongsTo(resource));
+        return result;
+    } catch (error) {
+        if (queueable && isNetworkError(error)) return queueWrite(op, resource, id, record);
+        throw error;
+    }
+};
+
+/**
+ * Backend com cache: mesma interface dos adapters, mas as leituras passam
+ * pela cache e qualquer escrita numa folha invalida as leituras dessa folha.
+ * { fresh: true } ignora a cache (para decidir uma escrita com dados certos).
+ */
+const backend = {
+    list: (resource, { fresh = false } = {}) => {
+        const ttl = ttlOf(resource);
+        if (!ttl) return source.list(resource);
+        return cache.read(resource, () => source.list(resource), { ttl, fresh });
     },
-});
+
+    get: async (resource, id, { fresh = false } = {}) => {
+        const ttl = ttlOf(resource);
+        if (!ttl) return source.get(resource, id);
+
+        // Se a folha inteira já foi lida (ex: na Home), a linha sai de lá
+        if (!fresh && cache.has(resource)) {
+            const rows = await backend.list(resource);
+            const row = rows.find(r => String(r.id) === String(id));
+            if (row) return row;
+        }
+
+        return cache.read(`${resource}/${id}`, () => source.get(resource, id), { ttl, fresh });
+    },
+
+    create: (resource, record) => write('create', resource, null, record),
+
+    update: (resource, id, record) => write('update', resource, id, record),
+
+    remove: (resource, id) => write('remove', resource, id),
+};
+
+/**
+ * Avisa quando uma atualização em segundo plano traz dados diferentes
+ * dos que foram mostrados (ex: para a Home voltar a desenhar a lista)
+ *
+ * @param {Function} listener - (folha) => void
+ * @returns {Function} Cancela a subscrição
+ */
+export const subscribeToData = (listener) =>
+    cache.subscribe(key => listener(key.split('/')[0]));
+
+// ============================================
+// OFFLINE
+// ============================================
+
+// Folhas que podem ser editadas sem rede (os likes têm fila própria)
+const OFFLINE_RESOURCES = ['receitas', 'categorias', 'colecoes'];
+
+// Alterações feitas sem rede, por enviar
+const outbox = createOutbox();
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Guarda uma escrita na fila e aplica-a já à cache, para a alteração
+ * aparecer na aplicação antes de ser enviada.
+ * Registos criados offline recebem um id temporário negativo.
+ */
+const queueWrite = async (op, resource, id, record) => {
+    if (op === 'create') {
+        const row = { ...record, id: -Date.now() };
+        outbox.add({ type: 'write', op, resource, id: row.id, record });
+        cache.mutate(resource, rows => [...rows, row]);
+        return row;
+    }
+
+    outbox.add({ type: 'write', op, resource, id, record });
+
+    if (op === 'remove') {
+        cache.mutate(resource, rows => rows.filter(row => !sameId(row.id, id)));
+        return true;
+    }
+
+    const merge = (row) => (sameId(row.id, id) ? { ...row, ...record } : row);
+    cache.mutate(resource, rows => rows.map(merge));
+    cache.mutate(`${resource}/${id}`, merge);
+    return (await backend.get(resource, id).catch(() => null)) || { ...record, id };
+};
+
+/**
+ * Envia uma alteração da fila
+ * Quando um registo criado offline é enviado, as alterações seguintes
+ * ao mesmo registo passam a usar o id verdadeiro.
+ */
+const replayChange = async (change) => {
+    if (change.type === 'like') {
+        await syncLike(change.receita, change.liked);
+        return;
+    }
+
+    const { op, resource, id, record } = change;
+    if (op === 'create') {
+        const created = await source.create(resource, record);
+        outbox.map(other => {
+            if (other.type === 'write' && other.resource === resource && sameId(other.id, id)) {
+                return { ...other, id: created.id };
+            }
+            if (other.type === 'like' && resource === 'receitas' && sameId(other.receita, id)) {
+                return { ...other, receita: created.id };
+            }
+            return other;
+        });
+    } else if (op === 'update') {
+        await source.update(resource, id, record);
+    } else {
+        await source.remove(resource, id);
+    }
+};
+
+/**
+ * Envia as alterações feitas sem rede (chamado quando a ligação volta)
+ * No fim, a cache é limpa e quem subscreveu os dados volta a lê-los.
+ *
+ * @returns {Promise<{ synced: number, failed: Array }>}
+ */
+export const syncOfflineChanges = async () => {
+    if (!isOnline() || outbox.items().length === 0) return { synced: 0, failed: [] };
+
+    const result = await outbox.flush(replayChange);
+    if (result.synced > 0 || result.failed.length > 0) {
+        cache.invalidate(() => true, { notify: true });
+    }
+    return result;
+};
+
+/**
+ * Número de alterações por enviar
+ */
+export const getPendingChangesCount = () => outbox.items().length;
+
+/**
+ * Avisa quando o número de alterações por enviar muda
+ *
+ * @param {Function} listener - (pendentes) => void
+ * @returns {Function} Cancela a subscrição
+ */
+export const subscribeToPendingChanges = (listener) => outbox.subscribe(listener);
+
+export { isOnline };
+
+// Envia a fila quando a ligação volta (e ao abrir, se ficou algo de uma visita anterior)
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        syncOfflineChanges().catch(error => console.error('Erro ao sincronizar alterações offline:', error));
+    });
+    setTimeout(() => {
+        syncOfflineChanges().catch(error => console.error('Erro ao sincronizar alterações offline:', error));
+    });
+}
+
+// Porções assumidas para receitas antigas, sem a coluna "porcoes" preenchida
+const DEFAULT_SERVINGS = 4;
 
 // ============================================
 // UTILITÁRIOS - Conversão de campos
@@ -33,47 +272,133 @@ const api = axios.create({
  * 
  * Sheety (Google Sheets) -> Frontend
  * - imagem -> imagem_url
- * - tempo -> tempo_preparo
+ * - tempo -> tempo_preparo (texto) + minutos_preparo
+ * - confecao / repouso (opcionais) -> tempo_confecao / tempo_repouso + minutos_*
+ * - minutos = soma dos três tempos (para ordenar e filtrar)
+ * - ingredientes (texto, uma linha por ingrediente) -> ingredientes (lista estruturada)
  * - preparacao -> instrucoes
  * - categoria -> categoria (já é texto, não precisa de lookup)
+ * - porcoes -> porcoes (número; por omissão DEFAULT_SERVINGS)
+ * - estado -> estado (receitas antigas sem estado contam como publicadas, ver utils/recipeStatus)
+ * - publicar_em -> publicar_em (data de publicação agendada, opcional)
  */
-const normalizeRecipe = (receita) => ({
-    id: receita.id,
-    titulo: receita.titulo || '',
-    imagem_url: receita.imagem || '',
-    tempo_preparo: receita.tempo || '',
-    ingredientes: receita.ingredientes || '',
-    instrucoes: receita.preparacao || '',
-    likes: receita.likes || 0,
-    categoria: receita.categoria || 'Sem categoria',
-    // Mantém categoria_id como string do nome para compatibilidade com o form
-    categoria_id: receita.categoria || '',
-});
+const normalizeRecipe = (receita) => {
+    const minutosPreparo = parseDuration(receita.tempo);
+    const minutosConfecao = parseDuration(receita.confecao);
+    const minutosRepouso = parseDuration(receita.repouso);
+
+    return {
+        id: receita.id,
+        titulo: receita.titulo || '',
+        imagem_url: receita.imagem || '',
+        tempo_preparo: receita.tempo || '',
+        tempo_confecao: receita.confecao || '',
+        tempo_repouso: receita.repouso || '',
+        minutos_preparo: minutosPreparo,
+        minutos_confecao: minutosConfecao,
+        minutos_repouso: minutosRepouso,
+        minutos: sumDurations(minutosPreparo, minutosConfecao, minutosRepouso),
+        ingredientes: parseIngredients(receita.ingredientes),
+        porcoes: parseInt(receita.porcoes) || DEFAULT_SERVINGS,
+        instrucoes: receita.preparacao || '',
+        likes: receita.likes || 0,
+        categoria: receita.categoria || 'Sem categoria',
+        // Mantém categoria_id como string do nome para compatibilidade com o form
+        categoria_id: receita.categoria || '',
+        estado: parseStatus(receita.estado),
+        publicar_em: receita.publicar_em || '',
+    };
+};
 
 /**
  * Converte dados do formulário do frontend para o formato do Sheety
+ * A lista de ingredientes volta a ser texto, para as linhas antigas continuarem válidas
  */
 const denormalizeRecipe = (data) => ({
     titulo: data.titulo,
     imagem: data.imagem_url,
     tempo: data.tempo_preparo,
-    ingredientes: data.ingredientes,
+    confecao: data.tempo_confecao,
+    repouso: data.tempo_repouso,
+    ingredientes: serializeIngredients(data.ingredientes),
+    porcoes: data.porcoes === undefined ? undefined : parseInt(data.porcoes) || DEFAULT_SERVINGS,
     preparacao: data.instrucoes,
     categoria: data.categoria_id, // No form, categoria_id guarda o nome da categoria
+    estado: data.estado,
+    publicar_em: data.publicar_em,
 });
 
+/**
+ * Lança um erro 403 se a sessão atual não tiver a permissão
+ */
+const requirePermission = (permission) => {
+    if (!can(permission)) {
+        const error = new Error('Sem permissão para esta operação');
+        error.status = 403;
+        throw error;
+    }
+};
+
 // ============================================
 // API - CATEGORIAS
 // ============================================
 
 /**
- * Obtém todas as categorias
+ * Converte uma categoria do formato Sheety para o formato do frontend
+ * - icone: o escolhido ou, nas linhas antigas, o ícone por omissão
+ * - ordem: número (0 nas linhas antigas, que ficam no fim)
+ */
+const normalizeCategory = (categoria) => ({
+    id: categoria.id,
+    nome: categoria.nome || '',
+    icone: categoryIcon(categoria),
+    cor: categoria.cor || '',
+    ordem: parseInt(categoria.ordem) || 0,
+});
+
+/**
+ * Lança um erro com status (400: dados inválidos, 404: não existe, 409: em conflito)
+ */
+const categoryError = (message, status, details = {}) => Object.assign(new Error(message), { status, ...details });
+
+/**
+ * Lê as categorias sem cache (para decidir uma escrita com dados certos)
+ */
+const loadCategoriesFresh = async () =>
+    sortCategories((await backend.list('categorias', { fresh: true })).map(normalizeCategory));
+
+/**
+ * Muda a categoria de todas as receitas de uma categoria para outra
+ * Os pedidos vão em grupos (ver utils/batch); as receitas que falharem
+ * ficam com a categoria antiga e são devolvidas em failed.
+ *
+ * @returns {Promise<{ updated: number, failed: Array }>} failed = [{ titulo, message }]
+ */
+export const reassignCategoryRecipes = async (fromNome, toNome) => {
+    try {
+        requirePermission(PERMISSIONS.CATEGORY_MANAGE);
+        const receitas = await backend.list('receitas', { fresh: true });
+        const affected = receitas.filter(receita => receita.categoria === fromNome);
+
+        const results = await runInBatches(affected, receita => backend.update('receitas', receita.id, { categoria: toNome }));
+        const failed = results
+            .filter(result => result.error)
+            .map(result => ({ titulo: result.item.titulo, message: errorMessage(result.error) }));
+        return { updated: results.length - failed.length, failed };
+    } catch (error) {
+        console.error('Erro ao mudar a categoria das receitas:', error);
+        throw error;
+    }
+};
+
+/**
+ * Obtém todas as categorias, pela ordem escolhida
  * GET /categorias
  */
 export const getCategories = async () => {
     try {
-        const response = await api.get('/categorias');
-        return response.data.categorias || [];
+        const categorias = await backend.list('categorias');
+        return sortCategories(categorias.map(normalizeCategory));
     } catch (error) {
         console.error('Erro ao carregar categorias:', error);
         throw error;
@@ -85,30 +410,216 @@ export const getCategories = async () => {
  */
 export const getCategoryById = async (id) => {
     try {
-        const response = await api.get('/categorias');
-        const categorias = response.data.categorias || [];
-        return categorias.find(c => c.id === parseInt(id)) || null;
+        const categorias = await backend.list('categorias');
+        const categoria = categorias.find(c => sameId(c.id, id));
+        return categoria ? normalizeCategory(categoria) : null;
     } catch (error) {
         console.error('Erro ao carregar categoria:', error);
         throw error;
     }
 };
 
+/**
+ * Cria uma categoria (no fim da lista)
+ * POST /categorias
+ *
+ * @param {Object} data - { nome, icone?, cor? }
+ */
+export const createCategory = async ({ nome, icone = '', cor = '' }) => {
+    try {
+        requirePermission(PERMISSIONS.CATEGORY_MANAGE);
+        const categorias = await loadCategoriesFresh();
+        const nameError = categoryNameError(nome, categorias);
+        if (nameError) throw categoryError(nameError, 400);
+
+        const categoria = await backend.create('categorias', {
+            nome: nome.trim(),
+            icone,
+            cor,
+            ordem: categorias.reduce((max, c) => Math.max(max, c.ordem), categorias.length) + 1,
+        });
+        return normalizeCategory(categoria);
+    } catch (error) {
+        console.error('Erro ao criar categoria:', error);
+        throw error;
+    }
+};
+
+/**
+ * Altera o nome, o ícone e/ou a cor de uma categoria
+ * PUT /categorias/{id}
+ *
+ * Se o nome mudar, as receitas da categoria passam para o nome novo
+ * (ver reassignCategoryRecipes); as que falharem vêm em failed.
+ *
+ * @param {number|string} id
+ * @param {Object} changes - { nome?, icone?, cor? }
+ * @returns {Promise<{ category: Object, updated: number, failed: Array }>}
+ */
+export const updateCategory = async (id, { nome, icone, cor }) => {
+    try {
+        requirePermission(PERMISSIONS.CATEGORY_MANAGE);
+        const categorias = await loadCategoriesFresh();
+        const current = categorias.find(c => sameId(c.id, id));
+        if (!current) throw categoryError('Categoria não encontrada', 404);
+
+        const record = {};
+        if (nome !== undefined) {
+            const nameError = categoryNameError(nome, categorias, id);
+            if (nameError) throw categoryError(nameError, 400);
+            record.nome = nome.trim();
+        }
+        if (icone !== undefined) record.icone = icone;
+        if (cor !== undefined) record.cor = cor;
+
+        await backend.update('categorias', id, record);
+        const category = { ...current, ...record };
+
+        const renamed = record.nome !== undefined && record.nome !== current.nome;
+        if (!renamed) return { category, updated: 0, failed: [] };
+        return { category, ...(await reassignCategoryRecipes(current.nome, record.nome)) };
+    } catch (error) {
+        console.error('Erro ao atualizar categoria:', error);
+        throw error;
+    }
+};
+
+/**
+ * Grava a ordem das categorias
+ *
+ * @param {Array} ids - Ids das categorias pela nova ordem
+ * @returns {Promise<{ failed: Array }>} Categorias cuja ordem não foi gravada
+ */
+export const reorderCategories = async (ids) => {
+    try {
+        requirePermission(PERMISSIONS.CATEGORY_MANAGE);
+        const categorias = await loadCategoriesFresh();
+        const changes = ids
+            .map((id, index) => ({ categoria: categorias.find(c => sameId(c.id, id)), ordem: index + 1 }))
+            .filter(({ categoria, ordem }) => categoria && categoria.ordem !== ordem);
+
+        const results = await runInBatches(changes, ({ categoria, ordem }) => backend.update('categorias', categoria.id, { ordem }));
+        return {
+            failed: results
+                .filter(result => result.error)
+                .map(result => ({ nome: result.item.categoria.nome, message: errorMessage(result.error) })),
+        };
+    } catch (error) {
+        console.error('Erro ao ordenar categorias:', error);
+        throw error;
+    }
+};
+
+/**
+ * Elimina uma categoria
+ * DELETE /categorias/{id}
+ *
+ * Uma categoria com receitas só é eliminada com reassignTo (nome da categoria
+ * para onde as receitas passam); sem ele, ou se alguma receita não puder ser
+ * mudada, dá erro 409 e a categoria fica (error.recipes / error.failed).
+ *
+ * @param {number|string} id
+ * @param {Object} [options] - { reassignTo }
+ */
+export const deleteCategory = async (id, { reassignTo = '' } = {}) => {
+    try {
+        requirePermission(PERMISSIONS.CATEGORY_MANAGE);
+        const categorias = await loadCategoriesFresh();
+        const current = categorias.find(c => sameId(c.id, id));
+        if (!current) throw categoryError('Categoria não encontrada', 404);
+
+        const receitas = await backend.list('receitas', { fresh: true });
+        const inUse = receitas.filter(receita => receita.categoria === current.nome).length;
+
+        if (inUse > 0) {
+            const target = categorias.find(c => c.nome === reassignTo && !sameId(c.id, id));
+            if (!target) {
+                throw categoryError(`A categoria tem ${inUse === 1 ? '1 receita' : `${inUse} receitas`}`, 409, { recipes: inUse });
+            }
+
+            const { failed } = await reassignCategoryRecipes(current.nome, target.nome);
+            if (failed.length > 0) {
+                throw categoryError('Algumas receitas não mudaram de categoria', 409, { recipes: failed.length, failed });
+            }
+        }
+
+        await backend.remove('categorias', id);
+        return true;
+    } catch (error) {
+        console.error('Erro ao eliminar categoria:', error);
+        throw error;
+    }
+};
+
 // ============================================
 // API - RECEITAS
 // ============================================
 
 /**
- * Obtém todas as receitas
+ * Likes dados ou tirados sem rede e ainda por enviar
+ *
+ * @returns {Map} id da receita (texto) -> liked
+ */
+const pendingLikes = () => new Map(
+    outbox.items()
+        .filter(change => change.type === 'like')
+        .map(change => [String(change.receita), change.liked])
+);
+
+/**
+ * Junta os likes à receita:
+ * - likes = coluna "likes" (likes antigos, já não é alterada) + registos na folha "likes"
+ * - liked = se o visitante atual já deu like
+ * Um like por enviar (offline) já conta.
+ */
+const withLikes = (recipe, events, pending = pendingLikes()) => {
+    const likes = recipe.likes + countLikes(events, recipe.id);
+    const liked = likeEventsOf(events, recipe.id, getVisitorId()).length > 0;
+    const pendingLiked = pending.get(String(recipe.id));
+
+    if (pendingLiked === undefined || pendingLiked === liked) return { ...recipe, likes, liked };
+    return { ...recipe, likes: Math.max(0, likes + (pendingLiked ? 1 : -1)), liked: pendingLiked };
+};
+
+/**
+ * Lê a folha "likes" sem falhar: se não existir (ex: Google Sheet antiga),
+ * as receitas continuam a aparecer, só com os likes da coluna
+ */
+const loadLikeEvents = async () => {
+    try {
+        return await backend.list('likes');
+    } catch (error) {
+        console.error('Erro ao carregar likes:', error);
+        return [];
+    }
+};
+
+/**
+ * Se a sessão pode ver receitas por publicar (pedidas com includeUnpublished):
+ * só quem as pode editar (editores e admin)
+ */
+const canSeeUnpublished = (includeUnpublished) => includeUnpublished && can(PERMISSIONS.RECIPE_EDIT);
+
+/**
+ * Obtém as receitas
  * GET /receitas
+ *
+ * Só as publicadas (ver isPublic em utils/recipeStatus), a não ser que se peça
+ * includeUnpublished numa sessão que pode editar receitas.
+ *
+ * @param {Object} [options] - { includeUnpublished }
  */
-export const getRecipes = async () => {
+export const getRecipes = async ({ includeUnpublished = false } = {}) => {
     try {
-        const response = await api.get('/receitas');
-        const receitas = response.data.receitas || [];
+        const [receitas, events] = await Promise.all([
+            backend.list('receitas'),
+            loadLikeEvents(),
+        ]);
 
         // Normaliza cada receita para o formato do frontend
-        return receitas.map(receita => normalizeRecipe(receita));
+        const pending = pendingLikes();
+        const recipes = receitas.map(receita => withLikes(normalizeRecipe(receita), events, pending));
+        return canSeeUnpublished(includeUnpublished) ? recipes : recipes.filter(recipe => isPublic(recipe));
     } catch (error) {
         console.error('Erro ao carregar receitas:', error);
         throw error;
@@ -118,15 +629,25 @@ export const getRecipes = async () => {
 /**
  * Obtém uma receita por ID
  * GET /receitas/{id}
+ *
+ * Uma receita por publicar devolve null, tal como em getRecipes.
+ *
+ * @param {number|string} id
+ * @param {Object} [options] - { includeUnpublished }
  */
-export const getRecipeById = async (id) => {
+export const getRecipeById = async (id, { includeUnpublished = false } = {}) => {
     try {
-        const response = await api.get(`/receitas/${id}`);
-        const receita = response.data.receita;
+        const [receita, events] = await Promise.all([
+            backend.get('receitas', id),
+            loadLikeEvents(),
+        ]);
 
         if (!receita) return null;
 
-        return normalizeRecipe(receita);
+        const recipe = normalizeRecipe(receita);
+        if (!isPublic(recipe) && !canSeeUnpublished(includeUnpublished)) return null;
+
+        return withLikes(recipe, events);
     } catch (error) {
         console.error('Erro ao carregar receita:', error);
         throw error;
@@ -136,17 +657,22 @@ export const getRecipeById = async (id) => {
 /**
  * Cria uma nova receita
  * POST /receitas
- * Body: { receita: { titulo, imagem, tempo, ingredientes, preparacao, likes, categoria } }
+ * Body: { receita: { titulo, imagem, tempo, ingredientes, porcoes, preparacao, likes, categoria, estado, publicar_em } }
+ *
+ * Quem só pode submeter (contributor) envia sempre para revisão, sem data de publicação.
  */
 export const createRecipe = async (data) => {
     try {
-        const response = await api.post('/receitas', {
-            receita: {
-                ...denormalizeRecipe(data),
-                likes: 0,
-            },
+        const canPublish = can(PERMISSIONS.RECIPE_CREATE);
+        if (!canPublish) requirePermission(PERMISSIONS.RECIPE_SUBMIT);
+
+        const receita = await backend.create('receitas', {
+            ...denormalizeRecipe(data),
+            estado: canPublish ? (data.estado || RECIPE_STATUS.PUBLISHED) : RECIPE_STATUS.REVIEW,
+            publicar_em: canPublish ? (data.publicar_em || '') : '',
+            likes: 0,
         });
-        return normalizeRecipe(response.data.receita);
+        return normalizeRecipe(receita);
     } catch (error) {
         console.error('Erro ao criar receita:', error);
         throw error;
@@ -160,10 +686,12 @@ export const createRecipe = async (data) => {
  */
 export const updateRecipe = async (id, data) => {
     try {
-        const response = await api.put(`/receitas/${id}`, {
-            receita: denormalizeRecipe(data),
-        });
-        return normalizeRecipe(response.data.receita);
+        requirePermission(PERMISSIONS.RECIPE_EDIT);
+        const [receita, events] = await Promise.all([
+            backend.update('receitas', id, denormalizeRecipe(data)),
+            loadLikeEvents(),
+        ]);
+        return withLikes(normalizeRecipe(receita), events);
     } catch (error) {
         console.error('Erro ao atualizar receita:', error);
         throw error;
@@ -176,7 +704,8 @@ export const updateRecipe = async (id, data) => {
  */
 export const deleteRecipe = async (id) => {
     try {
-        await api.delete(`/receitas/${id}`);
+        requirePermission(PERMISSIONS.RECIPE_DELETE);
+        await backend.remove('receitas', id);
         return true;
     } catch (error) {
         console.error('Erro ao eliminar receita:', error);
@@ -184,28 +713,63 @@ export const deleteRecipe = async (id) => {
     }
 };
 
+// ============================================
+// API - LIKES
+// ============================================
+
 /**
- * Incrementa o like de uma receita
- * Obtém a receita atual, incrementa o like, e faz PUT
+ * Aplica o like (ou a falta dele) do visitante atual numa receita
+ *
+ * Idempotente: dar like duas vezes não cria um segundo registo e tirar
+ * um like que não existe não faz nada. Nunca escreve na linha da
+ * receita, por isso likes em simultâneo não se perdem.
+ *
+ * Uma receita por publicar conta como inexistente (os visitantes não a veem).
+ *
+ * @returns {number|null} Total de likes depois da alteração (null se a receita não existir)
  */
-export const likeRecipe = async (id) => {
-    try {
-        // Primeiro, obter os likes atuais
-        const receitaRes = await api.get(`/receitas/${id}`);
-        const receita = receitaRes.data.receita;
+const syncLike = async (id, liked) => {
+    const [receita, events] = await Promise.all([
+        backend.get('receitas', id),
+        backend.list('likes', { fresh: true }),
+    ]);
 
-        if (!receita) return null;
+    if (!receita || !isPublic(normalizeRecipe(receita))) return null;
 
-        const newLikes = (receita.likes || 0) + 1;
+    const visitante = getVisitorId();
+    const mine = likeEventsOf(events, id, visitante);
+    let current = events;
 
-        // Atualizar apenas os likes
-        await api.put(`/receitas/${id}`, {
-            receita: {
-                likes: newLikes,
-            },
+    if (liked && mine.length === 0) {
+        const event = await backend.create('likes', {
+            visitante,
+            receita: receita.id,
+            data: new Date().toISOString(),
         });
+        current = [...events, event];
+    } else if (!liked && mine.length > 0) {
+        // Um de cada vez e do fim para o início: no Sheety o id é o número da
+        // linha, e apagar uma linha muda o número das que estão abaixo
+        const ids = mine.map(event => event.id).sort((a, b) => b - a);
+        for (const eventId of ids) {
+            await backend.remove('likes', eventId);
+        }
+        current = events.filter(event => !mine.includes(event));
+    }
+
+    return (receita.likes || 0) + countLikes(current, receita.id);
+};
 
-        return newLikes;
+// Fila que junta cliques seguidos no botão de like
+const likeQueue = createLikeQueue(syncLike);
+
+/**
+ * Dá like a uma receita (visitante atual)
+ * POST /likes (se ainda não tiver dado)
+ */
+export const likeRecipe = async (id) => {
+    try {
+        return await syncLike(id, true);
     } catch (error) {
         console.error('Erro ao dar like:', error);
         throw error;
@@ -213,64 +777,298 @@ export const likeRecipe = async (id) => {
 };
 
 /**
- * Decrementa o like de uma receita (unlike)
- * Obtém a receita atual, decrementa o like, e faz PUT
+ * Tira o like de uma receita (visitante atual)
+ * DELETE /likes/{id} (se existir)
  */
 export const unlikeRecipe = async (id) => {
     try {
-        // Primeiro, obter os likes atuais
-        const receitaRes = await api.get(`/receitas/${id}`);
-        const receita = receitaRes.data.receita;
+        return await syncLike(id, false);
+    } catch (error) {
+        console.error('Erro ao tirar like:', error);
+        throw error;
+    }
+};
 
-        if (!receita) return null;
+/**
+ * Pede o estado do like através da fila (usado pelo botão de like)
+ * Vários cliques seguidos resultam num só pedido com o estado final.
+ * Sem rede, o estado fica guardado e é enviado quando a ligação voltar.
+ *
+ * @returns {Promise<number|null>} Total de likes depois de sincronizar
+ *                                 (null se ficou por enviar)
+ */
+export const setRecipeLiked = async (id, liked) => {
+    const isLikeOf = (change) => change.type === 'like' && sameId(change.receita, id);
+    const queueOffline = () => {
+        outbox.add({ type: 'like', receita: id, liked }, isLikeOf);
+        return null;
+    };
+
+    if (!isOnline()) return queueOffline();
+
+    try {
+        // Um like feito com rede substitui o que tivesse ficado por enviar
+        outbox.remove(isLikeOf);
+        return await likeQueue(id, liked);
+    } catch (error) {
+        if (isNetworkError(error)) return queueOffline();
+        console.error('Erro ao sincronizar like:', error);
+        throw error;
+    }
+};
+
+// ============================================
+// API - COLEÇÕES ("Os meus livros")
+// ============================================
+
+/**
+ * Dono das coleções atuais: o utilizador com sessão iniciada
+ * ou, sem sessão, o visitante anónimo deste browser
+ */
+const currentOwner = () => collectionOwner(getSession(), getVisitorId());
+
+/**
+ * Converte uma coleção do formato Sheety para o formato do frontend
+ * - itens (texto JSON) -> itens (lista ordenada [{ receita, nota }])
+ */
+const normalizeCollection = (colecao) => ({
+    id: colecao.id,
+    nome: colecao.nome || '',
+    itens: parseItems(colecao.itens),
+    criada: colecao.criada || '',
+});
+
+/**
+ * Lê uma coleção do utilizador atual (null se não existir ou for de outra pessoa)
+ */
+const loadOwnCollection = async (id) => {
+    const colecao = await backend.get('colecoes', id);
+    return colecao && colecao.dono === currentOwner() ? colecao : null;
+};
+
+/**
+ * Obtém as coleções do utilizador atual
+ * GET /colecoes (só as do dono atual)
+ */
+export const getCollections = async () => {
+    try {
+        const owner = currentOwner();
+        const colecoes = await backend.list('colecoes');
+        return colecoes.filter(colecao => colecao.dono === owner).map(normalizeCollection);
+    } catch (error) {
+        console.error('Erro ao carregar coleções:', error);
+        throw error;
+    }
+};
 
-        // Não deixa ir abaixo de 0
-        const newLikes = Math.max(0, (receita.likes || 0) - 1);
+/**
+ * Obtém uma coleção do utilizador atual por ID
+ * GET /colecoes/{id}
+ *
+ * @returns {Object|null} null se não existir ou não for do utilizador atual
+ *                        (as notas são privadas)
+ */
+export const getCollectionById = async (id) => {
+    try {
+        const colecao = await loadOwnCollection(id);
+        return colecao ? normalizeCollection(colecao) : null;
+    } catch (error) {
+        console.error('Erro ao carregar coleção:', error);
+        throw error;
+    }
+};
 
-        // Atualizar apenas os likes
-        await api.put(`/receitas/${id}`, {
-            receita: {
-                likes: newLikes,
-            },
+/**
+ * Cria uma coleção
+ * POST /colecoes
+ *
+ * @param {string} nome - Ex: "Natal", "Jantares rápidos"
+ * @param {Array} [itens] - Receitas iniciais [{ receita, nota }]
+ */
+export const createCollection = async (nome, itens = []) => {
+    try {
+        const colecao = await backend.create('colecoes', {
+            dono: currentOwner(),
+            nome: nome.trim(),
+            itens: serializeItems(itens),
+            criada: new Date().toISOString(),
         });
+        return normalizeCollection(colecao);
+    } catch (error) {
+        console.error('Erro ao criar coleção:', error);
+        throw error;
+    }
+};
 
-        return newLikes;
+/**
+ * Altera o nome e/ou as receitas de uma coleção
+ * PUT /colecoes/{id}
+ *
+ * @param {number|string} id
+ * @param {Object} changes - { nome?, itens? }; os itens vão inteiros, já
+ *                           alterados (ver addItem, moveItem, setItemNote...)
+ * @returns {Object} Coleção atualizada
+ */
+export const updateCollection = async (id, { nome, itens }) => {
+    try {
+        const current = await loadOwnCollection(id);
+        if (!current) throw new Error('Coleção não encontrada');
+
+        const record = {};
+        if (nome !== undefined) record.nome = nome.trim();
+        if (itens !== undefined) record.itens = serializeItems(itens);
+
+        await backend.update('colecoes', id, record);
+        return normalizeCollection({ ...current, ...record });
     } catch (error) {
-        console.error('Erro ao tirar like:', error);
+        console.error('Erro ao atualizar coleção:', error);
+        throw error;
+    }
+};
+
+/**
+ * Elimina uma coleção (as receitas não são afetadas)
+ * DELETE /colecoes/{id}
+ */
+export const deleteCollection = async (id) => {
+    try {
+        if (!(await loadOwnCollection(id))) throw new Error('Coleção não encontrada');
+        await backend.remove('colecoes', id);
+        return true;
+    } catch (error) {
+        console.error('Erro ao eliminar coleção:', error);
         throw error;
     }
 };
 
+/**
+ * Passa as coleções criadas neste browser sem sessão para o utilizador
+ * que acabou de entrar, para as ter em qualquer dispositivo
+ */
+const claimVisitorCollections = async (session) => {
+    const visitante = collectionOwner(null, getVisitorId());
+    const colecoes = await backend.list('colecoes', { fresh: true });
+    await Promise.all(colecoes
+        .filter(colecao => colecao.dono === visitante)
+        .map(colecao => backend.update('colecoes', colecao.id, {
+            dono: collectionOwner(session, getVisitorId()),
+        })));
+};
+
 // ============================================
-// API - AUTENTICAÇÃO (Local - não usa Sheety)
+// API - AUTENTICAÇÃO
+// Utilizadores na folha "utilizadores": id, username, nome, role, salt, hash
 // ============================================
 
+// Chave do localStorage onde fica o token de sessão
+const TOKEN_KEY = 'auth_token';
+
 /**
- * Login simulado
- * Credenciais: admin / admin
+ * Backend onde estão os utilizadores.
+ * Por omissão é o mesmo das receitas; com VITE_AUTH_BACKEND=local usa
+ * os utilizadores de desenvolvimento guardados no browser.
+ */
+const authBackend = import.meta.env.VITE_AUTH_BACKEND
+    ? createAdapter(import.meta.env.VITE_AUTH_BACKEND)
+    : null;
+
+const usersBackend = () => authBackend || backend;
+
+/**
+ * Login
+ * Procura o utilizador, valida a palavra-passe e guarda um token assinado
  */
 export const login = async (username, password) => {
-    // Simula delay de rede
-    await new Promise(resolve => setTimeout(resolve, 300));
+    try {
+        const utilizadores = await usersBackend().list('utilizadores');
+        const user = utilizadores.find(u =>
+            (u.username || '').toLowerCase() === username.trim().toLowerCase()
+        );
 
-    if (username === 'admin' && password === 'admin') {
-        const token = 'fake_jwt_token_' + Date.now();
-        localStorage.setItem('auth_token', token);
+        // Mesma mensagem para utilizador inexistente e palavra-passe errada
+        if (!user || !(await verifyPassword(password, user.salt, user.hash))) {
+            return { success: false, error: 'Credenciais inválidas' };
+        }
+
+        const token = signSessionToken(user);
+        localStorage.setItem(TOKEN_KEY, token);
+
+        // Um falhanço aqui não impede o login (as coleções ficam no visitante)
+        await claimVisitorCollections(getSession())
+            .catch(error => console.error('Erro ao associar coleções:', error));
         return { success: true, token };
+    } catch (error) {
+        console.error('Erro ao autenticar:', error);
+        throw error;
+    }
+};
+
+/**
+ * Cria um novo utilizador com a palavra-passe protegida por salt + hash
+ * POST /utilizadores
+ *
+ * Só o admin cria utilizadores; um username já usado (sem distinguir
+ * maiúsculas, como no login) dá erro 409.
+ */
+export const createUser = async ({ username, nome, password, role = 'viewer' }) => {
+    try {
+        requirePermission(PERMISSIONS.USER_MANAGE);
+
+        if (!ROLES.includes(role)) {
+            throw Object.assign(new Error(`Papel inválido: "${role}"`), { status: 400 });
+        }
+
+        const name = String(username || '').trim();
+        if (!name) throw Object.assign(new Error('Escreva o username'), { status: 400 });
+
+        const utilizadores = await usersBackend().list('utilizadores');
+        if (utilizadores.some(u => (u.username || '').toLowerCase() === name.toLowerCase())) {
+            throw Object.assign(new Error(`O username "${name}" já existe`), { status: 409 });
+        }
+
+        const salt = generateSalt();
+        const hash = await hashPassword(password, salt);
+        const user = await usersBackend().create('utilizadores', { username: name, nome, role, salt, hash });
+
+        // Nunca devolver o salt/hash para a UI
+        return { id: user.id, username: user.username, nome: user.nome, role: user.role };
+    } catch (error) {
+        console.error('Erro ao criar utilizador:', error);
+        throw error;
     }
-    return { success: false, error: 'Credenciais inválidas' };
 };
 
 /**
  * Logout
  */
 export const logout = () => {
-    localStorage.removeItem('auth_token');
+    localStorage.removeItem(TOKEN_KEY);
+};
+
+/**
+ * Devolve a sessão atual (sub = id do utilizador, username, nome, role, exp)
+ * ou null se não houver token válido e dentro do prazo
+ */
+export const getSession = () => {
+    const session = verifySessionToken(localStorage.getItem(TOKEN_KEY));
+
+    // Remove tokens expirados ou adulterados
+    if (!session) logout();
+
+    return session;
 };
 
 /**
  * Verifica se está autenticado
  */
 export const isAuthenticated = () => {
-    return !!localStorage.getItem('auth_token');
+    return getSession() !== null;
+};
+
+/**
+ * Verifica se a sessão atual tem uma permissão (ver services/permissions)
+ */
+export const can = (permission) => {
+    const session = getSession();
+    return !!session && roleHasPermission(session.role, permission);
 };
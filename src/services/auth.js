@@ -0,0 +1,233 @@
+/**
+ * Auth Service - Palavras-passe e tokens de sessão
+ *
+ * - Palavras-passe: PBKDF2-SHA256 (Web Crypto) com salt aleatório por utilizador
+ * - Sessões: token "payload.assinatura", com a assinatura HMAC-SHA256
+ *   do payload (JSON em base64url) e data de expiração
+ *
+ * A verificação do token é síncrona para poder ser usada diretamente no
+ * render (PrivateRoute, Navbar). Numa SPA sem servidor o segredo de
+ * assinatura vai no bundle: isto impede tokens forjados à mão no devtools,
+ * mas não substitui a validação num backend real.
+ */
+
+// ============================================
+// CONFIGURAÇÃO
+// ============================================
+
+// Segredo usado para assinar os tokens (definir VITE_AUTH_SECRET em produção)
+const AUTH_SECRET = import.meta.env.VITE_AUTH_SECRET || 'receitas-da-avo-dev-secret';
+
+// Duração de uma sessão: 8 horas
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+// Iterações do PBKDF2
+const PBKDF2_ITERATIONS = 100000;
+
+// Papéis disponíveis, do mais para o menos privilegiado
+export const ROLES = ['admin', 'editor', 'contributor', 'viewer'];
+
+// ============================================
+// UTILITÁRIOS - Codificação
+// ============================================
+
+const encoder = new TextEncoder();
+
+const toHex = (bytes) =>
+    Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const toBase64Url = (text) =>
+    btoa(String.fromCharCode(...encoder.encode(text)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// ============================================
+// SHA-256 / HMAC (síncronos)
+// ============================================
+
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * sha256 - Calcula o hash SHA-256 de um array de bytes
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32 bytes
+ */
+const sha256 = (bytes) => {
+    // Padding: 0x80, zeros e o comprimento em bits (64 bits, big-endian)
+    const length = bytes.length;
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            hh = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+
+        h[0] = (h[0] + a) >>> 0; h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0; h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0; h[5] = (h[5] + f) >>> 0;
+        h[6] = (h[6] + g) >>> 0; h[7] = (h[7] + hh) >>> 0;
+    }
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    h.forEach((value, i) => outView.setUint32(i * 4, value));
+    return out;
+};
+
+/**
+ * hmacSha256 - HMAC-SHA256 de uma mensagem (texto) com uma chave (texto)
+ *
+ * @returns {string} Assinatura em hexadecimal
+ */
+const hmacSha256 = (key, message) => {
+    let keyBytes = encoder.encode(key);
+    if (keyBytes.length > 64) keyBytes = sha256(keyBytes);
+
+    const block = new Uint8Array(64);
+    block.set(keyBytes);
+    const inner = new Uint8Array(64);
+    const outer = new Uint8Array(64);
+    for (let i = 0; i < 64; i++) {
+        inner[i] = block[i] ^ 0x36;
+        outer[i] = block[i] ^ 0x5c;
+    }
+
+    const messageBytes = encoder.encode(message);
+    const innerInput = new Uint8Array(64 + messageBytes.length);
+    innerInput.set(inner);
+    innerInput.set(messageBytes, 64);
+    const innerHash = sha256(innerInput);
+
+    const outerInput = new Uint8Array(64 + 32);
+    outerInput.set(outer);
+    outerInput.set(innerHash, 64);
+    return toHex(sha256(outerInput));
+};
+
+/**
+ * Compara duas strings em tempo constante (evita timing attacks)
+ */
+const safeEqual = (a, b) => {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+};
+
+// ============================================
+// PALAVRAS-PASSE
+// ============================================
+
+/**
+ * Gera um salt aleatório (16 bytes, em hexadecimal)
+ */
+export const generateSalt = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+/**
+ * Calcula o hash PBKDF2-SHA256 de uma palavra-passe
+ *
+ * @param {string} password - Palavra-passe em claro
+ * @param {string} salt - Salt do utilizador (hexadecimal)
+ * @returns {Promise<string>} Hash em hexadecimal
+ */
+export const hashPassword = async (password, salt) => {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: encoder.encode(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        keyMaterial,
+        256
+    );
+    return toHex(new Uint8Array(bits));
+};
+
+/**
+ * Verifica uma palavra-passe contra o salt e hash guardados
+ */
+export const verifyPassword = async (password, salt, hash) => {
+    const candidate = await hashPassword(password, salt);
+    return safeEqual(candidate, hash);
+};
+
+// ============================================
+// TOKENS DE SESSÃO
+// ============================================
+
+/**
+ * Cria um token de sessão assinado para um utilizador
+ *
+ * @param {Object} user - Registo do utilizador (id, username, nome, role)
+ * @returns {string} Token "payload.assinatura"
+ */
+export const signSessionToken = (user) => {
+    const payload = toBase64Url(JSON.stringify({
+        sub: user.id,
+        username: user.username,
+        nome: user.nome || user.username,
+        role: user.role,
+        exp: Date.now() + SESSION_TTL_MS,
+    }));
+    return `${payload}.${hmacSha256(AUTH_SECRET, payload)}`;
+};
+
+/**
+ * Valida um token de sessão
+ *
+ * @param {string} token
+ * @returns {Object|null} Dados da sessão, ou null se inválido/expirado
+ */
+export const verifySessionToken = (token) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    if (!safeEqual(hmacSha256(AUTH_SECRET, payload), signature)) return null;
+
+    try {
+        const session = JSON.parse(fromBase64Url(payload));
+        if (!session.exp || session.exp < Date.now()) return null;
+        if (!ROLES.includes(session.role)) return null;
+        return session;
+    } catch {
+        return null;
+    }
+};
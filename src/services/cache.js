@@ -0,0 +1,212 @@
+/**
+ * Cache de pedidos - stale-while-revalidate
+ *
+ * Guarda as respostas do backend por chave (ex: "receitas", "receitas/2"):
+ * - Dentro do TTL a resposta sai da cache, sem pedido
+ * - Depois do TTL a resposta antiga é devolvida logo e é pedida uma nova
+ *   em segundo plano; se vier diferente, os subscritores são avisados
+ * - Pedidos iguais em simultâneo partilham o mesmo pedido ao backend
+ * - Com um storage (ex: IndexedDB) a cache sobrevive a um recarregar
+ *   da página, para a visita seguinte aparecer logo
+ *
+ * Os valores têm de ser JSON puro (são as linhas cruas da Google Sheet).
+ */
+
+// Cópia profunda simples, para ninguém alterar o que está em cache
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * createCache - Cria uma cache
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.storage] - Persistência: { loadAll, save, remove, clear } (ver createIndexedDbStorage)
+ * @returns {Object} { read, has, mutate, invalidate, clear, subscribe }
+ */
+export const createCache = ({ storage = null } = {}) => {
+    // chave -> { value, fetchedAt }
+    const entries = new Map();
+    // chave -> Promise do pedido a decorrer
+    const inFlight = new Map();
+    const listeners = new Set();
+
+    // Muda a cada invalidação: respostas de pedidos anteriores já não são guardadas
+    let epoch = 0;
+
+    // Entradas guardadas numa visita anterior (lidas uma só vez)
+    const hydrated = storage
+        ? storage.loadAll()
+            .then(saved => saved.forEach(([key, entry]) => {
+                if (!entries.has(key)) entries.set(key, entry);
+            }))
+            .catch(error => console.error('Erro ao ler a cache:', error))
+        : Promise.resolve();
+
+    const notify = (key) => listeners.forEach(listener => listener(key));
+
+    const store = (key, value) => {
+        const previous = entries.get(key);
+        const entry = { value, fetchedAt: Date.now() };
+        entries.set(key, entry);
+        storage?.save(key, entry).catch(error => console.error('Erro ao gravar a cache:', error));
+
+        // Só avisa quando havia uma versão antiga (já mostrada) e mudou
+        if (previous && JSON.stringify(previous.value) !== JSON.stringify(value)) notify(key);
+    };
+
+    // Pede ao backend, partilhando o pedido se já houver um a decorrer
+    const revalidate = (key, loader) => {
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const startedAt = epoch;
+        const request = loader()
+            .then(value => {
+                if (startedAt === epoch) store(key, value);
+                return value;
+            })
+            .finally(() => {
+                if (inFlight.get(key) === request) inFlight.delete(key);
+            });
+
+        inFlight.set(key, request);
+        return request;
+    };
+
+    return {
+        /**
+         * read - Lê uma chave (da cache ou do backend)
+         *
+         * @param {string} key
+         * @param {Function} loader - async () => valor, chamado quando é preciso pedir
+         * @param {Object} options
+         * @param {number} options.ttl - Tempo em ms durante o qual o valor é fresco
+         * @param {boolean} [options.fresh] - Ignora a cache e espera pelo backend
+         */
+        read: async (key, loader, { ttl, fresh = false }) => {
+            await hydrated;
+
+            const entry = entries.get(key);
+            if (entry && !fresh) {
+                if (Date.now() - entry.fetchedAt > ttl) {
+                    // Antigo: devolve já e atualiza em segundo plano
+                    revalidate(key, loader).catch(error => console.error('Erro ao atualizar a cache:', error));
+                }
+                return clone(entry.value);
+            }
+
+            return clone(await revalidate(key, loader));
+        },
+
+        /**
+         * has - Há um valor (fresco ou não) para a chave?
+         */
+        has: (key) => entries.has(key),
+
+        /**
+         * mutate - Altera um valor guardado sem ir ao backend
+         * (ex: uma edição feita sem rede; a validade não muda)
+         *
+         * @param {string} key
+         * @param {Function} fn - (valor) => novo valor
+         */
+        mutate: (key, fn) => {
+            const entry = entries.get(key);
+            if (!entry) return;
+            const updated = { ...entry, value: fn(clone(entry.value)) };
+            entries.set(key, updated);
+            storage?.save(key, updated).catch(error => console.error('Erro ao gravar a cache:', error));
+        },
+
+        /**
+         * invalidate - Esquece as chaves para as quais match(chave) é true
+         *
+         * @param {Function} match
+         * @param {Object} [options]
+         * @param {boolean} [options.notify] - Avisa os subscritores (para voltarem a ler)
+         */
+        invalidate: (match, { notify: shouldNotify = false } = {}) => {
+            epoch += 1;
+            const keys = [...new Set([...entries.keys(), ...inFlight.keys()])].filter(match);
+            keys.forEach(key => {
+                entries.delete(key);
+                inFlight.delete(key);
+                storage?.remove(key).catch(error => console.error('Erro ao limpar a cache:', error));
+            });
+            if (shouldNotify) keys.forEach(notify);
+        },
+
+        /**
+         * clear - Esquece tudo
+         */
+        clear: () => {
+            epoch += 1;
+            entries.clear();
+            inFlight.clear();
+            storage?.clear().catch(error => console.error('Erro ao limpar a cache:', error));
+        },
+
+        /**
+         * subscribe - Avisa quando uma atualização em segundo plano traz dados novos
+         *
+         * @param {Function} listener - (chave) => void
+         * @returns {Function} Cancela a subscrição
+         */
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+};
+
+// ============================================
+// PERSISTÊNCIA - IndexedDB
+// ============================================
+
+// Converte um pedido IndexedDB numa Promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * createIndexedDbStorage - Storage da cache numa base IndexedDB
+ *
+ * @param {string} [dbName]
+ * @returns {Object|null} null se o browser não tiver IndexedDB
+ */
+export const createIndexedDbStorage = (dbName = 'receitas-da-avo-cache') => {
+    if (typeof indexedDB === 'undefined') return null;
+
+    const STORE = 'entries';
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            dbPromise = promisify(request);
+        }
+        return dbPromise;
+    };
+
+    // Abre uma transação e executa uma operação sobre o object store
+    const run = async (mode, operation) => {
+        const db = await open();
+        return promisify(operation(db.transaction(STORE, mode).objectStore(STORE)));
+    };
+
+    return {
+        loadAll: async () => {
+            // Chaves e valores na mesma transação, para virem pela mesma ordem
+            const db = await open();
+            const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+            const [keys, values] = await Promise.all([
+                promisify(store.getAllKeys()),
+                promisify(store.getAll()),
+            ]);
+            return keys.map((key, index) => [key, values[index]]);
+        },
+        save: (key, entry) => run('readwrite', store => store.put(entry, key)),
+        remove: (key) => run('readwrite', store => store.delete(key)),
+        clear: () => run('readwrite', store => store.clear()),
+    };
+};
@@ -0,0 +1,95 @@
+/**
+ * Categorias
+ *
+ * Cada categoria é uma linha da folha "categorias":
+ * - id, nome, icone, cor, ordem
+ * - icone: um emoji (ex: "🥣"); cor: hexadecimal (ex: "#8FBC8F")
+ * - ordem: posição na lista (Home, formulário, livro em PDF)
+ *
+ * As receitas guardam o nome da categoria (coluna "categoria" em texto),
+ * por isso mudar o nome obriga a atualizar as receitas (ver updateCategory
+ * em services/api).
+ *
+ * As funções sobre a lista devolvem sempre uma lista nova,
+ * para serem usadas diretamente no estado do React.
+ */
+
+import { foldText } from '../utils/search';
+
+// Ícone das categorias sem ícone escolhido
+export const DEFAULT_CATEGORY_ICON = '🍽️';
+
+// Ícones das categorias criadas antes de haver a coluna "icone"
+const LEGACY_ICONS = {
+    sopas: '🥣',
+    peixe: '🐟',
+    carne: '🍖',
+    doces: '🍰',
+};
+
+// Ícones propostos no painel de categorias (pode escrever-se outro emoji)
+export const CATEGORY_ICONS = ['🍽️', '🥣', '🥗', '🐟', '🦐', '🍖', '🍗', '🥘', '🍝', '🍚', '🥧', '🍞', '🍰', '🎂', '🍪', '🍮', '🎄', '🍷'];
+
+// Cores propostas (as do tema e algumas vizinhas)
+export const CATEGORY_COLORS = ['#8FBC8F', '#6B8E6B', '#E0A458', '#D9825B', '#C0616B', '#8E7CC3', '#5B8DB8', '#7A7A7A'];
+
+/**
+ * categoryIcon - Ícone de uma linha da folha (o escolhido, o antigo ou o por omissão)
+ */
+export const categoryIcon = (categoria) =>
+    categoria.icone || LEGACY_ICONS[foldText(categoria.nome)] || DEFAULT_CATEGORY_ICON;
+
+/**
+ * sortCategories - Ordena pela coluna "ordem"; sem ordem (linhas antigas) ficam
+ * no fim, pela ordem da folha
+ */
+export const sortCategories = (categories) => [...categories].sort((a, b) => (
+    (a.ordem || Infinity) - (b.ordem || Infinity) || a.id - b.id
+));
+
+/**
+ * moveCategory - Muda uma categoria de posição
+ *
+ * @param {Array} categories - Lista ordenada
+ * @param {number|string} id
+ * @param {number} toIndex - Nova posição (limitada ao tamanho da lista)
+ * @returns {Array} Lista nova, com "ordem" 1, 2, 3... pela nova posição
+ */
+export const moveCategory = (categories, id, toIndex) => {
+    const from = categories.findIndex(category => String(category.id) === String(id));
+    if (from === -1) return categories;
+
+    const to = Math.min(Math.max(toIndex, 0), categories.length - 1);
+    const moved = [...categories];
+    const [category] = moved.splice(from, 1);
+    moved.splice(to, 0, category);
+    return moved.map((c, index) => ({ ...c, ordem: index + 1 }));
+};
+
+/**
+ * categoryNameError - Problema com o nome de uma categoria ('' se estiver bem)
+ *
+ * @param {string} nome
+ * @param {Array} categories - Categorias existentes
+ * @param {number|string} [exceptId] - Categoria a renomear (pode manter o nome)
+ */
+export const categoryNameError = (nome, categories, exceptId = null) => {
+    const key = foldText(String(nome || '').trim());
+    if (!key) return 'Escreva o nome da categoria';
+    const taken = categories.some(category => (
+        foldText(category.nome.trim()) === key && String(category.id) !== String(exceptId)
+    ));
+    return taken ? 'Já existe uma categoria com esse nome' : '';
+};
+
+/**
+ * countByCategory - Número de receitas de cada categoria (pelo nome)
+ *
+ * @param {Array} recipes - Receitas (com categoria_id = nome da categoria)
+ * @returns {Object} nome -> número de receitas
+ */
+export const countByCategory = (recipes) => recipes.reduce((acc, recipe) => {
+    const nome = recipe.categoria_id ?? recipe.categoria;
+    if (nome) acc[nome] = (acc[nome] || 0) + 1;
+    return acc;
+}, {});
@@ -0,0 +1,87 @@
+/**
+ * Coleções - "Os meus livros"
+ *
+ * Cada coleção é uma linha da folha "colecoes":
+ * - id, dono, nome, itens, criada
+ * - dono: "utilizador:<id>" com sessão iniciada, senão "visitante:<id do browser>"
+ * - itens: texto JSON com a lista ordenada [{ receita, nota }]
+ *   (a nota é privada: só aparece nas coleções do próprio dono)
+ *
+ * As funções sobre os itens devolvem sempre uma lista nova,
+ * para serem usadas diretamente no estado do React.
+ */
+
+// O id da receita vem como número ou texto consoante o backend
+const sameRecipe = (item, receitaId) => String(item.receita) === String(receitaId);
+
+/**
+ * collectionOwner - Dono das coleções do utilizador atual
+ *
+ * @param {Object|null} session - Sessão (ver getSession em services/api; sub = id do utilizador)
+ * @param {string} visitorId - Id anónimo do browser
+ */
+export const collectionOwner = (session, visitorId) =>
+    (session ? `utilizador:${session.sub}` : `visitante:${visitorId}`);
+
+/**
+ * parseItems - Lê a coluna "itens" (texto JSON); valores inválidos dão lista vazia
+ */
+export const parseItems = (text) => {
+    try {
+        const items = JSON.parse(text || '[]');
+        return Array.isArray(items)
+            ? items.filter(item => item && item.receita !== undefined).map(item => ({
+                receita: item.receita,
+                nota: item.nota || '',
+            }))
+            : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * serializeItems - Converte a lista de itens para a coluna "itens"
+ */
+export const serializeItems = (items) =>
+    JSON.stringify(items.map(({ receita, nota }) => ({ receita, nota: nota || '' })));
+
+/**
+ * hasItem - A receita já está na coleção?
+ */
+export const hasItem = (items, receitaId) => items.some(item => sameRecipe(item, receitaId));
+
+/**
+ * addItem - Junta uma receita ao fim da coleção (sem repetir)
+ */
+export const addItem = (items, receitaId) =>
+    (hasItem(items, receitaId) ? items : [...items, { receita: receitaId, nota: '' }]);
+
+/**
+ * removeItem - Tira uma receita da coleção
+ */
+export const removeItem = (items, receitaId) => items.filter(item => !sameRecipe(item, receitaId));
+
+/**
+ * moveItem - Muda uma receita de posição
+ *
+ * @param {Array} items
+ * @param {number|string} receitaId
+ * @param {number} toIndex - Nova posição (limitada ao tamanho da lista)
+ */
+export const moveItem = (items, receitaId, toIndex) => {
+    const from = items.findIndex(item => sameRecipe(item, receitaId));
+    if (from === -1) return items;
+
+    const to = Math.min(Math.max(toIndex, 0), items.length - 1);
+    const moved = [...items];
+    const [item] = moved.splice(from, 1);
+    moved.splice(to, 0, item);
+    return moved;
+};
+
+/**
+ * setItemNote - Altera a nota privada de uma receita na coleção
+ */
+export const setItemNote = (items, receitaId, nota) =>
+    items.map(item => (sameRecipe(item, receitaId) ? { ...item, nota } : item));
@@ -0,0 +1,117 @@
+/**
+ * Likes - Identificação do visitante e fila de likes
+ *
+ * Cada like é um registo na folha "likes" (visitante, receita, data)
+ * e o total de uma receita é contado a partir desses registos, por isso
+ * dois visitantes a dar like ao mesmo tempo nunca se sobrepõem.
+ *
+ * - getVisitorId(): id aleatório do browser, guardado no localStorage e num cookie
+ * - countLikes(): total de uma receita (cada visitante conta uma vez)
+ * - createLikeQueue(): junta cliques rápidos no botão de like num só
+ *   pedido com o estado final (like -> unlike -> like = um like)
+ */
+
+// Chave do localStorage (e nome do cookie) com o id do visitante
+const VISITOR_KEY = 'visitor_id';
+
+// Validade do cookie do visitante (1 ano, em segundos)
+const VISITOR_COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+
+// Espera antes de enviar, para juntar cliques seguidos
+const QUEUE_DELAY_MS = 400;
+
+const readVisitorCookie = () => {
+    if (typeof document === 'undefined') return null;
+    const cookie = document.cookie.split('; ').find(entry => entry.startsWith(`${VISITOR_KEY}=`));
+    return cookie ? decodeURIComponent(cookie.slice(VISITOR_KEY.length + 1)) : null;
+};
+
+const writeVisitorCookie = (visitorId) => {
+    if (typeof document === 'undefined') return;
+    document.cookie = `${VISITOR_KEY}=${encodeURIComponent(visitorId)}; max-age=${VISITOR_COOKIE_MAX_AGE}; path=/; SameSite=Lax`;
+};
+
+/**
+ * getVisitorId - Id anónimo deste browser (criado na primeira visita)
+ * Fica no localStorage e num cookie: se um deles for limpo, o outro repõe-no.
+ */
+export const getVisitorId = () => {
+    const visitorId = localStorage.getItem(VISITOR_KEY) || readVisitorCookie() || crypto.randomUUID();
+    if (localStorage.getItem(VISITOR_KEY) !== visitorId) localStorage.setItem(VISITOR_KEY, visitorId);
+    if (readVisitorCookie() !== visitorId) writeVisitorCookie(visitorId);
+    return visitorId;
+};
+
+// O id da receita vem como número ou texto consoante o backend
+const sameRecipe = (event, receitaId) => String(event.receita) === String(receitaId);
+
+/**
+ * likeEventsOf - Registos de like de um visitante numa receita
+ */
+export const likeEventsOf = (events, receitaId, visitorId) =>
+    events.filter(event => sameRecipe(event, receitaId) && event.visitante === visitorId);
+
+/**
+ * countLikes - Número de visitantes diferentes que deram like a uma receita
+ * (registos repetidos do mesmo visitante, ex: dois separadores, contam uma vez)
+ *
+ * @param {Array} events - Linhas da folha "likes"
+ * @param {number|string} receitaId
+ * @returns {number}
+ */
+export const countLikes = (events, receitaId) =>
+    new Set(events.filter(event => sameRecipe(event, receitaId)).map(event => event.visitante)).size;
+
+/**
+ * createLikeQueue - Fila que envia só o último estado pedido para cada receita
+ *
+ * Os pedidos esperam QUEUE_DELAY_MS; se entretanto chegar outro para a
+ * mesma receita, só o mais recente é enviado. Nunca há dois envios em
+ * paralelo para a mesma receita: o seguinte espera que o anterior acabe.
+ *
+ * @param {Function} sync - async (receitaId, liked) => likes; aplica o estado no backend
+ * @param {number} [delay] - Espera em ms
+ * @returns {Function} (receitaId, liked) => Promise<likes> (total depois de sincronizar)
+ */
+export const createLikeQueue = (sync, delay = QUEUE_DELAY_MS) => {
+    // receitaId -> { liked, timer, running, waiters: [{ resolve, reject }] }
+    const queue = new Map();
+
+    const run = async (receitaId) => {
+        const entry = queue.get(receitaId);
+        entry.timer = null;
+        // Já há um envio a decorrer: este é feito quando ele acabar
+        if (entry.running) return;
+
+        const waiters = entry.waiters;
+        entry.waiters = [];
+        entry.running = true;
+
+        try {
+            const likes = await sync(receitaId, entry.liked);
+            waiters.forEach(waiter => waiter.resolve(likes));
+        } catch (error) {
+            waiters.forEach(waiter => waiter.reject(error));
+        } finally {
+            entry.running = false;
+            if (entry.waiters.length > 0) {
+                // Cliques que chegaram durante o envio
+                if (!entry.timer) run(receitaId);
+            } else {
+                queue.delete(receitaId);
+            }
+        }
+    };
+
+    return (receitaId, liked) => new Promise((resolve, reject) => {
+        const key = String(receitaId);
+        const entry = queue.get(key) || { timer: null, running: false, waiters: [] };
+        queue.set(key, entry);
+
+        entry.liked = liked;
+        entry.waiters.push({ resolve, reject });
+
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => run(key), delay);
+    });
+};
@@ -0,0 +1,125 @@
+/**
+ * Modo offline - Fila de alterações feitas sem rede
+ *
+ * Likes e edições feitos sem ligação ficam guardados no localStorage
+ * (por ordem) e são enviados quando a ligação voltar (ver
+ * syncOfflineChanges() em services/api).
+ *
+ * Cada alteração: { key, type, ..., queuedAt }
+ * - type 'like':  { receita, liked } (só conta o último estado por receita)
+ * - type 'write': { op: 'create' | 'update' | 'remove', resource, id, record }
+ */
+
+// Chave do localStorage com a fila
+const OUTBOX_KEY = 'offline_outbox';
+
+/**
+ * isOnline - O browser diz que há ligação?
+ * (fora do browser, ex: em scripts, assume que sim)
+ */
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * isNetworkError - O pedido falhou por falta de rede (e não por erro do servidor)?
+ * O axios não traz resposta quando o pedido nem chegou ao servidor.
+ */
+export const isNetworkError = (error) => Boolean(error?.isAxiosError && !error.response);
+
+/**
+ * createOutbox - Cria a fila de alterações
+ *
+ * @param {string} [storageKey] - Chave do localStorage
+ * @returns {Object} { items, add, remove, map, flush, subscribe }
+ */
+export const createOutbox = (storageKey = OUTBOX_KEY) => {
+    const listeners = new Set();
+    let flushing = null;
+
+    const read = () => JSON.parse(localStorage.getItem(storageKey) || '[]');
+
+    const write = (items) => {
+        localStorage.setItem(storageKey, JSON.stringify(items));
+        listeners.forEach(listener => listener(items.length));
+    };
+
+    return {
+        items: read,
+
+        /**
+         * add - Junta uma alteração ao fim da fila
+         *
+         * @param {Object} change
+         * @param {Function} [replaces] - (alteração) => boolean; as que
+         *                                derem true saem da fila (ficam substituídas)
+         */
+        add: (change, replaces = () => false) => {
+            const key = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            write([
+                ...read().filter(item => !replaces(item)),
+                { ...change, key, queuedAt: new Date().toISOString() },
+            ]);
+        },
+
+        /**
+         * remove - Tira da fila as alterações para as quais match() é true
+         */
+        remove: (match) => {
+            const items = read();
+            const kept = items.filter(item => !match(item));
+            if (kept.length !== items.length) write(kept);
+        },
+
+        /**
+         * map - Reescreve as alterações pendentes (ex: trocar um id temporário pelo real)
+         */
+        map: (fn) => write(read().map(fn)),
+
+        /**
+         * flush - Envia as alterações pela ordem em que foram feitas
+         *
+         * Pára na primeira falha de rede (as restantes ficam para a próxima);
+         * alterações recusadas pelo servidor saem da fila e são devolvidas em "failed".
+         * Chamadas em simultâneo partilham o mesmo envio.
+         *
+         * @param {Function} handler - async (alteração) => void
+         * @returns {Promise<{ synced: number, failed: Array }>}
+         */
+        flush: (handler) => {
+            if (flushing) return flushing;
+
+            flushing = (async () => {
+                let synced = 0;
+                const failed = [];
+
+                for (let item = read()[0]; item; item = read()[0]) {
+                    try {
+                        await handler(item);
+                        synced += 1;
+                    } catch (error) {
+                        if (isNetworkError(error)) break;
+                        console.error('Alteração offline recusada:', error);
+                        failed.push(item);
+                    }
+                    write(read().filter(other => other.key !== item.key));
+                }
+
+                return { synced, failed };
+            })().finally(() => {
+                flushing = null;
+            });
+
+            return flushing;
+        },
+
+        /**
+         * subscribe - Avisa quando o número de alterações pendentes muda
+         *
+         * @param {Function} listener - (pendentes) => void
+         * @returns {Function} Cancela a subscrição
+         */
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+};
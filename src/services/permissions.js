@@ -0,0 +1,55 @@
+/**
+ * Permissões por papel (role)
+ *
+ * Cada papel tem uma lista fixa de permissões. A UI usa-as para esconder
+ * ou desativar ações e o api.js volta a verificá-las antes de escrever.
+ *
+ * - admin: tudo (só o admin gere as categorias e os utilizadores)
+ * - editor: cria e edita receitas, mas não elimina
+ * - contributor: só submete receitas para revisão (ficam por publicar)
+ * - viewer: consulta o dashboard sem alterar nada
+ */
+
+export const PERMISSIONS = {
+    DASHBOARD_VIEW: 'dashboard:view',
+    RECIPE_CREATE: 'recipes:create',
+    RECIPE_SUBMIT: 'recipes:submit',
+    RECIPE_EDIT: 'recipes:edit',
+    RECIPE_DELETE: 'recipes:delete',
+    CATEGORY_MANAGE: 'categories:manage',
+    USER_MANAGE: 'users:manage',
+};
+
+const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    editor: [
+        PERMISSIONS.DASHBOARD_VIEW,
+        PERMISSIONS.RECIPE_CREATE,
+        PERMISSIONS.RECIPE_SUBMIT,
+        PERMISSIONS.RECIPE_EDIT,
+    ],
+    contributor: [
+        PERMISSIONS.DASHBOARD_VIEW,
+        PERMISSIONS.RECIPE_SUBMIT,
+    ],
+    viewer: [
+        PERMISSIONS.DASHBOARD_VIEW,
+    ],
+};
+
+// Nomes dos papéis para mostrar na UI
+export const ROLE_LABELS = {
+    admin: 'Administrador',
+    editor: 'Editor',
+    contributor: 'Colaborador',
+    viewer: 'Leitor',
+};
+
+/**
+ * Verifica se um papel tem uma permissão
+ *
+ * @param {string} role - Papel do utilizador
+ * @param {string} permission - Uma das PERMISSIONS
+ */
+export const roleHasPermission = (role, permission) =>
+    (ROLE_PERMISSIONS[role] || []).includes(permission);
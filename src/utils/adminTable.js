@@ -0,0 +1,188 @@
+/**
+ * Tabela de receitas do Dashboard: filtros, ordenação e paginação no URL
+ *
+ * Tal como os filtros da Home (ver utils/filters), todo o estado da tabela
+ * vive na query string, para uma vista poder ser partilhada e reposta
+ * com o botão "voltar".
+ *
+ * Ex: /admin?q=bolo&categoria=Doces&estado=rascunho&ordem=likes_desc&por_pagina=50&pagina=2
+ *
+ * Os valores iguais ao valor por omissão não são escritos no URL.
+ * Com páginas grandes, só as linhas visíveis são desenhadas (ver visibleRange).
+ */
+
+import { foldText } from './search';
+import { recipeStatus } from './recipeStatus';
+
+// Receitas por página (0 = todas)
+export const PAGE_SIZES = [10, 25, 50, 100, 0];
+
+// Estados das receitas, para o filtro (ver utils/recipeStatus; "agendado" = publicada com data futura)
+export const RECIPE_STATES = [
+    { value: 'publicado', label: 'Publicadas' },
+    { value: 'agendado', label: 'Agendadas' },
+    { value: 'revisao', label: 'Em revisão' },
+    { value: 'rascunho', label: 'Rascunhos' },
+    { value: 'arquivado', label: 'Arquivadas' },
+];
+
+export const DEFAULT_TABLE_STATE = {
+    q: '',          // Texto pesquisado no título
+    categoria: '',  // Nome da categoria ('' = todas)
+    estado: '',     // Estado da receita ('' = todos)
+    ordem: '',      // Coluna e sentido, ex: 'titulo_asc' ('' = ordem da folha)
+    tamanho: 25,    // Receitas por página (ver PAGE_SIZES)
+    pagina: 1,
+};
+
+// Nome de cada campo na query string
+const PARAM_NAMES = {
+    q: 'q',
+    categoria: 'categoria',
+    estado: 'estado',
+    ordem: 'ordem',
+    tamanho: 'por_pagina',
+    pagina: 'pagina',
+};
+
+// ============================================
+// ORDENAÇÃO
+// ============================================
+
+const compareText = (a, b) => String(a || '').localeCompare(String(b || ''), 'pt', { sensitivity: 'base' });
+
+/**
+ * Colunas ordenáveis: comparação ascendente, o sentido do primeiro clique
+ * (os likes começam pelos mais populares) e, se houver, que receitas ficam
+ * sempre no fim (sem tempo conhecido), em qualquer sentido.
+ */
+export const SORT_COLUMNS = {
+    titulo: { compare: (a, b) => compareText(a.titulo, b.titulo), first: 'asc' },
+    categoria: { compare: (a, b) => compareText(a.categoria, b.categoria), first: 'asc' },
+    tempo: { compare: (a, b) => a.minutos - b.minutos, first: 'asc', missing: recipe => recipe.minutos === null },
+    likes: { compare: (a, b) => a.likes - b.likes, first: 'desc' },
+};
+
+/**
+ * parseSort - 'likes_desc' -> { column: 'likes', direction: 'desc' } (null se não for válida)
+ */
+export const parseSort = (ordem) => {
+    const [column, direction] = String(ordem || '').split('_');
+    if (!SORT_COLUMNS[column] || !['asc', 'desc'].includes(direction)) return null;
+    return { column, direction };
+};
+
+/**
+ * nextSort - Ordem depois de clicar numa coluna:
+ * primeiro clique no sentido inicial da coluna, segundo inverte, terceiro volta à ordem da folha
+ */
+export const nextSort = (ordem, column) => {
+    const current = parseSort(ordem);
+    const { first } = SORT_COLUMNS[column];
+    if (!current || current.column !== column) return `${column}_${first}`;
+    if (current.direction === first) return `${column}_${first === 'asc' ? 'desc' : 'asc'}`;
+    return '';
+};
+
+/**
+ * sortRecipes - Ordena uma cópia das receitas (empates pelo título)
+ */
+export const sortRecipes = (recipes, ordem) => {
+    const sort = parseSort(ordem);
+    if (!sort) return recipes;
+
+    const { compare, missing = () => false } = SORT_COLUMNS[sort.column];
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    return [...recipes].sort((a, b) => {
+        if (missing(a) || missing(b)) return (missing(a) - missing(b)) || compareText(a.titulo, b.titulo);
+        return sign * compare(a, b) || compareText(a.titulo, b.titulo);
+    });
+};
+
+// ============================================
+// URL
+// ============================================
+
+/**
+ * readTableState - Lê o estado da tabela de uma query string
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object} Estado completo (ver DEFAULT_TABLE_STATE)
+ */
+export const readTableState = (params) => {
+    const tamanho = parseInt(params.get(PARAM_NAMES.tamanho));
+    const pagina = parseInt(params.get(PARAM_NAMES.pagina));
+    const estado = params.get(PARAM_NAMES.estado);
+
+    return {
+        q: params.get(PARAM_NAMES.q) || DEFAULT_TABLE_STATE.q,
+        categoria: params.get(PARAM_NAMES.categoria) || DEFAULT_TABLE_STATE.categoria,
+        estado: RECIPE_STATES.some(s => s.value === estado) ? estado : DEFAULT_TABLE_STATE.estado,
+        ordem: parseSort(params.get(PARAM_NAMES.ordem)) ? params.get(PARAM_NAMES.ordem) : DEFAULT_TABLE_STATE.ordem,
+        tamanho: PAGE_SIZES.includes(tamanho) ? tamanho : DEFAULT_TABLE_STATE.tamanho,
+        pagina: pagina > 0 ? pagina : DEFAULT_TABLE_STATE.pagina,
+    };
+};
+
+/**
+ * writeTableState - Converte o estado numa query string (sem os valores por omissão)
+ *
+ * @param {Object} state
+ * @returns {URLSearchParams}
+ */
+export const writeTableState = (state) => {
+    const params = new URLSearchParams();
+    Object.entries(PARAM_NAMES).forEach(([key, name]) => {
+        if (state[key] !== undefined && state[key] !== DEFAULT_TABLE_STATE[key]) params.set(name, state[key]);
+    });
+    return params;
+};
+
+// ============================================
+// FILTROS E PÁGINAS
+// ============================================
+
+/**
+ * filterRecipes - Receitas que passam a pesquisa e os filtros de categoria e estado
+ */
+export const filterRecipes = (recipes, { q, categoria, estado }) => {
+    const term = foldText(q.trim());
+    return recipes.filter(recipe => (
+        (!categoria || recipe.categoria_id === categoria)
+        && (!estado || recipeStatus(recipe) === estado)
+        && (!term || foldText(recipe.titulo).includes(term))
+    ));
+};
+
+/**
+ * pageNumbers - Números a mostrar na paginação: a primeira, a última e as
+ * vizinhas da atual; null marca um salto ("…")
+ *
+ * @returns {Array} Ex: (7, 20) -> [1, null, 5, 6, 7, 8, 9, null, 20]
+ */
+export const pageNumbers = (current, total, around = 2) => {
+    const pages = [];
+    for (let page = 1; page <= total; page++) {
+        const near = Math.abs(page - current) <= around;
+        if (page === 1 || page === total || near) pages.push(page);
+        else if (pages[pages.length - 1] !== null) pages.push(null);
+    }
+    return pages;
+};
+
+/**
+ * visibleRange - Linhas a desenhar numa lista com scroll e linhas de altura fixa
+ *
+ * @param {Object} options
+ * @param {number} options.scrollTop - Scroll atual do contentor (px)
+ * @param {number} options.viewportHeight - Altura visível do contentor (px)
+ * @param {number} options.rowHeight - Altura de cada linha (px)
+ * @param {number} options.count - Número total de linhas
+ * @param {number} [options.overscan] - Linhas extra acima e abaixo (scroll sem "buracos")
+ * @returns {Object} { start, end } - índices [start, end)
+ */
+export const visibleRange = ({ scrollTop, viewportHeight, rowHeight, count, overscan = 5 }) => {
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+    return { start, end: Math.max(start, end) };
+};
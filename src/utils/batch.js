@@ -0,0 +1,151 @@
+/**
+ * Execução de muitas escritas seguidas sem exceder os limites do backend
+ *
+ * O Sheety (e a API da Google Sheet por trás) recusa pedidos quando chegam
+ * demasiados de uma vez, por isso as tarefas correm em grupos pequenos
+ * com uma pausa entre grupos. Uma tarefa que falha não pára as restantes:
+ * o erro fica no resultado dessa tarefa.
+ * Vários trabalhos lançados seguidos esperam pela sua vez (createJobQueue).
+ */
+
+// Tarefas em simultâneo e pausa (ms) entre grupos, por omissão
+const DEFAULT_BATCH_SIZE = 3;
+const DEFAULT_PAUSE_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * runInBatches - Corre uma tarefa para cada item, em grupos
+ *
+ * @param {Array} items - Itens a processar
+ * @param {Function} task - async (item, index) => resultado
+ * @param {Object} [options]
+ * @param {number} [options.size] - Tarefas em simultâneo
+ * @param {number} [options.pauseMs] - Pausa entre grupos
+ * @param {Function} [options.onProgress] - (feitas, total, resultado) a cada tarefa terminada
+ * @returns {Promise<Array>} [{ item, result, error }] pela ordem dos itens
+ */
+export const runInBatches = async (items, task, {
+    size = DEFAULT_BATCH_SIZE,
+    pauseMs = DEFAULT_PAUSE_MS,
+    onProgress,
+} = {}) => {
+    const results = [];
+    let done = 0;
+
+    for (let start = 0; start < items.length; start += size) {
+        if (start > 0) await wait(pauseMs);
+
+        const group = items.slice(start, start + size);
+        const groupResults = await Promise.all(group.map(async (item, offset) => {
+            let outcome;
+            try {
+                outcome = { item, result: await task(item, start + offset), error: null };
+            } catch (error) {
+                outcome = { item, result: null, error };
+            }
+            done += 1;
+            onProgress?.(done, items.length, outcome);
+            return outcome;
+        }));
+        results.push(...groupResults);
+    }
+
+    return results;
+};
+
+/**
+ * errorMessage - Texto curto para mostrar o erro de uma tarefa
+ */
+export const errorMessage = (error) => {
+    const status = error?.response?.status ?? error?.status;
+    if (status === 403) return 'Sem permissão';
+    if (status === 429) return 'Demasiados pedidos (limite do servidor)';
+    if (status) return `Erro ${status}`;
+    return error?.message || 'Erro desconhecido';
+};
+
+// ============================================
+// FILA DE TRABALHOS
+// ============================================
+
+/**
+ * createJobQueue - Fila de trabalhos em bloco, corridos um de cada vez
+ *
+ * Cada trabalho é uma lista de itens com a mesma tarefa (ex: eliminar 20 receitas);
+ * corre com runInBatches, por isso nunca há mais do que um grupo de pedidos
+ * em curso, mesmo que se lancem vários trabalhos seguidos.
+ *
+ * Estado de cada trabalho:
+ * { id, label, status: 'espera' | 'a correr' | 'concluido', total, done, failures: [{ label, message }] }
+ *
+ * @param {Object} [options] - Passadas a runInBatches (size, pauseMs)
+ */
+export const createJobQueue = (options = {}) => {
+    let jobs = [];
+    let nextId = 1;
+    let running = Promise.resolve();
+    const listeners = new Set();
+
+    const notify = () => listeners.forEach(listener => listener(jobs));
+
+    const patch = (id, changes) => {
+        jobs = jobs.map(job => (job.id === id ? { ...job, ...changes } : job));
+        notify();
+    };
+
+    const run = async (id, { items, task, itemLabel, onDone, size = options.size }) => {
+        patch(id, { status: 'a correr' });
+        const failures = [];
+
+        const outcomes = await runInBatches(items, task, {
+            ...options,
+            size,
+            onProgress: (done, total, { item, error }) => {
+                if (error) failures.push({ label: itemLabel(item), message: errorMessage(error) });
+                patch(id, { done, failures: [...failures] });
+            },
+        });
+
+        patch(id, { status: 'concluido' });
+        onDone?.(outcomes);
+    };
+
+    return {
+        /**
+         * add - Põe um trabalho na fila
+         *
+         * @param {Object} job
+         * @param {string} job.label - Descrição (ex: "Eliminar 3 receitas")
+         * @param {Array} job.items - Itens a processar
+         * @param {Function} job.task - async (item) => resultado
+         * @param {Function} job.itemLabel - Nome de um item, para os erros
+         * @param {Function} [job.onDone] - Recebe os resultados de runInBatches
+         * @param {number} [job.size] - Tarefas em simultâneo neste trabalho (1 = uma de cada vez)
+         * @returns {number} Id do trabalho
+         */
+        add: ({ label, ...job }) => {
+            const id = nextId++;
+            jobs = [...jobs, { id, label, status: 'espera', total: job.items.length, done: 0, failures: [] }];
+            notify();
+            running = running
+                .then(() => run(id, job))
+                .catch(error => console.error('Erro no trabalho em bloco:', error));
+            return id;
+        },
+
+        // Tira da lista um trabalho já concluído
+        dismiss: (id) => {
+            jobs = jobs.filter(job => job.id !== id || job.status !== 'concluido');
+            notify();
+        },
+
+        jobs: () => jobs,
+
+        // listener(jobs) a cada mudança; devolve a função que cancela a subscrição
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+};
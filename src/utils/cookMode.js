@@ -0,0 +1,199 @@
+/**
+ * Modo Cozinhar - Estado
+ *
+ * Reducer (para useReducer) com o passo atual, os temporizadores e o
+ * controlo por voz. É uma função pura: o tempo atual chega nas ações
+ * ("now", em ms) e os comandos de voz chegam como texto já reconhecido,
+ * por isso pode ser testado sem browser, relógio nem microfone.
+ *
+ * Temporizador: { id, label, step, duration, remaining, endsAt, status }
+ * - status: 'running' | 'paused' | 'ringing' (chegou a zero e o alarme toca)
+ * - duration / remaining em ms; endsAt só existe enquanto está a correr
+ *
+ * Voz:
+ * - readAloud: ler os passos em voz alta
+ * - listening: ouvir comandos ("próximo", "anterior", "repetir",
+ *   "iniciar temporizador", "parar alarme")
+ * - announcement: contador que sobe sempre que o passo atual deve ser lido
+ * - heard: último comando ouvido { transcript, command } (command null = não percebido)
+ */
+import { foldText } from './search';
+import { findDurations } from './duration';
+
+// Comandos de voz (texto sem acentos), pela ordem em que são testados:
+// "parar o temporizador" é 'stop' e não 'timer'
+const VOICE_COMMANDS = [
+    { command: 'stop', pattern: /\b(parar|desligar|silencio)\b/ },
+    { command: 'timer', pattern: /\b(temporizador|cronometro)\b/ },
+    { command: 'previous', pattern: /\b(anterior|voltar|volta|recuar|para tras)\b/ },
+    { command: 'next', pattern: /\b(proximo|proxima|seguinte|avancar|avanca)\b/ },
+    { command: 'repeat', pattern: /\b(repetir|repete|outra vez|de novo)\b/ },
+];
+
+/**
+ * parseVoiceCommand - Reconhece o comando numa frase ouvida
+ * Ex: "Próximo passo" -> 'next', "iniciar temporizador" -> 'timer'
+ *
+ * @param {string} transcript
+ * @returns {string|null} 'next' | 'previous' | 'repeat' | 'timer' | 'stop' ou null
+ */
+export const parseVoiceCommand = (transcript) => {
+    const text = foldText(transcript);
+    const match = VOICE_COMMANDS.find(({ pattern }) => pattern.test(text));
+    return match ? match.command : null;
+};
+
+/**
+ * createCookModeState - Estado inicial
+ *
+ * @param {Array<string>} steps - Passos da receita
+ */
+export const createCookModeState = (steps) => ({
+    steps,
+    step: 0,
+    totalSteps: steps.length,
+    timers: [],
+    nextTimerId: 1,
+    readAloud: false,
+    listening: false,
+    announcement: 0,
+    heard: null,
+});
+
+// Mantém o passo dentro dos passos que existem
+const clampStep = (state, step) => Math.min(Math.max(step, 0), Math.max(state.totalSteps - 1, 0));
+
+// Muda de passo; o novo passo é lido (se a leitura estiver ligada)
+const goToStep = (state, step) => {
+    const next = clampStep(state, step);
+    if (next === state.step) return state;
+    return { ...state, step: next, announcement: state.announcement + 1 };
+};
+
+// Inicia um temporizador no passo atual
+const startTimer = (state, { text, seconds }, now) => {
+    const duration = seconds * 1000;
+    const timer = {
+        id: state.nextTimerId,
+        label: `Passo ${state.step + 1}: ${text}`,
+        step: state.step,
+        duration,
+        remaining: duration,
+        endsAt: now + duration,
+        status: 'running',
+    };
+    return { ...state, timers: [...state.timers, timer], nextTimerId: state.nextTimerId + 1 };
+};
+
+// Aplica uma alteração a um temporizador
+const updateTimer = (state, id, fn) => ({
+    ...state,
+    timers: state.timers.map(timer => (timer.id === id ? fn(timer) : timer)),
+});
+
+/**
+ * cookModeReducer
+ *
+ * Ações:
+ * - { type: 'NEXT' } / { type: 'PREVIOUS' } / { type: 'GO_TO', step }
+ * - { type: 'REPEAT' } (volta a ler o passo atual)
+ * - { type: 'START_TIMER', text, seconds, now } (o passo é o atual)
+ * - { type: 'PAUSE_TIMER', id, now } / { type: 'RESUME_TIMER', id, now }
+ * - { type: 'CANCEL_TIMER', id } (também desliga o alarme)
+ * - { type: 'STOP_ALARMS' } (tira os temporizadores que estão a tocar)
+ * - { type: 'TICK', now } (atualiza o tempo que falta e faz tocar os que acabaram)
+ * - { type: 'SET_READ_ALOUD', enabled } / { type: 'SET_LISTENING', listening }
+ * - { type: 'VOICE_COMMAND', transcript, now } (frase ouvida pelo reconhecimento de voz)
+ */
+export const cookModeReducer = (state, action) => {
+    switch (action.type) {
+        case 'NEXT':
+            return goToStep(state, state.step + 1);
+
+        case 'PREVIOUS':
+            return goToStep(state, state.step - 1);
+
+        case 'GO_TO':
+            return goToStep(state, action.step);
+
+        case 'REPEAT':
+            return { ...state, announcement: state.announcement + 1 };
+
+        case 'START_TIMER':
+            return startTimer(state, action, action.now);
+
+        case 'PAUSE_TIMER':
+            return updateTimer(state, action.id, timer => (timer.status !== 'running' ? timer : {
+                ...timer,
+                remaining: Math.max(0, timer.endsAt - action.now),
+                endsAt: null,
+                status: 'paused',
+            }));
+
+        case 'RESUME_TIMER':
+            return updateTimer(state, action.id, timer => (timer.status !== 'paused' ? timer : {
+                ...timer,
+                endsAt: action.now + timer.remaining,
+                status: 'running',
+            }));
+
+        case 'CANCEL_TIMER':
+            return { ...state, timers: state.timers.filter(timer => timer.id !== action.id) };
+
+        case 'STOP_ALARMS':
+            return { ...state, timers: state.timers.filter(timer => timer.status !== 'ringing') };
+
+        case 'TICK':
+            if (!state.timers.some(timer => timer.status === 'running')) return state;
+            return {
+                ...state,
+                timers: state.timers.map(timer => {
+                    if (timer.status !== 'running') return timer;
+                    const remaining = timer.endsAt - action.now;
+                    return remaining <= 0
+                        ? { ...timer, remaining: 0, endsAt: null, status: 'ringing' }
+                        : { ...timer, remaining };
+                }),
+            };
+
+        case 'SET_READ_ALOUD':
+            // Ao ligar, lê logo o passo atual
+            return {
+                ...state,
+                readAloud: action.enabled,
+                announcement: action.enabled ? state.announcement + 1 : state.announcement,
+            };
+
+        case 'SET_LISTENING':
+            return { ...state, listening: action.listening };
+
+        case 'VOICE_COMMAND': {
+            const command = parseVoiceCommand(action.transcript);
+            const heard = { ...state, heard: { transcript: action.transcript, command } };
+
+            switch (command) {
+                case 'next':
+                    return cookModeReducer(heard, { type: 'NEXT' });
+                case 'previous':
+                    return cookModeReducer(heard, { type: 'PREVIOUS' });
+                case 'repeat':
+                    return cookModeReducer(heard, { type: 'REPEAT' });
+                case 'stop':
+                    return cookModeReducer(heard, { type: 'STOP_ALARMS' });
+                case 'timer': {
+                    // "temporizador de 5 minutos" usa o tempo dito; senão, o primeiro do passo
+                    const [duration] = [
+                        ...findDurations(action.transcript),
+                        ...findDurations(state.steps[state.step]),
+                    ];
+                    return duration ? startTimer(heard, duration, action.now) : heard;
+                }
+                default:
+                    return heard;
+            }
+        }
+
+        default:
+            return state;
+    }
+};
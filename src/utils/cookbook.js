@@ -0,0 +1,354 @@
+/**
+ * Livro de Receitas em PDF
+ *
+ * Gera no browser, com o jsPDF, um livro com uma seleção de receitas:
+ * - Capa com o título do livro e o número de receitas
+ * - Índice com a página de cada capítulo e receita (com ligações)
+ * - Um capítulo por categoria, aberto por uma página com o nome
+ * - Cada receita começa numa página nova: fotografia (opcional),
+ *   ingredientes e modo de preparação
+ * - Número da página no rodapé de todas as páginas menos a capa
+ *
+ * O jsPDF só é descarregado quando se gera o primeiro livro.
+ */
+
+import { groupIngredients, formatIngredient } from './ingredients';
+import { formatDuration } from './duration';
+import { foldText } from './search';
+
+// Página A4, em milímetros
+const PAGE = { width: 210, height: 297, margin: 20 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+
+// Fim da área de texto (o rodapé fica por baixo)
+const CONTENT_BOTTOM = PAGE.height - PAGE.margin - 8;
+
+// Cores da aplicação (RGB)
+const SAGE = [143, 188, 143];
+const SAGE_DARK = [107, 142, 107];
+const TEXT = [51, 51, 51];
+const MUTED = [108, 117, 125];
+const WHITE = [255, 255, 255];
+
+// Altura máxima da fotografia de uma receita (mm) e largura máxima da imagem guardada (px)
+const IMAGE_MAX_HEIGHT = 90;
+const IMAGE_MAX_PIXELS = 1200;
+
+// Índice: altura de cada linha (mm) e linhas por página
+const TOC_LINE_HEIGHT = 7;
+const TOC_TOP = PAGE.margin + 20;
+const TOC_LINES_PER_PAGE = Math.floor((CONTENT_BOTTOM - TOC_TOP) / TOC_LINE_HEIGHT);
+
+// Altura de uma linha de texto (mm) para um tamanho de letra (pt)
+const lineHeight = (fontSize) => fontSize * 0.3528 * 1.4;
+
+// ============================================
+// SELEÇÃO
+// ============================================
+
+/**
+ * groupByCategory - Divide as receitas em capítulos, um por categoria,
+ * pela ordem em que as categorias aparecem (e as receitas pela ordem recebida)
+ *
+ * @returns {Array} [{ nome, recipes }]
+ */
+export const groupByCategory = (recipes) =>
+    recipes.reduce((chapters, recipe) => {
+        const nome = recipe.categoria || 'Outras receitas';
+        let chapter = chapters.find(c => c.nome === nome);
+        if (!chapter) {
+            chapter = { nome, recipes: [] };
+            chapters.push(chapter);
+        }
+        chapter.recipes.push(recipe);
+        return chapters;
+    }, []);
+
+/**
+ * cookbookFileName - Nome do ficheiro a partir do título ("Natal 2026" -> "natal-2026.pdf")
+ */
+export const cookbookFileName = (title) =>
+    `${foldText(title).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'livro-de-receitas'}.pdf`;
+
+// ============================================
+// IMAGENS
+// ============================================
+
+/**
+ * loadImage - Fotografia de uma receita como JPEG reduzido
+ * Usa fetch e não <img crossOrigin>: a cache de imagens do service worker
+ * guarda respostas "opaque", que não se podem desenhar num canvas.
+ *
+ * @returns {Promise<Object|null>} { data, width, height }, ou null se não for
+ *                                 possível (ex: servidor da imagem sem CORS)
+ */
+const loadImage = async (url) => {
+    if (!url) return null;
+
+    try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (!response.ok) return null;
+
+        const bitmap = await createImageBitmap(await response.blob());
+        const scale = Math.min(1, IMAGE_MAX_PIXELS / bitmap.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return { data: canvas.toDataURL('image/jpeg', 0.8), width: canvas.width, height: canvas.height };
+    } catch {
+        return null;
+    }
+};
+
+// ============================================
+// ESCRITA DE TEXTO
+// ============================================
+
+const setFont = (doc, size, style = 'normal', color = TEXT) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+};
+
+/**
+ * ensureSpace - Passa para uma página nova se "height" já não couber
+ */
+const ensureSpace = (doc, cursor, height) => {
+    if (cursor.y + height > CONTENT_BOTTOM) {
+        doc.addPage();
+        cursor.y = PAGE.margin;
+    }
+};
+
+/**
+ * writeText - Escreve um parágrafo com quebra de linha, continuando na
+ * página seguinte quando não cabe
+ *
+ * @param {Object} cursor - { y } posição atual na página (mm), atualizada
+ */
+const writeText = (doc, cursor, text, { size = 11, style = 'normal', color = TEXT, indent = 0, gap = 0 } = {}) => {
+    setFont(doc, size, style, color);
+    const height = lineHeight(size);
+
+    doc.splitTextToSize(text, CONTENT_WIDTH - indent).forEach(line => {
+        ensureSpace(doc, cursor, height);
+        doc.text(line, PAGE.margin + indent, cursor.y, { baseline: 'top' });
+        cursor.y += height;
+    });
+    cursor.y += gap;
+};
+
+/**
+ * writeHeading - Título de secção sublinhado (sem ficar sozinho no fim da página)
+ */
+const writeHeading = (doc, cursor, text) => {
+    ensureSpace(doc, cursor, lineHeight(14) + lineHeight(11) * 2);
+    writeText(doc, cursor, text, { size: 14, style: 'bold', color: SAGE_DARK, gap: 1 });
+    doc.setDrawColor(...SAGE);
+    doc.setLineWidth(0.5);
+    doc.line(PAGE.margin, cursor.y, PAGE.margin + CONTENT_WIDTH, cursor.y);
+    cursor.y += 4;
+};
+
+// ============================================
+// PÁGINAS
+// ============================================
+
+/**
+ * writeCover - Capa (primeira página, já criada pelo jsPDF)
+ */
+const writeCover = (doc, title, count) => {
+    doc.setFillColor(...SAGE);
+    doc.rect(0, 90, PAGE.width, 100, 'F');
+
+    setFont(doc, 32, 'bold', WHITE);
+    const lines = doc.splitTextToSize(title, CONTENT_WIDTH);
+    doc.text(lines, PAGE.width / 2, 140 - (lines.length - 1) * lineHeight(32) / 2, { align: 'center', baseline: 'middle' });
+
+    setFont(doc, 14, 'normal', WHITE);
+    doc.text(count === 1 ? '1 receita' : `${count} receitas`, PAGE.width / 2, 175, { align: 'center' });
+
+    setFont(doc, 12, 'bold', SAGE_DARK);
+    doc.text('Receitas da Avó', PAGE.width / 2, PAGE.height - 40, { align: 'center' });
+    setFont(doc, 10, 'normal', MUTED);
+    doc.text(
+        new Date().toLocaleDateString('pt-PT', { month: 'long', year: 'numeric' }),
+        PAGE.width / 2,
+        PAGE.height - 33,
+        { align: 'center' }
+    );
+};
+
+/**
+ * writeChapter - Página de abertura de um capítulo (categoria)
+ */
+const writeChapter = (doc, chapter) => {
+    doc.addPage();
+
+    doc.setFillColor(...SAGE);
+    doc.rect(PAGE.margin, 130, 30, 2, 'F');
+
+    setFont(doc, 28, 'bold', TEXT);
+    doc.text(doc.splitTextToSize(chapter.nome, CONTENT_WIDTH), PAGE.margin, 120);
+
+    setFont(doc, 12, 'normal', MUTED);
+    doc.text(chapter.recipes.length === 1 ? '1 receita' : `${chapter.recipes.length} receitas`, PAGE.margin, 142);
+};
+
+/**
+ * writeRecipe - Uma receita, a começar numa página nova
+ */
+const writeRecipe = (doc, recipe, image) => {
+    doc.addPage();
+    const cursor = { y: PAGE.margin };
+
+    if (image) {
+        // Mantém a proporção da fotografia, com a altura limitada
+        let width = CONTENT_WIDTH;
+        let height = width * image.height / image.width;
+        if (height > IMAGE_MAX_HEIGHT) {
+            height = IMAGE_MAX_HEIGHT;
+            width = height * image.width / image.height;
+        }
+        doc.addImage(image.data, 'JPEG', PAGE.margin + (CONTENT_WIDTH - width) / 2, cursor.y, width, height);
+        cursor.y += height + 8;
+    }
+
+    writeText(doc, cursor, recipe.titulo, { size: 22, style: 'bold', gap: 2 });
+
+    const meta = [
+        recipe.categoria,
+        recipe.minutos !== null ? formatDuration(recipe.minutos) : recipe.tempo_preparo,
+        recipe.porcoes === 1 ? '1 porção' : `${recipe.porcoes} porções`,
+    ].filter(Boolean).join('  ·  ');
+    writeText(doc, cursor, meta, { size: 10, color: MUTED, gap: 8 });
+
+    if (recipe.ingredientes.length > 0) {
+        writeHeading(doc, cursor, 'Ingredientes');
+        groupIngredients(recipe.ingredientes).forEach(group => {
+            if (group.grupo) writeText(doc, cursor, group.grupo, { style: 'bold', color: SAGE_DARK, gap: 1 });
+            group.itens.forEach(ingredient =>
+                writeText(doc, cursor, `•  ${formatIngredient(ingredient)}`, { indent: 2, gap: 0.5 })
+            );
+            cursor.y += 2;
+        });
+        cursor.y += 4;
+    }
+
+    const steps = recipe.instrucoes.split('\n').map(step => step.trim()).filter(Boolean);
+    if (steps.length > 0) {
+        writeHeading(doc, cursor, 'Modo de preparação');
+        steps.forEach((step, index) => {
+            // O número fica na mesma página que a primeira linha do passo
+            ensureSpace(doc, cursor, lineHeight(11));
+            setFont(doc, 11, 'bold', SAGE_DARK);
+            doc.text(`${index + 1}.`, PAGE.margin, cursor.y, { baseline: 'top' });
+            writeText(doc, cursor, step, { indent: 8, gap: 3 });
+        });
+    }
+};
+
+/**
+ * writeToc - Preenche as páginas reservadas para o índice
+ *
+ * @param {Array} entries - [{ text, page, chapter }]
+ * @param {number} firstPage - Primeira página reservada
+ */
+const writeToc = (doc, entries, firstPage) => {
+    entries.forEach((entry, index) => {
+        const tocPage = firstPage + Math.floor(index / TOC_LINES_PER_PAGE);
+        const line = index % TOC_LINES_PER_PAGE;
+        doc.setPage(tocPage);
+
+        if (line === 0) {
+            setFont(doc, 22, 'bold', TEXT);
+            doc.text('Índice', PAGE.margin, PAGE.margin, { baseline: 'top' });
+        }
+
+        const y = TOC_TOP + line * TOC_LINE_HEIGHT;
+        const indent = entry.chapter ? 0 : 5;
+        const pageText = String(entry.page);
+
+        setFont(doc, 11, entry.chapter ? 'bold' : 'normal', entry.chapter ? SAGE_DARK : TEXT);
+        const pageWidth = doc.getTextWidth(pageText);
+
+        // Títulos compridos são cortados para caber numa linha
+        const maxWidth = CONTENT_WIDTH - indent - pageWidth - 10;
+        let text = entry.text;
+        if (doc.getTextWidth(text) > maxWidth) {
+            text = `${doc.splitTextToSize(text, maxWidth - doc.getTextWidth('…'))[0].trimEnd()}…`;
+        }
+
+        doc.text(text, PAGE.margin + indent, y);
+        doc.text(pageText, PAGE.margin + CONTENT_WIDTH, y, { align: 'right' });
+
+        // Pontilhado entre o título e o número da página
+        doc.setDrawColor(...MUTED);
+        doc.setLineWidth(0.2);
+        doc.setLineDashPattern([0.3, 1.5], 0);
+        doc.line(PAGE.margin + indent + doc.getTextWidth(text) + 2, y, PAGE.margin + CONTENT_WIDTH - pageWidth - 2, y);
+        doc.setLineDashPattern([], 0);
+
+        doc.link(PAGE.margin, y - TOC_LINE_HEIGHT + 2, CONTENT_WIDTH, TOC_LINE_HEIGHT, { pageNumber: entry.page });
+    });
+};
+
+/**
+ * writeFooters - Título do livro e número da página em todas as páginas menos a capa
+ */
+const writeFooters = (doc, title) => {
+    for (let page = 2; page <= doc.getNumberOfPages(); page++) {
+        doc.setPage(page);
+        setFont(doc, 9, 'normal', MUTED);
+        doc.text(doc.splitTextToSize(title, CONTENT_WIDTH - 20)[0], PAGE.margin, PAGE.height - PAGE.margin + 5);
+        doc.text(String(page), PAGE.margin + CONTENT_WIDTH, PAGE.height - PAGE.margin + 5, { align: 'right' });
+    }
+};
+
+// ============================================
+// LIVRO
+// ============================================
+
+/**
+ * createCookbook - Gera o livro de receitas
+ *
+ * @param {Array} recipes - Receitas normalizadas, pela ordem do livro
+ *                          (os capítulos seguem a ordem das categorias nesta lista)
+ * @param {Object} [options]
+ * @param {string} [options.title] - Título da capa e do rodapé
+ * @param {boolean} [options.images] - Incluir as fotografias das receitas
+ * @param {Function} [options.onProgress] - (receitas feitas, total)
+ * @returns {Promise<Object>} Documento jsPDF (usar .save(nome) para descarregar)
+ */
+export const createCookbook = async (recipes, { title = 'Livro de Receitas', images = true, onProgress = () => {} } = {}) => {
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const chapters = groupByCategory(recipes);
+
+    writeCover(doc, title, recipes.length);
+
+    // O índice escreve-se no fim, quando já se sabem as páginas;
+    // até lá ficam reservadas as páginas de que precisa
+    const tocPages = Math.ceil((chapters.length + recipes.length) / TOC_LINES_PER_PAGE);
+    for (let page = 0; page < tocPages; page++) doc.addPage();
+
+    const entries = [];
+    let done = 0;
+
+    for (const chapter of chapters) {
+        writeChapter(doc, chapter);
+        entries.push({ text: chapter.nome, page: doc.getNumberOfPages(), chapter: true });
+
+        for (const recipe of chapter.recipes) {
+            const image = images ? await loadImage(recipe.imagem_url) : null;
+            entries.push({ text: recipe.titulo, page: doc.getNumberOfPages() + 1, chapter: false });
+            writeRecipe(doc, recipe, image);
+            onProgress(++done, recipes.length);
+        }
+    }
+
+    writeToc(doc, entries, 2);
+    writeFooters(doc, title);
+    return doc;
+};
@@ -0,0 +1,144 @@
+/**
+ * Durações
+ *
+ * Os tempos na Google Sheet são texto livre ("45 min", "1h30",
+ * "1 hora e 15 minutos", "hora e meia"). parseDuration() converte-os em minutos
+ * para se poder ordenar e filtrar; formatDuration() faz o inverso.
+ * findDurations() encontra os tempos dentro de um passo da receita
+ * ("deixe cozer 20 minutos"), para o Modo Cozinhar oferecer temporizadores.
+ */
+
+// Unidades de tempo aceites, em minutos
+const TIME_UNITS = [
+    { pattern: /^(h|hr|hrs|hora|horas)\.?$/i, minutes: 60 },
+    { pattern: /^(m|min|mins|minuto|minutos)\.?$/i, minutes: 1 },
+    { pattern: /^(d|dia|dias)$/i, minutes: 24 * 60 },
+];
+
+/**
+ * Tempos escritos por extenso, passados a número + unidade antes de ler os pares
+ * ("meia hora" -> "30 min", "1 hora e meia" -> "1 hora 30 min", "uma hora" -> "1 hora")
+ */
+const WORD_DURATIONS = [
+    [/\b(?:um|uma)\s+quarto\s+de\s+hora\b/g, '15 min'],
+    [/\btrês\s+quartos\s+de\s+hora\b/g, '45 min'],
+    [/\bmeia\s+hora\b/g, '30 min'],
+    [/(?<![a-z])(h|hr|hrs|hora|horas)\.?\s+e\s+meia\b/g, '$1 30 min'],
+    [/(?<![a-z])(h|hr|hrs|hora|horas)\.?\s+e\s+um\s+quarto\b/g, '$1 15 min'],
+    [/\b(?:um|uma)\s+(?=(?:hora|dia)\b)/g, '1 '],
+    [/^(?=hora\b)/, '1 '],
+];
+
+/**
+ * parseDuration - Converte um tempo escrito em minutos
+ *
+ * @param {string|number} value - Ex: "45 min", "1h30", "1h 30min", "2 horas", "1,5 h", "90",
+ *   "meia hora", "1 hora e meia", "uma hora", "um quarto de hora"
+ * @returns {number|null} Minutos, ou null se não for possível perceber o texto
+ */
+export const parseDuration = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (!value) return null;
+
+    const text = WORD_DURATIONS.reduce(
+        (result, [pattern, replacement]) => result.replace(pattern, replacement),
+        String(value).trim().toLowerCase()
+    );
+
+    // Só um número: minutos
+    if (/^\d+$/.test(text)) return parseInt(text);
+
+    // "1h30" (minutos sem unidade depois das horas)
+    const compact = text.match(/^(\d+)\s*h\s*(\d{1,2})$/);
+    if (compact) return parseInt(compact[1]) * 60 + parseInt(compact[2]);
+
+    // Pares número + unidade: "1 hora e 15 minutos", "1h 30min", "1,5 h"
+    const parts = [...text.matchAll(/(\d+(?:[.,]\d+)?)\s*([a-zç]+\.?)/g)];
+    if (parts.length === 0) return null;
+
+    let total = 0;
+    for (const [, amount, unit] of parts) {
+        const timeUnit = TIME_UNITS.find(u => u.pattern.test(unit));
+        if (!timeUnit) return null;
+        total += parseFloat(amount.replace(',', '.')) * timeUnit.minutes;
+    }
+    return Math.round(total);
+};
+
+/**
+ * formatDuration - Escreve minutos de forma curta
+ *
+ * @param {number|null} minutes
+ * @returns {string} Ex: 45 -> "45 min", 90 -> "1h30", 120 -> "2h"
+ */
+export const formatDuration = (minutes) => {
+    if (minutes === null || minutes === undefined) return '';
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest ? `${hours}h${String(rest).padStart(2, '0')}` : `${hours}h`;
+};
+
+/**
+ * sumDurations - Soma vários tempos (em minutos), ignorando os vazios
+ *
+ * @returns {number|null} null se nenhum tiver valor
+ */
+export const sumDurations = (...durations) => {
+    const known = durations.filter(d => d !== null && d !== undefined);
+    return known.length ? known.reduce((acc, d) => acc + d, 0) : null;
+};
+
+// ============================================
+// TEMPOS DENTRO DO TEXTO
+// ============================================
+
+// Segundos de cada unidade de tempo escrita num passo
+const unitSeconds = (unit) => {
+    const u = unit.toLowerCase();
+    if (u.startsWith('h')) return 3600;
+    if (u.startsWith('seg')) return 1;
+    return 60;
+};
+
+/**
+ * "1h30", "20 minutos", "5 a 10 min", "2 horas", "30 segundos", "meia hora"
+ * (a unidade não pode continuar numa palavra, para "min" não apanhar "minha")
+ */
+const DURATION_IN_TEXT = /(\d+)\s*h\s*(\d{1,2})(?!\d)|(\d+(?:[.,]\d+)?)(?:\s*(?:a|-|–|ou)\s*(\d+(?:[.,]\d+)?))?\s*(horas?|hrs?|h|minutos?|mins?|segundos?|seg)(?![a-zà-ÿ])|\b(uma|meia)\s+hora\b/gi;
+
+/**
+ * findDurations - Encontra os tempos escritos num texto (ex: num passo da receita)
+ *
+ * Num intervalo ("5 a 10 minutos") conta o valor mais baixo: é quando
+ * se deve ir ver como está.
+ *
+ * @param {string} text - Ex: "Deixe cozer 20 minutos e repouse meia hora"
+ * @returns {Array} [{ text: '20 minutos', seconds: 1200 }, { text: 'meia hora', seconds: 1800 }]
+ */
+export const findDurations = (text) =>
+    [...String(text || '').matchAll(DURATION_IN_TEXT)]
+        .map(([match, compactHours, compactMinutes, amount, , unit, word]) => {
+            let seconds;
+            if (compactHours) seconds = parseInt(compactHours) * 3600 + parseInt(compactMinutes) * 60;
+            else if (word) seconds = word.toLowerCase() === 'meia' ? 1800 : 3600;
+            else seconds = Math.round(parseFloat(amount.replace(',', '.')) * unitSeconds(unit));
+            return { text: match.trim(), seconds };
+        })
+        .filter(duration => duration.seconds > 0);
+
+/**
+ * formatCountdown - Tempo que falta num temporizador
+ *
+ * @param {number} seconds
+ * @returns {string} Ex: 75 -> "01:15", 3725 -> "1:02:05"
+ */
+export const formatCountdown = (seconds) => {
+    const total = Math.max(0, Math.ceil(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = total % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(rest).padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+};
@@ -0,0 +1,88 @@
+/**
+ * Filtros da Home no URL
+ *
+ * Todo o estado de filtragem, ordenação e paginação da lista de receitas
+ * vive na query string, para que uma vista filtrada possa ser partilhada
+ * e o botão "voltar" do browser a reponha.
+ *
+ * Ex: /?q=arroz&categoria=Doces&categoria=Carne&tempo=60&ordem=likes_desc&pagina=2
+ *
+ * Os valores iguais ao valor por omissão não são escritos no URL.
+ */
+
+export const DEFAULT_FILTERS = {
+    q: '',            // Texto pesquisado
+    modo: 'pesquisa', // 'pesquisa' ou 'despensa'
+    tem: [],          // Ingredientes em casa (modo despensa)
+    categorias: [],   // Nomes das categorias escolhidas
+    tempo: 0,         // Pronto em até N minutos (0 = qualquer)
+    likes: 0,         // Pelo menos N likes (0 = qualquer)
+    ordem: '',        // Chave de ordenação ('' = relevância)
+    pagina: 1,
+};
+
+// Nome de cada filtro na query string (os arrays repetem o parâmetro)
+const PARAM_NAMES = {
+    q: 'q',
+    modo: 'modo',
+    tem: 'tem',
+    categorias: 'categoria',
+    tempo: 'tempo',
+    likes: 'likes',
+    ordem: 'ordem',
+    pagina: 'pagina',
+};
+
+// Inteiro positivo, ou o valor por omissão se o URL trouxer lixo
+const readInt = (value, fallback) => {
+    const number = parseInt(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * readFilters - Lê os filtros de uma query string
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object} Filtros completos (ver DEFAULT_FILTERS)
+ */
+export const readFilters = (params) => ({
+    q: params.get(PARAM_NAMES.q) || DEFAULT_FILTERS.q,
+    modo: params.get(PARAM_NAMES.modo) === 'despensa' ? 'despensa' : DEFAULT_FILTERS.modo,
+    tem: params.getAll(PARAM_NAMES.tem).filter(Boolean),
+    categorias: params.getAll(PARAM_NAMES.categorias).filter(Boolean),
+    tempo: readInt(params.get(PARAM_NAMES.tempo), DEFAULT_FILTERS.tempo),
+    likes: readInt(params.get(PARAM_NAMES.likes), DEFAULT_FILTERS.likes),
+    ordem: params.get(PARAM_NAMES.ordem) || DEFAULT_FILTERS.ordem,
+    pagina: readInt(params.get(PARAM_NAMES.pagina), DEFAULT_FILTERS.pagina),
+});
+
+/**
+ * writeFilters - Converte filtros numa query string (sem os valores por omissão)
+ *
+ * @param {Object} filters
+ * @returns {URLSearchParams}
+ */
+export const writeFilters = (filters) => {
+    const params = new URLSearchParams();
+
+    Object.entries(PARAM_NAMES).forEach(([key, name]) => {
+        const value = filters[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => params.append(name, item));
+        } else if (value !== undefined && value !== DEFAULT_FILTERS[key]) {
+            params.set(name, value);
+        }
+    });
+
+    return params;
+};
+
+/**
+ * hasActiveFilters - Há algum filtro aplicado? (o modo, a ordem e a página não contam)
+ */
+export const hasActiveFilters = (filters) =>
+    Boolean(filters.q) ||
+    filters.tem.length > 0 ||
+    filters.categorias.length > 0 ||
+    filters.tempo > 0 ||
+    filters.likes > 0;
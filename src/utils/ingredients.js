@@ -0,0 +1,409 @@
+/**
+ * Ingredientes Estruturados
+ *
+ * Na Google Sheet os ingredientes continuam a ser um texto com um
+ * ingrediente por linha. No frontend cada linha passa a ser um objeto:
+ *
+ *   { quantidade: 500, unidade: 'g', nome: 'bacalhau', nota: 'demolhado', grupo: '' }
+ *
+ * - parseIngredients() converte o texto da folha na lista de objetos
+ * - serializeIngredients() faz o caminho inverso, para gravar
+ *
+ * Linhas que não seguem o padrão "quantidade unidade de nome" ficam
+ * inteiras no nome (quantidade null), por isso nada se perde.
+ * Linhas terminadas em ":" (ex: "Para o molho:") abrem um grupo.
+ */
+
+// ============================================
+// UNIDADES
+// ============================================
+
+/**
+ * Unidades reconhecidas. "unidade" é a forma guardada no modelo;
+ * "plural" é usada quando a quantidade é maior que 1;
+ * "aliases" são as formas aceites no texto (além das duas anteriores).
+ */
+export const UNITS = [
+    { unidade: 'g', aliases: ['gr', 'grs', 'grama', 'gramas'] },
+    { unidade: 'kg', aliases: ['kilo', 'kilos', 'quilo', 'quilos'] },
+    { unidade: 'mg', aliases: [] },
+    { unidade: 'l', aliases: ['lt', 'litro', 'litros'] },
+    { unidade: 'dl', aliases: ['decilitro', 'decilitros'] },
+    { unidade: 'cl', aliases: ['centilitro', 'centilitros'] },
+    { unidade: 'ml', aliases: ['mililitro', 'mililitros'] },
+    { unidade: 'colher de sopa', plural: 'colheres de sopa', aliases: ['c. sopa', 'c. de sopa', 'colher sopa', 'colheres sopa', 'c.s.'] },
+    { unidade: 'colher de sobremesa', plural: 'colheres de sobremesa', aliases: ['c. sobremesa', 'c. de sobremesa'] },
+    { unidade: 'colher de chá', plural: 'colheres de chá', aliases: ['c. chá', 'c. de chá', 'colher chá', 'colheres chá', 'c.c.'] },
+    { unidade: 'chávena', plural: 'chávenas', aliases: ['ch.', 'chav.', 'chávena de chá', 'chávenas de chá'] },
+    { unidade: 'copo', plural: 'copos', aliases: [] },
+    { unidade: 'dente', plural: 'dentes', aliases: [] },
+    { unidade: 'lata', plural: 'latas', aliases: [] },
+    { unidade: 'pacote', plural: 'pacotes', aliases: [] },
+    { unidade: 'pitada', plural: 'pitadas', aliases: [] },
+    { unidade: 'fatia', plural: 'fatias', aliases: [] },
+    { unidade: 'folha', plural: 'folhas', aliases: [] },
+    { unidade: 'ramo', plural: 'ramos', aliases: [] },
+    { unidade: 'molho', plural: 'molhos', aliases: [] },
+    // Unidades americanas (receitas de fora e conversão em utils/units)
+    { unidade: 'cup', plural: 'cups', aliases: ['chávena americana', 'chávenas americanas', 'xícara', 'xícaras'] },
+    { unidade: 'tbsp', aliases: ['tablespoon', 'tablespoons'] },
+    { unidade: 'tsp', aliases: ['teaspoon', 'teaspoons'] },
+    { unidade: 'fl oz', aliases: [] },
+    { unidade: 'oz', aliases: ['ounce', 'ounces', 'onça', 'onças'] },
+    { unidade: 'lb', aliases: ['lbs', 'pound', 'pounds'] },
+];
+
+// "quanto baste" - sem quantidade, escrito depois do nome
+const QB = 'q.b.';
+
+// Todas as formas escritas de cada unidade, da mais comprida para a mais curta
+// (para "colheres de sopa" ganhar a "colher" e "lata" ganhar a "l")
+const UNIT_FORMS = UNITS
+    .flatMap(unit => [unit.unidade, unit.plural, ...unit.aliases]
+        .filter(Boolean)
+        .map(form => ({ form: form.toLowerCase(), unidade: unit.unidade })))
+    .sort((a, b) => b.form.length - a.form.length);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escreve a unidade no singular ou plural consoante a quantidade
+ */
+export const formatUnit = (unidade, quantidade) => {
+    const unit = UNITS.find(u => u.unidade === unidade);
+    if (unit && unit.plural && quantidade > 1) return unit.plural;
+    return unidade;
+};
+
+// ============================================
+// QUANTIDADES
+// ============================================
+
+const UNICODE_FRACTIONS = {
+    '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅛': 1 / 8,
+};
+
+const WORD_QUANTITIES = {
+    meio: 0.5,
+    meia: 0.5,
+};
+
+// Quantidade no início da linha: "1 1/2", "1/2", "1,5", "2", "½", "1½", "meia"
+const QUANTITY_PATTERN = new RegExp(
+    '^(' +
+    '\\d+\\s+\\d+/\\d+' +
+    '|\\d+/\\d+' +
+    `|\\d*[${Object.keys(UNICODE_FRACTIONS).join('')}]` +
+    '|\\d+(?:[.,]\\d+)?' +
+    `|(?:${Object.keys(WORD_QUANTITIES).join('|')})(?=\\s)` +
+    ')(?=\\s|[a-zà-ÿ]|$)',
+    'i'
+);
+
+// Intervalos ("2-3 batatas", "2 a 3 batatas") não têm uma quantidade única
+const RANGE_PATTERN = /^(-|–|a\s+)\s*\d/i;
+
+/**
+ * parseQuantity - Converte texto numa quantidade numérica
+ *
+ * @param {string|number} value - Ex: "1 1/2", "0,5", "½", 2
+ * @returns {number|null} null se não for uma quantidade válida
+ */
+export const parseQuantity = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (!value) return null;
+
+    const text = String(value).trim().toLowerCase();
+    if (text in WORD_QUANTITIES) return WORD_QUANTITIES[text];
+
+    const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return parseInt(mixed[1]) + parseInt(mixed[2]) / parseInt(mixed[3]);
+
+    const fraction = text.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return parseInt(fraction[2]) ? parseInt(fraction[1]) / parseInt(fraction[2]) : null;
+
+    const unicode = text.match(/^(\d*)(.)$/);
+    if (unicode && unicode[2] in UNICODE_FRACTIONS) {
+        return (parseInt(unicode[1]) || 0) + UNICODE_FRACTIONS[unicode[2]];
+    }
+
+    if (/^\d+(?:[.,]\d+)?$/.test(text)) return parseFloat(text.replace(',', '.'));
+
+    return null;
+};
+
+// Unidades métricas: escritas em decimal ("62,5 g"); as restantes em frações ("1/2 chávena")
+const METRIC_UNITS = ['g', 'kg', 'mg', 'l', 'dl', 'cl', 'ml'];
+
+// Frações "de cozinha" aceites ao arredondar a parte decimal
+const KITCHEN_FRACTIONS = [
+    [1 / 8, '1/8'], [1 / 6, '1/6'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'],
+    [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [5 / 6, '5/6'], [7 / 8, '7/8'],
+];
+
+// Distância máxima entre a parte decimal e a fração para a usar
+const FRACTION_TOLERANCE = 0.04;
+
+// Escreve um decimal com vírgula (pt-PT), com menos casas decimais quanto maior o número
+const formatDecimal = (number) => {
+    const precision = number >= 100 ? 1 : number >= 10 ? 10 : 100;
+    return String(Math.round(number * precision) / precision).replace('.', ',');
+};
+
+// Escreve um número como inteiro + fração ("1 1/2"), ou em decimal se não houver fração próxima
+const formatFraction = (number) => {
+    const whole = Math.floor(number);
+    const decimal = number - whole;
+
+    if (decimal < FRACTION_TOLERANCE) return String(whole);
+    if (decimal > 1 - FRACTION_TOLERANCE) return String(whole + 1);
+
+    // A fração mais próxima (1/8 e 1/6, por exemplo, estão a menos de 0,05)
+    const fraction = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+        (Math.abs(decimal - candidate[0]) < Math.abs(decimal - best[0]) ? candidate : best));
+    if (Math.abs(decimal - fraction[0]) >= FRACTION_TOLERANCE) return formatDecimal(number);
+
+    return whole ? `${whole} ${fraction[1]}` : fraction[1];
+};
+
+/**
+ * formatQuantity - Escreve uma quantidade de forma natural
+ *
+ * @param {number|string|null} quantidade
+ * @param {string} [unidade] - Com unidades métricas usa decimais
+ * @returns {string} Ex: 0.5 -> "1/2", 1.5 -> "1 1/2", (62.5, 'g') -> "62,5"
+ */
+export const formatQuantity = (quantidade, unidade = '') => {
+    if (quantidade === null || quantidade === undefined || quantidade === '') return '';
+    const number = parseQuantity(quantidade);
+    if (number === null) return String(quantidade);
+    return METRIC_UNITS.includes(unidade) ? formatDecimal(number) : formatFraction(number);
+};
+
+// ============================================
+// PARSER
+// ============================================
+
+/**
+ * Cria um ingrediente vazio (usado pelo editor de linhas)
+ */
+export const emptyIngredient = (grupo = '') => ({
+    quantidade: null,
+    unidade: '',
+    nome: '',
+    nota: '',
+    grupo,
+});
+
+/**
+ * Separa a nota do nome: "cebola (picada)" ou "cebola, picada"
+ */
+const splitNote = (text) => {
+    const parens = text.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+    if (parens) return { nome: parens[1].trim(), nota: parens[2].trim() };
+
+    const comma = text.indexOf(',');
+    if (comma > 0) return { nome: text.slice(0, comma).trim(), nota: text.slice(comma + 1).trim() };
+
+    return { nome: text.trim(), nota: '' };
+};
+
+/**
+ * parseIngredient - Converte uma linha de texto num ingrediente
+ *
+ * @param {string} line - Ex: "2 dentes de alho", "500 g de bacalhau", "Sal q.b."
+ * @param {string} [grupo] - Grupo atual (ex: "Para o molho")
+ */
+export const parseIngredient = (line, grupo = '') => {
+    const text = line.trim();
+    const ingredient = { ...emptyIngredient(grupo) };
+
+    // "Sal q.b." - sem quantidade, unidade no fim
+    const qb = text.match(/^(.*?)\s*q\.?\s?b\.?$/i);
+    if (qb && qb[1]) {
+        return { ...ingredient, ...splitNote(qb[1]), unidade: QB };
+    }
+
+    const quantityMatch = text.match(QUANTITY_PATTERN);
+    if (!quantityMatch) {
+        return { ...ingredient, nome: text };
+    }
+
+    const quantidade = parseQuantity(quantityMatch[1]);
+    let rest = text.slice(quantityMatch[0].length).trim();
+    if (quantidade === null || !rest || RANGE_PATTERN.test(rest)) {
+        return { ...ingredient, nome: text };
+    }
+
+    // Unidade (opcional), seguida ou não de "de"
+    const lower = rest.toLowerCase();
+    const unit = UNIT_FORMS.find(({ form }) =>
+        new RegExp(`^${escapeRegex(form)}(?=\\s|$)`).test(lower)
+    );
+    let unidade = '';
+    if (unit) {
+        unidade = unit.unidade;
+        rest = rest.slice(unit.form.length).trim().replace(/^(de|do|da|dos|das)\s+/i, '');
+        if (!rest) return { ...ingredient, nome: text };
+    }
+
+    return { ...ingredient, quantidade, unidade, ...splitNote(rest) };
+};
+
+/**
+ * parseIngredients - Converte o texto da coluna "ingredientes" numa lista
+ *
+ * @param {string|Array} value - Texto com um ingrediente por linha
+ *                               (uma lista já estruturada é devolvida tal como está)
+ * @returns {Array} Lista de ingredientes
+ */
+export const parseIngredients = (value) => {
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+
+    let grupo = '';
+    const ingredientes = [];
+
+    String(value).split('\n').forEach(line => {
+        const text = line.trim();
+        if (!text) return;
+
+        // "Para o molho:" abre um novo grupo
+        if (text.endsWith(':')) {
+            grupo = text.slice(0, -1).trim();
+            return;
+        }
+
+        ingredientes.push(parseIngredient(text, grupo));
+    });
+
+    return ingredientes;
+};
+
+// ============================================
+// SERIALIZER
+// ============================================
+
+/**
+ * formatIngredient - Escreve um ingrediente como uma linha de texto
+ *
+ * @param {Object} ingredient
+ * @returns {string} Ex: "500 g de bacalhau, demolhado"
+ */
+export const formatIngredient = (ingredient) => {
+    const quantidade = parseQuantity(ingredient.quantidade);
+    const nome = (ingredient.nome || '').trim();
+    const nota = (ingredient.nota || '').trim();
+    const withNote = nota ? `${nome}, ${nota}` : nome;
+
+    if (ingredient.unidade === QB) return `${withNote} ${QB}`;
+    if (quantidade === null) return withNote;
+
+    const parts = [formatQuantity(quantidade, ingredient.unidade)];
+    if (ingredient.unidade) parts.push(formatUnit(ingredient.unidade, quantidade), 'de');
+    parts.push(withNote);
+    return parts.join(' ');
+};
+
+/**
+ * serializeIngredients - Converte a lista de ingredientes no texto da folha
+ *
+ * @param {Array|string} ingredientes - Lista (um texto é devolvido tal como está)
+ * @returns {string} Um ingrediente por linha, com cabeçalhos "Grupo:"
+ */
+export const serializeIngredients = (ingredientes) => {
+    if (!Array.isArray(ingredientes)) return ingredientes;
+
+    let grupo = '';
+    const lines = [];
+
+    ingredientes
+        .filter(ingredient => (ingredient.nome || '').trim())
+        .forEach(ingredient => {
+            const ingredientGroup = (ingredient.grupo || '').trim();
+            if (ingredientGroup !== grupo) {
+                grupo = ingredientGroup;
+                if (grupo) lines.push(`${grupo}:`);
+            }
+            lines.push(formatIngredient(ingredient));
+        });
+
+    return lines.join('\n');
+};
+
+// ============================================
+// PORÇÕES
+// ============================================
+
+// Coisas que se contam ("2 ovos" não tem unidade, "3 dentes de alho"):
+// ao ajustar as porções ficam em unidades ou meias, nunca menos de meia
+const COUNT_UNITS = ['', 'dente', 'lata', 'pacote', 'pitada', 'fatia', 'folha', 'ramo', 'molho'];
+
+const roundCount = (quantidade) => Math.max(0.5, Math.round(quantidade * 2) / 2);
+
+// Plural e singular de uma palavra (regras gerais: limão/limões, ovo/ovos, colher/colheres)
+const pluralWord = (word) => {
+    if (/s$/i.test(word)) return word;
+    if (/ão$/i.test(word)) return word.replace(/ão$/i, 'ões');
+    if (/al$/i.test(word)) return word.replace(/l$/i, 'is');
+    if (/m$/i.test(word)) return word.replace(/m$/i, 'ns');
+    if (/[rz]$/i.test(word)) return `${word}es`;
+    return `${word}s`;
+};
+
+const singularWord = (word) => {
+    if (/(ões|ães)$/i.test(word)) return word.replace(/(ões|ães)$/i, 'ão');
+    if (/ais$/i.test(word)) return word.replace(/is$/i, 'l');
+    if (/ns$/i.test(word)) return word.replace(/ns$/i, 'm');
+    if (/[rz]es$/i.test(word)) return word.replace(/es$/i, '');
+    return word.replace(/s$/i, '');
+};
+
+/**
+ * Põe no singular ou no plural o nome de uma coisa contada ("2 ovos" -> "1 ovo"),
+ * só até à primeira ligação ("ovos de codorniz" -> "ovo de codorniz")
+ */
+const countNoun = (nome, plural) => {
+    const words = nome.split(' ');
+    const end = words.findIndex(word => /^(de|da|do|das|dos|com|para|e|ou)$/i.test(word));
+    const inflect = plural ? pluralWord : singularWord;
+    return words.map((word, i) => (end === -1 || i < end ? inflect(word) : word)).join(' ');
+};
+
+/**
+ * scaleIngredients - Multiplica as quantidades por um fator
+ * Ingredientes sem quantidade (ex: "Sal q.b.", linhas não reconhecidas) ficam iguais;
+ * os que se contam são arredondados (1 ovo para 3 em vez de 4 -> 1, não 0,75)
+ * e, sem unidade, o nome acompanha a quantidade ("2 ovos" para metade -> "1 ovo")
+ *
+ * @param {Array} ingredientes
+ * @param {number} factor - Ex: 0.5 para metade
+ */
+export const scaleIngredients = (ingredientes, factor) =>
+    ingredientes.map(ingredient => {
+        const quantidade = parseQuantity(ingredient.quantidade);
+        if (quantidade === null || factor === 1) return ingredient;
+
+        const counted = COUNT_UNITS.includes(ingredient.unidade || '');
+        const scaled = counted ? roundCount(quantidade * factor) : quantidade * factor;
+        if (!counted || ingredient.unidade || (quantidade > 1) === (scaled > 1)) {
+            return { ...ingredient, quantidade: scaled };
+        }
+        return { ...ingredient, quantidade: scaled, nome: countNoun(ingredient.nome || '', scaled > 1) };
+    });
+
+/**
+ * groupIngredients - Agrupa a lista por "grupo", mantendo a ordem
+ *
+ * @returns {Array} [{ grupo, itens: [...] }]
+ */
+export const groupIngredients = (ingredientes) =>
+    ingredientes.reduce((groups, ingredient) => {
+        const last = groups[groups.length - 1];
+        if (last && last.grupo === (ingredient.grupo || '')) {
+            last.itens.push(ingredient);
+        } else {
+            groups.push({ grupo: ingredient.grupo || '', itens: [ingredient] });
+        }
+        return groups;
+    }, []);
@@ -0,0 +1,68 @@
+/**
+ * Despensa - "O que posso cozinhar com o que tenho?"
+ *
+ * Compara a lista de ingredientes que o utilizador tem em casa com os
+ * ingredientes de cada receita e ordena as receitas pela cobertura.
+ *
+ * - A comparação usa as raízes da pesquisa (utils/search): "batatas"
+ *   cobre "500 g de batatas" e "bacalhau" cobre "bacalhau demolhado"
+ * - Ingredientes "q.b." e básicos (sal, água, pimenta) não contam como
+ *   necessários: assume-se que há sempre em casa
+ */
+
+import { tokenize } from './search';
+
+// Básicos que se assume haver sempre (comparados já como raízes)
+const STAPLES = ['sal', 'agua', 'pimenta'].map(word => tokenize(word)[0]);
+
+/**
+ * isRequired - Um ingrediente conta para a cobertura?
+ */
+const isRequired = (ingredient) => {
+    if (ingredient.unidade === 'q.b.') return false;
+    const terms = tokenize(ingredient.nome);
+    return terms.length > 0 && !terms.every(term => STAPLES.includes(term));
+};
+
+/**
+ * covers - Um item da despensa cobre um ingrediente se todas as suas
+ * palavras aparecerem no nome do ingrediente ("couve" cobre "couve galega")
+ */
+const covers = (pantryTerms, ingredientTerms) =>
+    pantryTerms.length > 0 && pantryTerms.every(term => ingredientTerms.includes(term));
+
+/**
+ * matchPantry - Ordena as receitas pelos ingredientes que o utilizador tem
+ *
+ * @param {Array} recipes - Receitas normalizadas
+ * @param {Array<string>} pantry - Ingredientes disponíveis (ex: ['ovos', 'batatas'])
+ * @returns {Array} [{ recipe, covered, total, missing }] só com receitas que
+ *                  usam pelo menos um dos ingredientes, da mais para a menos coberta
+ */
+export const matchPantry = (recipes, pantry) => {
+    const pantryTerms = pantry.map(tokenize).filter(terms => terms.length > 0);
+    if (pantryTerms.length === 0) return [];
+
+    return recipes
+        .map(recipe => {
+            const required = recipe.ingredientes.filter(isRequired);
+            const missing = required
+                .filter(ingredient => {
+                    const ingredientTerms = tokenize(ingredient.nome);
+                    return !pantryTerms.some(terms => covers(terms, ingredientTerms));
+                })
+                .map(ingredient => ingredient.nome);
+
+            return {
+                recipe,
+                covered: required.length - missing.length,
+                total: required.length,
+                missing,
+            };
+        })
+        .filter(match => match.covered > 0)
+        .sort((a, b) =>
+            // Primeiro a percentagem coberta, depois quem falta menos
+            b.covered / b.total - a.covered / a.total || a.missing.length - b.missing.length
+        );
+};
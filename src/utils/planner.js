@@ -0,0 +1,284 @@
+/**
+ * Planeador de Refeições
+ *
+ * Plano semanal guardado no browser (localStorage), por dia e refeição:
+ *   { "2026-10-19": { almoco: [2, 5], jantar: [3] }, ... }
+ * Os dias são datas locais "AAAA-MM-DD" e as semanas começam à segunda-feira
+ * (a chave de uma semana é a data da sua segunda-feira).
+ * Cada refeição pode ter várias receitas (ex: sopa e prato).
+ *
+ * As funções que alteram o plano devolvem sempre um plano novo,
+ * para serem usadas diretamente no estado do React.
+ */
+
+import { sumDurations, formatDuration } from './duration';
+
+// Chave do localStorage com o plano
+const PLAN_KEY = 'meal_plan';
+
+/**
+ * Refeições de cada dia, pela ordem do dia, com a hora usada
+ * na exportação para o calendário
+ */
+export const MEAL_SLOTS = [
+    { id: 'almoco', label: 'Almoço', time: '12:30', minutes: 60 },
+    { id: 'lanche', label: 'Lanche', time: '16:30', minutes: 30 },
+    { id: 'jantar', label: 'Jantar', time: '20:00', minutes: 60 },
+];
+
+// ============================================
+// DATAS
+// ============================================
+
+/**
+ * toDateKey - Data local -> "AAAA-MM-DD"
+ */
+export const toDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * parseDateKey - "AAAA-MM-DD" -> Date (meia-noite local)
+ */
+export const parseDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * addDays - Soma dias a uma data "AAAA-MM-DD" (negativo para recuar)
+ */
+export const addDays = (key, days) => {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+/**
+ * startOfWeek - Segunda-feira da semana de uma data
+ *
+ * @param {Date} [date] - Por omissão, hoje
+ * @returns {string} "AAAA-MM-DD"
+ */
+export const startOfWeek = (date = new Date()) => {
+    // getDay(): domingo = 0, segunda = 1, ...
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    return addDays(toDateKey(date), -daysSinceMonday);
+};
+
+/**
+ * weekDays - Os 7 dias de uma semana, de segunda a domingo
+ */
+export const weekDays = (weekKey) => [...Array(7)].map((_, index) => addDays(weekKey, index));
+
+// ============================================
+// PERSISTÊNCIA
+// ============================================
+
+/**
+ * loadPlan - Lê o plano guardado (vazio se não houver ou estiver estragado)
+ */
+export const loadPlan = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PLAN_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * savePlan - Guarda o plano
+ */
+export const savePlan = (plan) => {
+    localStorage.setItem(PLAN_KEY, JSON.stringify(plan));
+};
+
+// ============================================
+// ALTERAÇÕES AO PLANO
+// ============================================
+
+/**
+ * slotRecipes - Ids das receitas de uma refeição
+ */
+export const slotRecipes = (plan, day, slot) => plan[day]?.[slot] || [];
+
+// Substitui as receitas de uma refeição, sem deixar refeições / dias vazios no plano
+const setSlot = (plan, day, slot, ids) => {
+    const dayPlan = { ...plan[day], [slot]: ids };
+    if (ids.length === 0) delete dayPlan[slot];
+
+    const next = { ...plan, [day]: dayPlan };
+    if (Object.keys(dayPlan).length === 0) delete next[day];
+    return next;
+};
+
+/**
+ * addToSlot - Junta uma receita a uma refeição (sem a repetir na mesma refeição)
+ */
+export const addToSlot = (plan, day, slot, recipeId) => {
+    const ids = slotRecipes(plan, day, slot);
+    if (ids.some(id => String(id) === String(recipeId))) return plan;
+    return setSlot(plan, day, slot, [...ids, recipeId]);
+};
+
+/**
+ * removeFromSlot - Tira a receita na posição "index" de uma refeição
+ */
+export const removeFromSlot = (plan, day, slot, index) =>
+    setSlot(plan, day, slot, slotRecipes(plan, day, slot).filter((_, i) => i !== index));
+
+/**
+ * moveEntry - Passa uma receita de uma refeição para outra
+ *
+ * @param {Object} plan
+ * @param {Object} from - { day, slot, index }
+ * @param {Object} to - { day, slot }
+ */
+export const moveEntry = (plan, from, to) => {
+    const recipeId = slotRecipes(plan, from.day, from.slot)[from.index];
+    if (recipeId === undefined || (from.day === to.day && from.slot === to.slot)) return plan;
+    return addToSlot(removeFromSlot(plan, from.day, from.slot, from.index), to.day, to.slot, recipeId);
+};
+
+/**
+ * isWeekEmpty - A semana não tem nenhuma receita?
+ */
+export const isWeekEmpty = (plan, weekKey) => weekDays(weekKey).every(day => !plan[day]);
+
+/**
+ * copyWeek - Copia as refeições de uma semana para outra
+ * (a semana de destino é substituída; segunda vai para segunda, etc.)
+ */
+export const copyWeek = (plan, fromWeek, toWeek) => {
+    const next = { ...plan };
+    weekDays(toWeek).forEach((day, index) => {
+        const source = plan[addDays(fromWeek, index)];
+        if (source) next[day] = JSON.parse(JSON.stringify(source));
+        else delete next[day];
+    });
+    return next;
+};
+
+/**
+ * clearWeek - Tira todas as receitas de uma semana
+ */
+export const clearWeek = (plan, weekKey) => {
+    const next = { ...plan };
+    weekDays(weekKey).forEach(day => delete next[day]);
+    return next;
+};
+
+/**
+ * weekRecipeIds - Ids das receitas de uma semana, uma vez por cada refeição
+ * em que aparecem (ex: para a lista de compras)
+ */
+export const weekRecipeIds = (plan, weekKey) =>
+    weekDays(weekKey).flatMap(day => MEAL_SLOTS.flatMap(slot => slotRecipes(plan, day, slot.id)));
+
+/**
+ * dayMinutes - Tempo total (minutos) das receitas de um dia
+ *
+ * @param {Object} plan
+ * @param {string} day
+ * @param {Map} recipesById - id (texto) -> receita normalizada
+ * @returns {number|null} null se nenhuma receita tiver tempo conhecido
+ */
+export const dayMinutes = (plan, day, recipesById) =>
+    sumDurations(...MEAL_SLOTS.flatMap(slot =>
+        slotRecipes(plan, day, slot.id).map(id => recipesById.get(String(id))?.minutos ?? null)
+    ));
+
+// ============================================
+// EXPORTAÇÃO - iCalendar (.ics)
+// ============================================
+
+// Escapa texto para um campo iCalendar (RFC 5545, 3.3.11)
+const escapeIcs = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Divide linhas com mais de 75 bytes (as continuações começam com um espaço)
+const encoder = new TextEncoder();
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // A primeira parte tem 75 bytes; as seguintes 74, mais o espaço
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+
+    return [...parts, current].join('\r\n ');
+};
+
+// "2026-10-19" + "12:30" (+ minutos) -> "20261019T123000" (hora local)
+const icsDateTime = (day, time, plusMinutes = 0) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = parseDateKey(day);
+    date.setHours(hours, minutes + plusMinutes);
+    return `${toDateKey(date).replace(/-/g, '')}T${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}00`;
+};
+
+/**
+ * planToIcs - Exporta as refeições de uma semana como calendário iCalendar
+ * Cada receita é um evento à hora da refeição (ver MEAL_SLOTS).
+ *
+ * @param {Object} plan
+ * @param {string} weekKey - Segunda-feira da semana
+ * @param {Map} recipesById - id (texto) -> receita normalizada
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Endereço da aplicação, para a ligação de cada receita
+ * @param {Date} [options.now] - Data de criação dos eventos (DTSTAMP)
+ * @returns {string} Conteúdo do ficheiro .ics
+ */
+export const planToIcs = (plan, weekKey, recipesById, { baseUrl = '', now = new Date() } = {}) => {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const events = [];
+
+    weekDays(weekKey).forEach(day => {
+        MEAL_SLOTS.forEach(slot => {
+            slotRecipes(plan, day, slot.id).forEach((id, index) => {
+                const recipe = recipesById.get(String(id));
+                if (!recipe) return;
+
+                const description = [
+                    recipe.minutos !== null && `Tempo total: ${formatDuration(recipe.minutos)}`,
+                    `Porções: ${recipe.porcoes}`,
+                ].filter(Boolean).join('\n');
+
+                events.push(
+                    'BEGIN:VEVENT',
+                    `UID:${day}-${slot.id}-${id}-${index}@receitas-da-avo`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART:${icsDateTime(day, slot.time)}`,
+                    `DTEND:${icsDateTime(day, slot.time, slot.minutes)}`,
+                    `SUMMARY:${escapeIcs(`${slot.label}: ${recipe.titulo}`)}`,
+                    `DESCRIPTION:${escapeIcs(description)}`,
+                    ...(baseUrl ? [`URL:${baseUrl}/receita/${recipe.id}`] : []),
+                    'END:VEVENT'
+                );
+            });
+        });
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Receitas da Avo//Planeador//PT',
+        'CALSCALE:GREGORIAN',
+        ...events,
+        'END:VCALENDAR',
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+};
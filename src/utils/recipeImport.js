@@ -0,0 +1,329 @@
+/**
+ * Importação de Receitas
+ *
+ * Converte uma receita vinda de fora nos campos do formulário do
+ * Dashboard, para o utilizador rever antes de gravar:
+ * - JSON-LD schema.org "Recipe", colado diretamente ou dentro de uma
+ *   página HTML (a maior parte dos sites de receitas publica-o)
+ * - Texto livre: um parser heurístico separa título, ingredientes,
+ *   passos, tempos e porções
+ *
+ * Devolve sempre os mesmos campos do formulário (ver AdminDashboard), mais
+ * "categoria" com a categoria sugerida (a escolher entre as existentes).
+ */
+
+import { parseIngredients } from './ingredients';
+import { parseDuration, formatDuration } from './duration';
+import { foldText } from './search';
+
+// ============================================
+// TEXTO E HTML
+// ============================================
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * decodeEntities - "&amp;" -> "&", "&#233;" -> "é"
+ */
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+        return String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * cleanText - Tira as tags HTML e os espaços a mais de um texto
+ */
+const cleanText = (value) => decodeEntities(String(value ?? '').replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Número de passo no início da linha ("1.", "2)", "Passo 3:")
+const STEP_NUMBER = /^(passo\s+)?\d+\s*[.):-]\s*/i;
+
+const stripStepNumber = (line) => line.replace(STEP_NUMBER, '').trim();
+
+/**
+ * htmlToText - Texto visível de uma página, com uma linha por bloco
+ * (para o parser de texto livre, quando a página não tem JSON-LD)
+ */
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|tr|section|article)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<[^>]*>/g, ''))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+// ============================================
+// JSON-LD (schema.org Recipe)
+// ============================================
+
+// Um nó JSON-LD é do tipo "Recipe"? (@type pode ser texto ou lista)
+const isRecipeNode = (node) =>
+    [].concat(node?.['@type'] || []).some(type => String(type).toLowerCase() === 'recipe');
+
+/**
+ * findRecipeNode - Procura o nó "Recipe" dentro de um JSON-LD
+ * (pode vir sozinho, numa lista ou dentro de "@graph")
+ */
+const findRecipeNode = (data) => {
+    if (!data || typeof data !== 'object') return null;
+    if (Array.isArray(data)) {
+        for (const item of data) {
+            const found = findRecipeNode(item);
+            if (found) return found;
+        }
+        return null;
+    }
+    if (isRecipeNode(data)) return data;
+    return findRecipeNode(data['@graph']);
+};
+
+/**
+ * extractJsonLd - Blocos <script type="application/ld+json"> de uma página
+ * (blocos com JSON inválido são ignorados)
+ */
+const extractJsonLd = (html) =>
+    [...html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)]
+        .map(match => {
+            try {
+                return JSON.parse(match[1]);
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+/**
+ * parseIsoDuration - Duração ISO 8601 em minutos ("PT1H30M" -> 90)
+ *
+ * @returns {number|null}
+ */
+export const parseIsoDuration = (value) => {
+    const match = String(value || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:\d+(?:\.\d+)?S)?)?$/i);
+    if (!match || !match.slice(1).some(Boolean)) return null;
+    const [, days, hours, minutes] = match;
+    return Math.round((parseFloat(days) || 0) * 24 * 60 + (parseFloat(hours) || 0) * 60 + (parseFloat(minutes) || 0));
+};
+
+// Tempo ISO -> texto do formulário ("PT1H30M" -> "1h30"; vazio se não houver)
+const isoToText = (value) => {
+    const minutes = parseIsoDuration(value);
+    return minutes ? formatDuration(minutes) : '';
+};
+
+// Primeiro número de "recipeYield" ("4 porções", ["4", "4 servings"], 4)
+const parseYield = (value) => {
+    const match = [].concat(value ?? []).map(String).join(' ').match(/\d+/);
+    return match ? parseInt(match[0]) : null;
+};
+
+// "image" pode ser texto, lista ou ImageObject
+const parseImage = (value) => {
+    const first = [].concat(value ?? [])[0];
+    if (!first) return '';
+    return typeof first === 'string' ? first : first.url || first.contentUrl || '';
+};
+
+/**
+ * instructionLines - Passos de "recipeInstructions": texto, lista de textos,
+ * HowToStep ({ text }) ou HowToSection ({ name, itemListElement })
+ */
+const instructionLines = (value) => {
+    if (!value) return [];
+    if (typeof value === 'string') return htmlToText(value).split('\n').map(stripStepNumber).filter(Boolean);
+    if (Array.isArray(value)) return value.flatMap(instructionLines);
+
+    const items = value.itemListElement;
+    if (items) {
+        const lines = instructionLines(items);
+        return value.name ? [`${cleanText(value.name)}:`, ...lines] : lines;
+    }
+    return [cleanText(value.text || value.name)].filter(Boolean);
+};
+
+/**
+ * fromSchemaRecipe - Campos do formulário a partir de um nó "Recipe"
+ */
+const fromSchemaRecipe = (node, baseUrl) => {
+    const image = parseImage(node.image);
+    const prepTime = isoToText(node.prepTime);
+    const cookTime = isoToText(node.cookTime);
+
+    return {
+        titulo: cleanText(node.name),
+        imagem_url: image && baseUrl ? new URL(image, baseUrl).href : image,
+        // Sem tempo de preparação separado, usa o tempo total
+        tempo_preparo: prepTime || (cookTime ? '' : isoToText(node.totalTime)),
+        tempo_confecao: cookTime,
+        tempo_repouso: '',
+        ingredientes: parseIngredients([].concat(node.recipeIngredient || node.ingredients || []).map(cleanText).join('\n')),
+        porcoes: parseYield(node.recipeYield) || 4,
+        instrucoes: instructionLines(node.recipeInstructions).join('\n'),
+        categoria: cleanText([].concat(node.recipeCategory || [])[0]),
+    };
+};
+
+// ============================================
+// TEXTO LIVRE
+// ============================================
+
+// Cabeçalhos das secções ("Ingredientes:", "Modo de preparação", ...), já sem acentos
+const INGREDIENTS_HEADING = /^(ingredientes?|ingredients?)\s*:?$/;
+const STEPS_HEADING = /^(modo de (preparacao|fazer|preparo)|preparacao|instrucoes|passos|confecao|method|directions|instructions|steps)\s*:?$/;
+
+// Linhas de informação: "Tempo: 45 min", "Porções: 4", "Serve 4 pessoas"
+const META_LINES = [
+    { field: 'tempo_preparo', pattern: /^(tempo( de preparacao| de preparo| total)?|preparacao|prep\.?)\s*:\s*(.+)$/ },
+    { field: 'tempo_confecao', pattern: /^(tempo de )?(confecao|cozedura|forno)\s*:\s*(.+)$/ },
+    { field: 'tempo_repouso', pattern: /^(tempo de )?repouso\s*:\s*(.+)$/ },
+    { field: 'porcoes', pattern: /^(porcoes|doses|rende|serve|para)\s*:?\s*(\d+)/ },
+    { field: 'categoria', pattern: /^categoria\s*:\s*(.+)$/ },
+];
+
+// Marcadores de lista no início da linha ("- ", "• ", "* ")
+const BULLET = /^[-•*·–]\s+/;
+
+/**
+ * readMeta - Lê uma linha de informação; devolve { field, value } ou null
+ * (os tempos só contam se forem reconhecidos, senão a linha é um passo)
+ */
+const readMeta = (line) => {
+    const folded = foldText(line);
+    for (const { field, pattern } of META_LINES) {
+        const match = folded.match(pattern);
+        if (!match) continue;
+
+        // O valor vem do texto original (com acentos), na mesma posição
+        const value = line.slice(folded.lastIndexOf(match[match.length - 1])).trim();
+        if (field === 'porcoes') return { field, value: parseInt(value) };
+        if (field === 'categoria') return { field, value };
+        if (parseDuration(value) !== null) return { field, value };
+    }
+    return null;
+};
+
+/**
+ * looksLikeIngredient - Heurística para linhas fora de uma secção
+ * Ingrediente: começa por quantidade ou marcador e é curto; passo: frase comprida ou numerada
+ */
+const looksLikeIngredient = (line) => {
+    if (STEP_NUMBER.test(line)) return false;
+    if (line.length > 80 || /[.!]$/.test(line)) return false;
+    return BULLET.test(line) || /^(\d|½|¼|¾|meia?\s|meio\s)/i.test(line) || /q\.?\s?b\.?$/i.test(line);
+};
+
+/**
+ * parseRecipeText - Separa uma receita escrita em texto livre
+ *
+ * - A primeira linha é o título
+ * - "Ingredientes" e "Modo de preparação" (e variantes) abrem as secções;
+ *   sem eles, cada linha é classificada pela forma (ver looksLikeIngredient)
+ * - "Tempo: 45 min", "Confeção: 1h", "Porções: 4"... preenchem esses campos
+ */
+export const parseRecipeText = (text) => {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const recipe = {
+        titulo: '',
+        imagem_url: '',
+        tempo_preparo: '',
+        tempo_confecao: '',
+        tempo_repouso: '',
+        porcoes: 4,
+        categoria: '',
+    };
+    const ingredientLines = [];
+    const stepLines = [];
+    let section = null;
+
+    lines.forEach((line, index) => {
+        const folded = foldText(line);
+
+        if (INGREDIENTS_HEADING.test(folded)) {
+            section = 'ingredientes';
+            return;
+        }
+        if (STEPS_HEADING.test(folded)) {
+            section = 'passos';
+            return;
+        }
+
+        const meta = readMeta(line);
+        if (meta) {
+            recipe[meta.field] = meta.value;
+            return;
+        }
+
+        if (index === 0) {
+            recipe.titulo = line.replace(/^#+\s*/, '');
+            return;
+        }
+
+        // Imagem: um endereço sozinho numa linha
+        if (/^https?:\/\/\S+\.(jpe?g|png|webp|gif)(\?\S*)?$/i.test(line)) {
+            recipe.imagem_url = line;
+            return;
+        }
+
+        const inIngredients = section === 'ingredientes' || (section === null && looksLikeIngredient(line));
+        if (inIngredients) {
+            ingredientLines.push(line.replace(BULLET, ''));
+        } else {
+            stepLines.push(stripStepNumber(line.replace(BULLET, '')));
+        }
+    });
+
+    return {
+        ...recipe,
+        ingredientes: parseIngredients(ingredientLines.join('\n')),
+        instrucoes: stepLines.join('\n'),
+    };
+};
+
+// ============================================
+// ENTRADA
+// ============================================
+
+/**
+ * importRecipe - Converte o texto colado ou carregado nos campos do formulário
+ *
+ * @param {string} input - JSON-LD, página HTML ou texto livre
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Endereço da página (para imagens com caminho relativo)
+ * @returns {Object} { recipe, source } com source 'json-ld' ou 'texto'
+ * @throws {Error} Se não houver nada reconhecível
+ */
+export const importRecipe = (input, { baseUrl = '' } = {}) => {
+    const text = String(input || '').trim();
+    if (!text) throw new Error('Nada para importar');
+
+    // JSON-LD colado diretamente
+    if (/^[[{]/.test(text)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('O JSON não é válido');
+        }
+        const node = findRecipeNode(data);
+        if (!node) throw new Error('O JSON não tem nenhuma receita (schema.org Recipe)');
+        return { recipe: fromSchemaRecipe(node, baseUrl), source: 'json-ld' };
+    }
+
+    // Página HTML: primeiro o JSON-LD; senão, o texto da página
+    const isHtml = /<(html|body|head|div|p|script)[\s>]/i.test(text);
+    if (isHtml) {
+        const node = extractJsonLd(text).map(findRecipeNode).find(Boolean);
+        if (node) return { recipe: fromSchemaRecipe(node, baseUrl), source: 'json-ld' };
+    }
+
+    const recipe = parseRecipeText(isHtml ? htmlToText(text) : text);
+    if (!recipe.titulo && recipe.ingredientes.length === 0) throw new Error('Não foi encontrada nenhuma receita');
+    return { recipe, source: 'texto' };
+};
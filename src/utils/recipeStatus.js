@@ -0,0 +1,83 @@
+/**
+ * Estado de publicação das receitas
+ *
+ * Coluna "estado" da folha receitas:
+ * - rascunho: ainda a ser escrita, só aparece no Dashboard
+ * - revisao: submetida para revisão (fila de revisão do Dashboard)
+ * - publicado: pública; com "publicar_em" no futuro fica agendada
+ * - arquivado: retirada do site, mas guardada
+ *
+ * Coluna "publicar_em" (opcional): data e hora locais, ex: "2026-12-01T09:00"
+ * (o formato de um <input type="datetime-local">).
+ *
+ * Linhas antigas sem estado contam como publicadas; um estado desconhecido
+ * conta como rascunho, para nunca publicar uma receita por engano.
+ */
+
+import { foldText } from './search';
+
+export const RECIPE_STATUS = {
+    DRAFT: 'rascunho',
+    REVIEW: 'revisao',
+    PUBLISHED: 'publicado',
+    ARCHIVED: 'arquivado',
+};
+
+// Estado mostrado de uma receita publicada com data futura (não é gravado)
+export const SCHEDULED = 'agendado';
+
+// Nome de cada estado (e do agendamento) para mostrar na UI
+export const STATUS_LABELS = {
+    rascunho: 'Rascunho',
+    revisao: 'Em revisão',
+    publicado: 'Publicada',
+    agendado: 'Agendada',
+    arquivado: 'Arquivada',
+};
+
+/**
+ * parseStatus - Estado lido da folha (aceita "Em revisão", "Publicada"...)
+ */
+export const parseStatus = (value) => {
+    const key = foldText(String(value ?? '').trim());
+    if (!key) return RECIPE_STATUS.PUBLISHED;
+    if (key.includes('revis')) return RECIPE_STATUS.REVIEW;
+    if (key.startsWith('publicad')) return RECIPE_STATUS.PUBLISHED;
+    if (key.startsWith('arquivad')) return RECIPE_STATUS.ARCHIVED;
+    return RECIPE_STATUS.DRAFT;
+};
+
+/**
+ * parsePublishDate - Data de "publicar_em" em ms (null se vazia ou inválida)
+ */
+export const parsePublishDate = (value) => {
+    const time = Date.parse(String(value ?? '').trim());
+    return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * recipeStatus - Estado de uma receita num dado momento:
+ * o da coluna, ou 'agendado' se estiver publicada com data no futuro
+ *
+ * @param {Object} recipe - Receita normalizada ({ estado, publicar_em })
+ * @param {number} [now] - Momento (ms), por omissão agora
+ */
+export const recipeStatus = (recipe, now = Date.now()) => {
+    const publishAt = parsePublishDate(recipe.publicar_em);
+    if (recipe.estado === RECIPE_STATUS.PUBLISHED && publishAt !== null && publishAt > now) return SCHEDULED;
+    return recipe.estado;
+};
+
+/**
+ * isPublic - Se os visitantes podem ver a receita
+ */
+export const isPublic = (recipe, now = Date.now()) => recipeStatus(recipe, now) === RECIPE_STATUS.PUBLISHED;
+
+/**
+ * formatPublishDate - "1 de dezembro de 2026 às 09:00"
+ */
+export const formatPublishDate = (value) => {
+    const time = parsePublishDate(value);
+    if (time === null) return '';
+    return new Date(time).toLocaleString('pt-PT', { dateStyle: 'long', timeStyle: 'short' });
+};
@@ -0,0 +1,375 @@
+/**
+ * Exportação e importação do livro de receitas em bloco
+ *
+ * Formatos:
+ * - JSON: { formato, versao, exportado, categorias, receitas } (cópia completa)
+ * - CSV: uma receita por linha, para abrir numa folha de cálculo; as colunas
+ *   da própria Google Sheet (imagem, tempo, preparacao...) também são aceites
+ * - Markdown: um só ficheiro, com um "## Título" por receita
+ *
+ * Na importação, cada receita é comparada pelo título com as existentes
+ * (ver previewImport) antes de ser gravada.
+ */
+
+import { parseIngredients, serializeIngredients } from './ingredients';
+import { parseRecipeText } from './recipeImport';
+import { foldText } from './search';
+
+export const TRANSFER_FORMATS = {
+    json: { label: 'JSON', extension: 'json', type: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+};
+
+// Identifica os ficheiros JSON exportados por esta aplicação
+const JSON_FORMAT = 'receitas-da-avo';
+const JSON_VERSION = 1;
+
+// Campos de uma receita no ficheiro (os do formulário, com "categoria" em texto)
+const FIELDS = [
+    'titulo',
+    'categoria',
+    'tempo_preparo',
+    'tempo_confecao',
+    'tempo_repouso',
+    'porcoes',
+    'imagem_url',
+    'ingredientes',
+    'instrucoes',
+];
+
+// Nomes dos campos para mostrar na pré-visualização
+export const FIELD_LABELS = {
+    titulo: 'título',
+    categoria: 'categoria',
+    tempo_preparo: 'preparação',
+    tempo_confecao: 'confeção',
+    tempo_repouso: 'repouso',
+    porcoes: 'porções',
+    imagem_url: 'imagem',
+    ingredientes: 'ingredientes',
+    instrucoes: 'instruções',
+};
+
+// Colunas com o nome usado na Google Sheet
+const COLUMN_ALIASES = {
+    imagem: 'imagem_url',
+    tempo: 'tempo_preparo',
+    confecao: 'tempo_confecao',
+    repouso: 'tempo_repouso',
+    preparacao: 'instrucoes',
+    categoria_id: 'categoria',
+};
+
+// Porções assumidas quando o ficheiro não as indica
+const DEFAULT_SERVINGS = 4;
+
+/**
+ * toTransferRecipe - Receita da aplicação -> registo do ficheiro
+ */
+const toTransferRecipe = (recipe) => ({
+    titulo: recipe.titulo || '',
+    categoria: recipe.categoria_id ?? recipe.categoria ?? '',
+    tempo_preparo: recipe.tempo_preparo || '',
+    tempo_confecao: recipe.tempo_confecao || '',
+    tempo_repouso: recipe.tempo_repouso || '',
+    porcoes: recipe.porcoes || DEFAULT_SERVINGS,
+    imagem_url: recipe.imagem_url || '',
+    ingredientes: recipe.ingredientes || [],
+    instrucoes: recipe.instrucoes || '',
+});
+
+/**
+ * toFormRecipe - Registo lido de um ficheiro -> campos do formulário
+ * (os ingredientes podem vir como lista estruturada ou como texto)
+ */
+const toFormRecipe = (row) => ({
+    titulo: String(row.titulo ?? '').trim(),
+    imagem_url: String(row.imagem_url ?? '').trim(),
+    tempo_preparo: String(row.tempo_preparo ?? '').trim(),
+    tempo_confecao: String(row.tempo_confecao ?? '').trim(),
+    tempo_repouso: String(row.tempo_repouso ?? '').trim(),
+    ingredientes: Array.isArray(row.ingredientes) ? row.ingredientes : parseIngredients(row.ingredientes || ''),
+    porcoes: parseInt(row.porcoes) || DEFAULT_SERVINGS,
+    instrucoes: String(row.instrucoes ?? '').trim(),
+    categoria_id: String(row.categoria ?? '').trim(),
+});
+
+// ============================================
+// JSON
+// ============================================
+
+const exportJson = (recipes, categories) => JSON.stringify({
+    formato: JSON_FORMAT,
+    versao: JSON_VERSION,
+    exportado: new Date().toISOString(),
+    categorias: categories.map(category => ({ nome: category.nome })),
+    receitas: recipes.map(toTransferRecipe),
+}, null, 2);
+
+const parseJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('O JSON não é válido');
+    }
+
+    // Também aceita uma lista de receitas solta
+    const rows = Array.isArray(data) ? data : data?.receitas;
+    if (!Array.isArray(rows)) throw new Error('O JSON não tem uma lista "receitas"');
+    return rows.map(row => (row && typeof row === 'object' ? row : {}));
+};
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * csvCell - Valor entre aspas quando tem separador, aspas ou mudanças de linha
+ */
+const csvCell = (value, delimiter) => {
+    const text = String(value ?? '');
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCsv = (recipes) => {
+    const delimiter = ',';
+    const rows = recipes.map(toTransferRecipe).map(recipe => FIELDS.map(field => (
+        field === 'ingredientes' ? serializeIngredients(recipe.ingredientes) : recipe[field]
+    )));
+
+    // BOM para o Excel reconhecer o UTF-8 (acentos)
+    return '\uFEFF' + [FIELDS, ...rows]
+        .map(row => row.map(value => csvCell(value, delimiter)).join(delimiter))
+        .join('\r\n');
+};
+
+/**
+ * readCsv - Linhas e células de um CSV (aspas, "" e mudanças de linha dentro de aspas)
+ * O separador (vírgula ou ponto e vírgula, comum no Excel em português)
+ * é o que aparece mais vezes no cabeçalho.
+ */
+const readCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const header = source.split(/\r?\n/, 1)[0];
+    const delimiter = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            rows.push([...row, cell]);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    rows.push([...row, cell]);
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+const parseCsv = (text) => {
+    const [header = [], ...rows] = readCsv(text);
+    const columns = header.map(name => {
+        const key = foldText(name).trim().replace(/\s+/g, '_');
+        return COLUMN_ALIASES[key] || key;
+    });
+    if (!columns.includes('titulo')) throw new Error('O CSV não tem a coluna "titulo"');
+
+    return rows.map(cells => Object.fromEntries(columns
+        .map((column, index) => [column, cells[index] ?? ''])
+        .filter(([column]) => FIELDS.includes(column))));
+};
+
+// ============================================
+// MARKDOWN
+// ============================================
+
+const exportMarkdown = (recipes, title) => {
+    const sections = recipes.map(toTransferRecipe).map(recipe => {
+        const lines = [`## ${recipe.titulo}`, ''];
+        if (recipe.imagem_url) lines.push(`![${recipe.titulo}](${recipe.imagem_url})`, '');
+
+        if (recipe.categoria) lines.push(`Categoria: ${recipe.categoria}`);
+        if (recipe.tempo_preparo) lines.push(`Preparação: ${recipe.tempo_preparo}`);
+        if (recipe.tempo_confecao) lines.push(`Confeção: ${recipe.tempo_confecao}`);
+        if (recipe.tempo_repouso) lines.push(`Repouso: ${recipe.tempo_repouso}`);
+        lines.push(`Porções: ${recipe.porcoes}`, '');
+
+        // Os grupos ("Para o molho:") ficam como linhas sem marcador
+        lines.push('### Ingredientes', '');
+        serializeIngredients(recipe.ingredientes).split('\n').filter(Boolean).forEach(line => {
+            lines.push(line.endsWith(':') ? line : `- ${line}`);
+        });
+
+        lines.push('', '### Modo de preparação', '');
+        recipe.instrucoes.split('\n').map(step => step.trim()).filter(Boolean).forEach((step, index) => {
+            lines.push(`${index + 1}. ${step}`);
+        });
+
+        return lines.join('\n');
+    });
+
+    return [`# ${title}`, '', ...sections].join('\n\n').replace(/\n{3,}/g, '\n\n') + '\n';
+};
+
+/**
+ * parseMarkdown - Cada "## Título" começa uma receita, lida pelo parser de texto
+ * livre (ver utils/recipeImport); a imagem vem de "![...](endereço)"
+ */
+const parseMarkdown = (text) => {
+    const blocks = text.split(/^(?=##\s)/m).filter(block => /^##\s/.test(block));
+    if (blocks.length === 0) throw new Error('O Markdown não tem receitas (uma por "## Título")');
+
+    return blocks.map(block => {
+        const image = block.match(/^!\[[^\]]*\]\((\S+?)\)\s*$/m);
+        const body = block
+            .replace(/^!\[[^\]]*\]\(\S+?\)\s*$/gm, '')
+            .replace(/^#{1,6}\s+/gm, '');
+        const { categoria, ...recipe } = parseRecipeText(body);
+        return { ...recipe, categoria, imagem_url: image ? image[1] : recipe.imagem_url };
+    });
+};
+
+// ============================================
+// EXPORTAR / LER FICHEIROS
+// ============================================
+
+/**
+ * exportRecipes - Conteúdo do ficheiro exportado
+ *
+ * @param {Array} recipes - Receitas (formato da aplicação)
+ * @param {Array} categories - Categorias exportadas (só entram no JSON)
+ * @param {string} format - Chave de TRANSFER_FORMATS
+ * @param {string} [title] - Título do Markdown
+ */
+export const exportRecipes = (recipes, categories, format, title = 'Livro de Receitas') => {
+    if (format === 'csv') return exportCsv(recipes);
+    if (format === 'markdown') return exportMarkdown(recipes, title);
+    return exportJson(recipes, categories);
+};
+
+/**
+ * detectFormat - Formato de um ficheiro pela extensão (ou, sem ela, pelo conteúdo)
+ */
+export const detectFormat = (fileName, text) => {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    const byExtension = Object.keys(TRANSFER_FORMATS)
+        .find(format => TRANSFER_FORMATS[format].extension === extension || format === extension);
+    if (byExtension) return byExtension;
+
+    const start = String(text).replace(/^\uFEFF/, '').trimStart();
+    if (/^[[{]/.test(start)) return 'json';
+    if (/^#/.test(start)) return 'markdown';
+    return 'csv';
+};
+
+/**
+ * readRecipes - Lê as receitas de um ficheiro exportado
+ *
+ * @param {string} text - Conteúdo do ficheiro
+ * @param {string} format - Chave de TRANSFER_FORMATS
+ * @returns {Array} Receitas com os campos do formulário (categoria em categoria_id)
+ * @throws {Error} Se o ficheiro não puder ser lido
+ */
+export const readRecipes = (text, format) => {
+    const rows = format === 'json' ? parseJson(text)
+        : format === 'markdown' ? parseMarkdown(text)
+            : parseCsv(text);
+    return rows.map(toFormRecipe);
+};
+
+// ============================================
+// PRÉ-VISUALIZAÇÃO
+// ============================================
+
+const titleKey = (titulo) => foldText(titulo).replace(/\s+/g, ' ').trim();
+
+/**
+ * fieldValue - Valor comparável de um campo (form ou receita da aplicação)
+ */
+const fieldValue = (recipe, field) => {
+    if (field === 'ingredientes') return serializeIngredients(recipe.ingredientes || []);
+    if (field === 'porcoes') return parseInt(recipe.porcoes) || DEFAULT_SERVINGS;
+    if (field === 'categoria') return String(recipe.categoria_id ?? recipe.categoria ?? '').trim();
+    return String(recipe[field] ?? '').replace(/\r\n/g, '\n').trim();
+};
+
+/**
+ * changedFields - Campos em que a receita importada difere da existente
+ */
+const changedFields = (imported, existing) => FIELDS
+    .filter(field => field !== 'titulo')
+    .filter(field => fieldValue(imported, field) !== fieldValue(existing, field));
+
+/**
+ * previewImport - Compara as receitas importadas com as existentes, pelo título
+ *
+ * Estados:
+ * - 'novo': não há receita com o título
+ * - 'atualizado': há uma e difere (changes diz em quê)
+ * - 'igual': há uma e não difere (nada a gravar)
+ * - 'conflito': o título existe em várias receitas, ou repete-se no ficheiro
+ * - 'invalido': sem título
+ *
+ * @param {Array} imported - Resultado de readRecipes
+ * @param {Array} recipes - Receitas existentes
+ * @param {Array} [categories] - Categorias existentes (para avisar das novas)
+ * @returns {Array} [{ index, recipe, status, existing, changes, reason, newCategory }]
+ */
+export const previewImport = (imported, recipes, categories = []) => {
+    const existingByTitle = new Map();
+    recipes.forEach(recipe => {
+        const key = titleKey(recipe.titulo);
+        existingByTitle.set(key, [...(existingByTitle.get(key) || []), recipe]);
+    });
+
+    const timesInFile = new Map();
+    imported.forEach(recipe => {
+        const key = titleKey(recipe.titulo);
+        timesInFile.set(key, (timesInFile.get(key) || 0) + 1);
+    });
+
+    const categoryKeys = new Set(categories.map(category => titleKey(category.nome)));
+
+    return imported.map((recipe, index) => {
+        const key = titleKey(recipe.titulo);
+        const matches = existingByTitle.get(key) || [];
+        const newCategory = Boolean(recipe.categoria_id) && categories.length > 0
+            && !categoryKeys.has(titleKey(recipe.categoria_id));
+        const entry = { index, recipe, status: 'novo', existing: null, changes: [], reason: '', newCategory };
+
+        if (!key) return { ...entry, status: 'invalido', reason: 'Sem título' };
+        if (timesInFile.get(key) > 1) return { ...entry, status: 'conflito', reason: 'Título repetido no ficheiro' };
+        if (matches.length > 1) {
+            return { ...entry, status: 'conflito', reason: `${matches.length} receitas com este título` };
+        }
+        if (matches.length === 0) return entry;
+
+        const [existing] = matches;
+        const changes = changedFields(recipe, existing);
+        return { ...entry, status: changes.length > 0 ? 'atualizado' : 'igual', existing, changes };
+    });
+};
@@ -0,0 +1,223 @@
+/**
+ * Pesquisa de Texto
+ *
+ * Índice de pesquisa feito no browser sobre título, categoria,
+ * ingredientes e instruções das receitas.
+ *
+ * - Ignora acentos e maiúsculas ("acucar" encontra "Açúcar")
+ * - Reduz plurais e género a uma raiz comum ("batatas" ~ "batata",
+ *   "limões" ~ "limão", "cozida" ~ "cozido")
+ * - Cada termo pesquisado tem de aparecer na receita (pesquisa "E");
+ *   o último termo aceita prefixos, para funcionar enquanto se escreve
+ * - As receitas são ordenadas por relevância: o título pesa mais
+ *   que a categoria, que pesa mais que ingredientes e instruções
+ */
+
+import { formatIngredient } from './ingredients';
+
+// Peso de cada campo na relevância
+const FIELD_WEIGHTS = {
+    titulo: 5,
+    categoria: 3,
+    ingredientes: 2,
+    instrucoes: 1,
+};
+
+// Palavras demasiado comuns para contar na pesquisa
+const STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'e', 'de', 'da', 'do', 'das', 'dos', 'em', 'na', 'no',
+    'nas', 'nos', 'com', 'sem', 'para', 'por', 'um', 'uma', 'ao', 'aos', 'qb',
+]);
+
+// ============================================
+// NORMALIZAÇÃO
+// ============================================
+
+/**
+ * foldChar - Remove o acento e põe em minúsculas um único carácter
+ * (mantém o comprimento, o que permite mapear posições no texto original)
+ */
+const foldChar = (char) =>
+    char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').charAt(0) || char;
+
+/**
+ * foldText - Texto em minúsculas e sem acentos ("Açúcar" -> "acucar")
+ */
+export const foldText = (text) => String(text || '').split('').map(foldChar).join('');
+
+/**
+ * stem - Reduz uma palavra (já sem acentos) a uma raiz simples
+ * Trata os plurais e o género mais comuns do português.
+ */
+export const stem = (word) => {
+    let root = word;
+
+    if (root.length > 4) {
+        if (/(oes|aes)$/.test(root)) root = root.slice(0, -3) + 'ao';   // limões -> limao
+        else if (/eis$/.test(root)) root = root.slice(0, -3) + 'el';    // pastéis -> pastel
+        else if (/ais$/.test(root)) root = root.slice(0, -3) + 'al';    // animais -> animal
+        else if (/ns$/.test(root)) root = root.slice(0, -2) + 'm';      // pudins -> pudim
+        else if (/(res|zes|ses)$/.test(root)) root = root.slice(0, -2); // colheres -> colher
+        else if (/s$/.test(root)) root = root.slice(0, -1);             // batatas -> batata
+    } else if (root.length > 3 && /[aeo]s$/.test(root)) {
+        root = root.slice(0, -1);                                       // ovos -> ovo
+    }
+
+    // Género: "cozida" e "cozido" ficam "cozid"
+    if (root.length > 4 && /[ao]$/.test(root) && !/ao$/.test(root)) {
+        root = root.slice(0, -1);
+    }
+
+    return root;
+};
+
+/**
+ * tokenize - Divide um texto em raízes pesquisáveis (sem stopwords)
+ */
+export const tokenize = (text) =>
+    foldText(text)
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(stem);
+
+// ============================================
+// ÍNDICE
+// ============================================
+
+// Texto de cada campo de uma receita
+const recipeFields = (recipe) => ({
+    titulo: recipe.titulo,
+    categoria: recipe.categoria,
+    ingredientes: Array.isArray(recipe.ingredientes)
+        ? recipe.ingredientes.map(formatIngredient).join('\n')
+        : recipe.ingredientes,
+    instrucoes: recipe.instrucoes,
+});
+
+/**
+ * buildSearchIndex - Cria o índice de pesquisa de uma lista de receitas
+ *
+ * @param {Array} recipes - Receitas normalizadas
+ * @returns {Object} { recipes, terms: Map<raiz, Map<id, { score, fields }>> }
+ */
+export const buildSearchIndex = (recipes) => {
+    const terms = new Map();
+
+    recipes.forEach(recipe => {
+        Object.entries(recipeFields(recipe)).forEach(([field, text]) => {
+            tokenize(text).forEach(term => {
+                if (!terms.has(term)) terms.set(term, new Map());
+                const postings = terms.get(term);
+                const entry = postings.get(recipe.id) || { score: 0, fields: new Set() };
+                entry.score += FIELD_WEIGHTS[field];
+                entry.fields.add(field);
+                postings.set(recipe.id, entry);
+            });
+        });
+    });
+
+    return { recipes, terms };
+};
+
+/**
+ * searchRecipes - Pesquisa no índice
+ *
+ * @param {Object} index - Resultado de buildSearchIndex()
+ * @param {string} query - Texto pesquisado
+ * @returns {Array} [{ recipe, score, fields }] ordenado por relevância
+ *                  (todas as receitas, com score 0, se a pesquisa estiver vazia)
+ */
+export const searchRecipes = (index, query) => {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) {
+        return index.recipes.map(recipe => ({ recipe, score: 0, fields: new Set() }));
+    }
+
+    const results = new Map(index.recipes.map(recipe => [recipe.id, { recipe, score: 0, fields: new Set(), hits: 0 }]));
+
+    queryTerms.forEach((queryTerm, position) => {
+        // O último termo pode estar incompleto (o utilizador ainda está a escrever)
+        const isLast = position === queryTerms.length - 1;
+        const matchedIds = new Set();
+
+        index.terms.forEach((postings, term) => {
+            const exact = term === queryTerm;
+            if (!exact && !(isLast && term.startsWith(queryTerm))) return;
+
+            postings.forEach((entry, id) => {
+                const result = results.get(id);
+                // Correspondência exata vale mais do que um prefixo
+                result.score += exact ? entry.score : entry.score / 2;
+                entry.fields.forEach(field => result.fields.add(field));
+                matchedIds.add(id);
+            });
+        });
+
+        matchedIds.forEach(id => {
+            results.get(id).hits += 1;
+        });
+    });
+
+    return [...results.values()]
+        .filter(result => result.hits === queryTerms.length)
+        .sort((a, b) => b.score - a.score)
+        .map(({ recipe, score, fields }) => ({ recipe, score, fields }));
+};
+
+// ============================================
+// DESTAQUE
+// ============================================
+
+/**
+ * highlightText - Divide um texto em segmentos, marcando as palavras pesquisadas
+ *
+ * @param {string} text - Texto original (com acentos)
+ * @param {string} query - Texto pesquisado
+ * @returns {Array} [{ text, match }]
+ */
+export const highlightText = (text, query) => {
+    const source = String(text || '');
+    const queryTerms = tokenize(query);
+    if (!source || queryTerms.length === 0) return [{ text: source, match: false }];
+
+    const folded = foldText(source);
+    const segments = [];
+    let cursor = 0;
+
+    for (const word of folded.matchAll(/[a-z0-9]+/g)) {
+        const term = stem(word[0]);
+        const matches = !STOPWORDS.has(word[0]) &&
+            queryTerms.some(queryTerm => term === queryTerm || term.startsWith(queryTerm));
+        if (!matches) continue;
+
+        const start = word.index;
+        const end = start + word[0].length;
+        if (start > cursor) segments.push({ text: source.slice(cursor, start), match: false });
+        segments.push({ text: source.slice(start, end), match: true });
+        cursor = end;
+    }
+
+    if (cursor < source.length) segments.push({ text: source.slice(cursor), match: false });
+    return segments;
+};
+
+/**
+ * findSnippet - Excerto de um texto à volta da primeira palavra pesquisada
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [radius] - Caracteres antes e depois
+ * @returns {string|null} null se nenhuma palavra corresponder
+ */
+export const findSnippet = (text, query, radius = 40) => {
+    const segments = highlightText(text, query);
+    const first = segments.findIndex(segment => segment.match);
+    if (first === -1) return null;
+
+    const offset = segments.slice(0, first).reduce((acc, s) => acc + s.text.length, 0);
+    const source = String(text);
+    const start = Math.max(0, offset - radius);
+    const end = Math.min(source.length, offset + segments[first].text.length + radius);
+
+    return `${start > 0 ? '…' : ''}${source.slice(start, end).replace(/\s+/g, ' ').trim()}${end < source.length ? '…' : ''}`;
+};
@@ -0,0 +1,375 @@
+/**
+ * Lista de Compras
+ *
+ * Junta os ingredientes de várias receitas (uma receita, um livro ou uma
+ * semana do planeador) numa só lista, agrupada pelas secções do supermercado.
+ *
+ * - Ingredientes iguais juntam-se, ignorando acentos e plurais
+ *   ("batata" e "Batatas" são o mesmo item)
+ * - As quantidades somam-se quando as unidades são compatíveis: massas
+ *   entre si (g, kg, oz...), volumes entre si (ml, l, colheres, chávenas...)
+ *   e as restantes só com a mesma unidade ("2 dentes" + "3 dentes")
+ * - A água não entra na lista
+ *
+ * A lista guarda-se no browser (localStorage) como as origens que a formam,
+ * e não como ingredientes, para estar sempre de acordo com as receitas:
+ *   {
+ *     sources: [{ id: 'semana:2026-10-19', label: 'Semana 19 – 25 out.', recipes: [{ id: 2, servings: 4 }] }],
+ *     checked: ['batat'],                                  // chaves dos itens riscados
+ *     extras: [{ id: 1, text: 'Detergente', checked: false }], // itens escritos à mão
+ *   }
+ */
+
+import { tokenize, foldText } from './search';
+import { parseQuantity, formatQuantity, formatUnit } from './ingredients';
+import { toBaseUnit, fromBaseUnit } from './units';
+
+// Chave do localStorage com a lista
+const SHOPPING_LIST_KEY = 'shopping_list';
+
+// "quanto baste" (ver utils/ingredients)
+const QB = 'q.b.';
+
+// Ingredientes que não se compram
+const SKIPPED = ['água'].map(word => tokenize(word).join(' '));
+
+// ============================================
+// SECÇÕES DO SUPERMERCADO
+// ============================================
+
+/**
+ * Secções, pela ordem de uma volta ao supermercado, com as palavras que
+ * identificam os seus ingredientes (no singular; comparadas pelas raízes
+ * da pesquisa, por isso "cebolas" encontra "cebola")
+ */
+export const AISLES = [
+    {
+        id: 'frutas-legumes',
+        label: 'Frutas e legumes',
+        words: [
+            'batata', 'batata-doce', 'cebola', 'chalota', 'alho', 'alho francês', 'tomate', 'cenoura',
+            'couve', 'grelo', 'nabo', 'nabiça', 'espinafre', 'alface', 'rúcula', 'agrião', 'pepino',
+            'pimento', 'curgete', 'beringela', 'abóbora', 'brócolo', 'cogumelo', 'feijão verde', 'aipo',
+            'rabanete', 'gengibre', 'salsa', 'coentro', 'hortelã', 'manjericão', 'louro', 'alecrim',
+            'tomilho', 'limão', 'lima', 'laranja', 'maçã', 'pera', 'banana', 'morango', 'uva', 'ananás',
+            'figo', 'marmelo', 'castanha', 'fruta',
+        ],
+    },
+    {
+        id: 'talho',
+        label: 'Talho e charcutaria',
+        words: [
+            'carne', 'frango', 'galinha', 'peru', 'pato', 'coelho', 'porco', 'vaca', 'novilho', 'vitela',
+            'borrego', 'cabrito', 'bife', 'lombo', 'costeleta', 'entrecosto', 'febra', 'entremeada',
+            'toucinho', 'bacon', 'chouriço', 'chouriça', 'presunto', 'fiambre', 'salpicão', 'alheira',
+            'farinheira', 'morcela', 'salsicha', 'linguiça', 'paio',
+        ],
+    },
+    {
+        id: 'peixaria',
+        label: 'Peixaria',
+        words: [
+            'peixe', 'bacalhau', 'sardinha', 'carapau', 'dourada', 'robalo', 'pescada', 'salmão', 'atum',
+            'polvo', 'lula', 'choco', 'camarão', 'gamba', 'amêijoa', 'mexilhão', 'berbigão', 'marisco',
+        ],
+    },
+    {
+        id: 'laticinios',
+        label: 'Laticínios e ovos',
+        words: ['ovo', 'gema', 'clara', 'leite', 'nata', 'manteiga', 'queijo', 'requeijão', 'iogurte', 'mascarpone'],
+    },
+    {
+        id: 'padaria',
+        label: 'Padaria',
+        words: ['pão', 'broa', 'carcaça', 'tosta', 'massa folhada', 'massa quebrada'],
+    },
+    {
+        id: 'mercearia',
+        label: 'Mercearia',
+        words: [
+            'farinha', 'açúcar', 'arroz', 'massa', 'esparguete', 'azeite', 'óleo', 'vinagre', 'sal',
+            'pimenta', 'fermento', 'bicarbonato', 'amido', 'maizena', 'feijão', 'grão', 'lentilha',
+            'ervilha', 'chocolate', 'cacau', 'canela', 'noz-moscada', 'cominho', 'colorau', 'pimentão',
+            'piri-piri', 'caril', 'orégão', 'baunilha', 'mel', 'compota', 'doce', 'bolacha', 'amêndoa',
+            'noz', 'passa', 'coco', 'gelatina', 'caldo', 'polpa', 'concentrado', 'leite condensado',
+            'pão ralado', 'café', 'chá',
+        ],
+    },
+    {
+        id: 'bebidas',
+        label: 'Bebidas',
+        words: ['vinho', 'cerveja', 'sumo', 'aguardente', 'licor', 'brandy', 'vinho do porto'],
+    },
+    { id: 'outros', label: 'Outros', words: [] },
+];
+
+// Palavras de cada secção já como raízes: [{ aisle, terms }]
+const AISLE_TERMS = AISLES.flatMap(aisle =>
+    aisle.words.map(word => ({ aisle: aisle.id, terms: tokenize(word) }))
+);
+
+// Posição de "terms" (seguidos) dentro de "haystack", ou -1
+const findTerms = (haystack, terms) =>
+    haystack.findIndex((_, start) => terms.every((term, offset) => haystack[start + offset] === term));
+
+/**
+ * findAisle - Secção do supermercado de um ingrediente
+ *
+ * Ganha a palavra que aparece mais cedo no nome e, em caso de empate, a
+ * mais comprida: "polpa de tomate" é mercearia, "feijão verde" é legumes.
+ * Latas e pacotes são sempre mercearia ("1 lata de atum").
+ */
+export const findAisle = (ingredient) => {
+    if (['lata', 'pacote'].includes(ingredient.unidade)) return 'mercearia';
+
+    const terms = tokenize(ingredient.nome);
+    let best = null;
+
+    AISLE_TERMS.forEach(candidate => {
+        const position = findTerms(terms, candidate.terms);
+        if (position === -1) return;
+        if (!best || position < best.position
+            || (position === best.position && candidate.terms.length > best.length)) {
+            best = { aisle: candidate.aisle, position, length: candidate.terms.length };
+        }
+    });
+
+    return best ? best.aisle : 'outros';
+};
+
+// ============================================
+// AGREGAÇÃO
+// ============================================
+
+// "batatas" -> "Batatas"
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * ingredientKey - Chave que identifica o mesmo ingrediente em receitas diferentes
+ */
+export const ingredientKey = (nome) => tokenize(nome).join(' ') || foldText(nome).trim();
+
+/**
+ * addAmount - Soma uma quantidade às quantidades de um item
+ *
+ * As quantidades de um item ficam por "tipo": massa, volume ou cada
+ * unidade não convertível. Se todas as quantidades de um tipo tiverem a
+ * mesma unidade, essa unidade mantém-se ("3 colheres de sopa"); senão a
+ * soma é feita em g / ml ("1 kg" + "200 g" = "1,2 kg").
+ */
+const addAmount = (amounts, quantidade, unidade) => {
+    const measure = toBaseUnit(quantidade, unidade);
+    const type = measure ? measure.type : `unidade:${unidade}`;
+    const current = amounts.get(type);
+
+    if (!current) {
+        amounts.set(type, { quantidade, unidade, base: measure ? measure.base : null });
+        return;
+    }
+
+    amounts.set(type, {
+        quantidade: current.unidade === unidade ? current.quantidade + quantidade : null,
+        unidade: current.unidade === unidade ? unidade : null,
+        base: measure ? current.base + measure.base : null,
+    });
+};
+
+// Quantidades finais de um item: [{ quantidade, unidade }]
+const finishAmounts = (amounts) =>
+    [...amounts.entries()].map(([type, amount]) =>
+        (amount.unidade === null ? fromBaseUnit(type, amount.base) : { quantidade: amount.quantidade, unidade: amount.unidade })
+    );
+
+/**
+ * buildShoppingList - Junta os ingredientes das origens da lista
+ *
+ * @param {Array} sources - Origens da lista (ver topo do ficheiro)
+ * @param {Map} recipesById - id (texto) -> receita normalizada
+ * @returns {Array} [{ aisle, label, items: [{ key, nome, amounts, toTaste, recipes }] }]
+ *                  só com as secções que têm itens, pela ordem de AISLES
+ */
+export const buildShoppingList = (sources, recipesById) => {
+    const items = new Map();
+
+    sources.forEach(source => {
+        source.recipes.forEach(({ id, servings }) => {
+            const recipe = recipesById.get(String(id));
+            if (!recipe) return;
+            const factor = servings ? servings / recipe.porcoes : 1;
+
+            recipe.ingredientes.forEach(ingredient => {
+                const key = ingredientKey(ingredient.nome || '');
+                if (!key || SKIPPED.includes(key)) return;
+
+                if (!items.has(key)) {
+                    items.set(key, {
+                        key,
+                        nome: capitalize(ingredient.nome.trim()),
+                        aisle: findAisle(ingredient),
+                        amounts: new Map(),
+                        toTaste: false,
+                        recipes: new Set(),
+                    });
+                }
+
+                const item = items.get(key);
+                item.recipes.add(recipe.titulo);
+
+                const quantidade = parseQuantity(ingredient.quantidade);
+                if (quantidade === null) {
+                    item.toTaste = true;
+                } else {
+                    addAmount(item.amounts, quantidade * factor, ingredient.unidade || '');
+                }
+            });
+        });
+    });
+
+    return AISLES
+        .map(aisle => ({
+            aisle: aisle.id,
+            label: aisle.label,
+            items: [...items.values()]
+                .filter(item => item.aisle === aisle.id)
+                .map(item => ({
+                    key: item.key,
+                    nome: item.nome,
+                    amounts: finishAmounts(item.amounts),
+                    toTaste: item.toTaste,
+                    recipes: [...item.recipes],
+                }))
+                .sort((a, b) => a.nome.localeCompare(b.nome, 'pt')),
+        }))
+        .filter(group => group.items.length > 0);
+};
+
+/**
+ * formatAmounts - Escreve as quantidades de um item
+ *
+ * @returns {string} Ex: "1,2 kg + 2 dentes", "3", "q.b."
+ */
+export const formatAmounts = (item) => {
+    if (item.amounts.length === 0) return item.toTaste ? QB : '';
+    return item.amounts
+        .map(({ quantidade, unidade }) =>
+            [formatQuantity(quantidade, unidade), unidade && formatUnit(unidade, quantidade)].filter(Boolean).join(' ')
+        )
+        .join(' + ');
+};
+
+/**
+ * shoppingListToText - Lista em texto simples, para partilhar
+ * (só o que ainda falta comprar)
+ */
+export const shoppingListToText = (groups, list) => {
+    const lines = ['Lista de compras'];
+
+    groups.forEach(group => {
+        const items = group.items.filter(item => !list.checked.includes(item.key));
+        if (items.length === 0) return;
+        lines.push('', `${group.label}:`);
+        items.forEach(item => {
+            const amounts = formatAmounts(item);
+            lines.push(`- ${item.nome}${amounts ? ` (${amounts})` : ''}`);
+        });
+    });
+
+    const extras = list.extras.filter(extra => !extra.checked);
+    if (extras.length > 0) {
+        lines.push('', 'Outros:', ...extras.map(extra => `- ${extra.text}`));
+    }
+
+    return lines.join('\n');
+};
+
+// ============================================
+// PERSISTÊNCIA E ALTERAÇÕES
+// ============================================
+
+/**
+ * emptyShoppingList - Lista sem nada
+ */
+export const emptyShoppingList = () => ({ sources: [], checked: [], extras: [] });
+
+/**
+ * loadShoppingList - Lê a lista guardada (vazia se não houver ou estiver estragada)
+ */
+export const loadShoppingList = () => {
+    try {
+        return { ...emptyShoppingList(), ...JSON.parse(localStorage.getItem(SHOPPING_LIST_KEY)) };
+    } catch {
+        return emptyShoppingList();
+    }
+};
+
+/**
+ * saveShoppingList - Guarda a lista
+ */
+export const saveShoppingList = (list) => {
+    localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(list));
+};
+
+/**
+ * addSource - Junta uma origem à lista
+ * Uma origem com o mesmo id é substituída (voltar a juntar a mesma semana
+ * não duplica as quantidades).
+ *
+ * @param {Object} list
+ * @param {Object} source - { id, label, recipes: [{ id, servings }] }
+ */
+export const addSource = (list, source) => ({
+    ...list,
+    sources: list.sources.some(s => s.id === source.id)
+        ? list.sources.map(s => (s.id === source.id ? source : s))
+        : [...list.sources, source],
+});
+
+/**
+ * removeSource - Tira uma origem da lista
+ */
+export const removeSource = (list, sourceId) => ({
+    ...list,
+    sources: list.sources.filter(source => source.id !== sourceId),
+});
+
+/**
+ * toggleItem - Risca / desrisca um item
+ */
+export const toggleItem = (list, key) => ({
+    ...list,
+    checked: list.checked.includes(key)
+        ? list.checked.filter(k => k !== key)
+        : [...list.checked, key],
+});
+
+/**
+ * addExtra - Junta um item escrito à mão (ex: "detergente")
+ */
+export const addExtra = (list, text) => {
+    const id = list.extras.reduce((max, extra) => Math.max(max, extra.id), 0) + 1;
+    return { ...list, extras: [...list.extras, { id, text: text.trim(), checked: false }] };
+};
+
+/**
+ * toggleExtra - Risca / desrisca um item escrito à mão
+ */
+export const toggleExtra = (list, id) => ({
+    ...list,
+    extras: list.extras.map(extra => (extra.id === id ? { ...extra, checked: !extra.checked } : extra)),
+});
+
+/**
+ * removeExtra - Apaga um item escrito à mão
+ */
+export const removeExtra = (list, id) => ({
+    ...list,
+    extras: list.extras.filter(extra => extra.id !== id),
+});
+
+/**
+ * addToShoppingList - Junta uma origem à lista guardada
+ * (para os botões "Lista de compras" fora da página da lista)
+ */
+export const addToShoppingList = (source) => {
+    saveShoppingList(addSource(loadShoppingList(), source));
+};
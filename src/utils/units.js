@@ -0,0 +1,169 @@
+/**
+ * Conversão de Unidades
+ *
+ * Converte ingredientes entre o sistema métrico (com as medidas de
+ * cozinha portuguesas: colheres, chávenas, copos) e as unidades
+ * americanas (cups, tbsp, tsp, oz, lb), e as temperaturas do forno
+ * entre °C e °F.
+ *
+ * - metric: unidades americanas passam a g / ml; as medidas
+ *   portuguesas e métricas ficam como estão
+ * - us: massas passam a oz / lb e volumes a tsp / tbsp / cups
+ *
+ * Ingredientes sem quantidade ou com unidades de contagem
+ * ("2 dentes", "1 lata") nunca são convertidos.
+ */
+
+import { parseQuantity } from './ingredients';
+
+// Sistemas de unidades disponíveis
+export const UNIT_SYSTEMS = {
+    metric: 'Métrico',
+    us: 'EUA',
+};
+
+/**
+ * Cada unidade convertível: tipo (massa ou volume), quanto vale na
+ * unidade base (g ou ml) e a que sistema pertence.
+ * "pt" são as medidas de cozinha portuguesas (tratadas como métricas).
+ */
+const CONVERSIONS = {
+    mg: { type: 'mass', factor: 0.001, system: 'metric' },
+    g: { type: 'mass', factor: 1, system: 'metric' },
+    kg: { type: 'mass', factor: 1000, system: 'metric' },
+    oz: { type: 'mass', factor: 28.3495, system: 'us' },
+    lb: { type: 'mass', factor: 453.592, system: 'us' },
+
+    ml: { type: 'volume', factor: 1, system: 'metric' },
+    cl: { type: 'volume', factor: 10, system: 'metric' },
+    dl: { type: 'volume', factor: 100, system: 'metric' },
+    l: { type: 'volume', factor: 1000, system: 'metric' },
+    'colher de chá': { type: 'volume', factor: 5, system: 'pt' },
+    'colher de sobremesa': { type: 'volume', factor: 10, system: 'pt' },
+    'colher de sopa': { type: 'volume', factor: 15, system: 'pt' },
+    copo: { type: 'volume', factor: 200, system: 'pt' },
+    chávena: { type: 'volume', factor: 250, system: 'pt' },
+    tsp: { type: 'volume', factor: 4.92892, system: 'us' },
+    tbsp: { type: 'volume', factor: 14.7868, system: 'us' },
+    'fl oz': { type: 'volume', factor: 29.5735, system: 'us' },
+    cup: { type: 'volume', factor: 236.588, system: 'us' },
+};
+
+/**
+ * Arredonda medidas americanas a frações de cozinha (quartos ou terços),
+ * já que "1,06 cups" não serve a ninguém. Abaixo de 1/4 usa oitavos.
+ */
+const roundUsMeasure = (value) => {
+    if (value < 0.25) return Math.max(Math.round(value * 8) / 8, 1 / 8);
+    const quarters = Math.round(value * 4) / 4;
+    const thirds = Math.round(value * 3) / 3;
+    return Math.abs(quarters - value) <= Math.abs(thirds - value) ? quarters : thirds;
+};
+
+/**
+ * Escolhe a unidade de destino mais legível para uma quantidade na unidade base
+ *
+ * @returns {[number, string]} [quantidade, unidade]
+ */
+const pickUnit = (type, base, system) => {
+    if (system === 'us') {
+        if (type === 'mass') {
+            return base < CONVERSIONS.lb.factor
+                ? [base / CONVERSIONS.oz.factor, 'oz']
+                : [base / CONVERSIONS.lb.factor, 'lb'];
+        }
+        // Até 1 colher de sopa em tsp, até 1/4 de cup em tbsp, acima disso em cups
+        if (base < CONVERSIONS.tbsp.factor) return [base / CONVERSIONS.tsp.factor, 'tsp'];
+        if (base < CONVERSIONS.cup.factor / 4) return [base / CONVERSIONS.tbsp.factor, 'tbsp'];
+        return [base / CONVERSIONS.cup.factor, 'cup'];
+    }
+
+    if (type === 'mass') return base >= 1000 ? [base / 1000, 'kg'] : [base, 'g'];
+    return base >= 1000 ? [base / 1000, 'l'] : [base, 'ml'];
+};
+
+/**
+ * convertIngredient - Converte um ingrediente para um sistema de unidades
+ *
+ * @param {Object} ingredient - Ingrediente estruturado (ver utils/ingredients)
+ * @param {string} system - 'metric' ou 'us'
+ * @returns {Object} Novo ingrediente (ou o mesmo, se não houver conversão)
+ */
+export const convertIngredient = (ingredient, system) => {
+    const conversion = CONVERSIONS[ingredient.unidade];
+    const quantidade = parseQuantity(ingredient.quantidade);
+    if (!conversion || quantidade === null) return ingredient;
+
+    // Já está no sistema pedido (as medidas portuguesas contam como métricas)
+    const isUs = conversion.system === 'us';
+    if ((system === 'us') === isUs) return ingredient;
+
+    const [converted, unidade] = pickUnit(conversion.type, quantidade * conversion.factor, system);
+    return {
+        ...ingredient,
+        quantidade: system === 'us' ? roundUsMeasure(converted) : converted,
+        unidade,
+    };
+};
+
+/**
+ * convertIngredients - Converte uma lista de ingredientes
+ */
+export const convertIngredients = (ingredientes, system) =>
+    ingredientes.map(ingredient => convertIngredient(ingredient, system));
+
+/**
+ * toBaseUnit - Passa uma quantidade para a unidade base do seu tipo (g ou ml),
+ * para somar quantidades em unidades diferentes ("1 kg" + "200 g")
+ *
+ * @returns {Object|null} { type, base } ou null se a unidade não for convertível
+ */
+export const toBaseUnit = (quantidade, unidade) => {
+    const conversion = CONVERSIONS[unidade];
+    const value = parseQuantity(quantidade);
+    if (!conversion || value === null) return null;
+    return { type: conversion.type, base: value * conversion.factor };
+};
+
+/**
+ * fromBaseUnit - Escreve uma quantidade na unidade base na unidade métrica mais legível
+ *
+ * @returns {Object} { quantidade, unidade } Ex: ('mass', 1200) -> { quantidade: 1.2, unidade: 'kg' }
+ */
+export const fromBaseUnit = (type, base) => {
+    const [quantidade, unidade] = pickUnit(type, base, 'metric');
+    return { quantidade, unidade };
+};
+
+// ============================================
+// TEMPERATURAS
+// ============================================
+
+export const celsiusToFahrenheit = (celsius) => celsius * 9 / 5 + 32;
+
+export const fahrenheitToCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+
+// Temperaturas de forno arredondam-se aos 5 graus (ex: 180 °C -> 355 °F)
+const roundOven = (degrees) => Math.round(degrees / 5) * 5;
+
+// "200 °C", "180ºC", "180º", "180 graus", "30 graus C", "350 °F", "350F"
+// Celsius só com ° ou "graus" (sem letra depois, conta como Celsius): um "C" solto pode ser
+// uma abreviatura (ex: "2 C" de chávenas); "F" solto (maiúsculo) é a forma habitual das receitas americanas
+const TEMPERATURE_PATTERN = /(\d{2,3})\s*(?:[°º](?:\s*([CFcf])(?![A-Za-zà-ÿ]))?|(F)(?![A-Za-zà-ÿ])|[Gg]raus(?:\s+[Cc]elsius\b|\s*([CFcf])(?![A-Za-zà-ÿ]))?)/g;
+
+/**
+ * convertTemperatures - Converte as temperaturas escritas num texto
+ *
+ * @param {string} text - Ex: "Leve ao forno a 200 °C durante 20 minutos"
+ * @param {string} system - 'us' escreve em °F, 'metric' em °C
+ * @returns {string} Ex: "Leve ao forno a 390 °F durante 20 minutos"
+ */
+export const convertTemperatures = (text, system) =>
+    text.replace(TEMPERATURE_PATTERN, (match, value, degreeScale, bareScale, grausScale) => {
+        const scale = (degreeScale || bareScale || grausScale || 'C').toUpperCase();
+        const degrees = parseInt(value);
+
+        if (system === 'us' && scale === 'C') return `${roundOven(celsiusToFahrenheit(degrees))} °F`;
+        if (system === 'metric' && scale === 'F') return `${roundOven(fahrenheitToCelsius(degrees))} °C`;
+        return match;
+    });
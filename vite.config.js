@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  define: {
+    // Id de cada build: dá o nome às caches do service worker (public/sw.js)
+    'import.meta.env.VITE_BUILD_ID': JSON.stringify(Date.now().toString(36)),
+  },
 })